@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import ForgeReconciler, {
+  Button,
+  ButtonGroup,
+  Heading,
+  HelperMessage,
+  Label,
+  SectionMessage,
+  Select,
+  Spinner,
+  Stack,
+  Text,
+  Textfield
+} from '@forge/react';
+import { invoke } from '@forge/bridge';
+
+const REGION_LABELS = {
+  global: 'Global',
+  us: 'United States',
+  eu: 'European Union',
+  au: 'Australia'
+};
+
+const EMPTY_FORM = {
+  clientId: '',
+  clientSecret: '',
+  region: 'global',
+  defaultTestType: '',
+  linkType: '',
+  linkDirection: '',
+  defaultFolder: ''
+};
+
+// Xray Agent Settings admin page: Xray API key, region and defaults for new tests
+const App = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [settings, setSettings] = useState(null);
+  const [linkTypes, setLinkTypes] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const result = await invoke('getSettings');
+        if (!result.ok) {
+          setStatus({ appearance: 'error', title: 'Could not load the settings', text: result.error.message });
+          return;
+        }
+        setSettings(result.settings);
+        setLinkTypes(result.linkTypes);
+        setForm({ ...EMPTY_FORM, ...result.settings, clientSecret: '' });
+      } catch (error) {
+        setStatus({ appearance: 'error', title: 'Could not load the settings', text: error.message });
+      }
+    };
+    load();
+  }, []);
+
+  const update = field => value => setForm(current => ({ ...current, [field]: value }));
+
+  const run = async (action, successTitle) => {
+    setBusy(action);
+    setStatus(null);
+    try {
+      const result = await invoke(action, form);
+      if (!result.ok) {
+        setStatus({ appearance: 'error', title: result.error.message, text: result.error.hint });
+        return;
+      }
+      if (result.settings) {
+        setSettings(result.settings);
+        setForm(current => ({ ...current, clientSecret: '' }));
+      }
+      setStatus({ appearance: 'success', title: successTitle, text: result.message });
+    } catch (error) {
+      setStatus({ appearance: 'error', title: 'The request failed', text: error.message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!settings && !status) {
+    return <Spinner label="Loading settings" />;
+  }
+
+  const regionOptions = (settings?.regions || []).map(region => ({
+    label: `${REGION_LABELS[region.value] || region.value} (${region.baseUrl})`,
+    value: region.value
+  }));
+  const linkTypeOptions = [
+    { label: 'Detect automatically (a link type named like "Tests")', value: '' },
+    ...linkTypes.map(linkType => ({ label: `${linkType.name} (${linkType.outward} / ${linkType.inward})`, value: linkType.name }))
+  ];
+  const selectedLinkType = linkTypes.find(linkType => linkType.name === form.linkType);
+  const linkDirectionOptions = [
+    { label: 'Detect automatically (new tests are the inward issue)', value: '' },
+    { label: selectedLinkType ? `Test ${selectedLinkType.outward} requirement` : 'The test is the inward issue', value: 'inward' },
+    { label: selectedLinkType ? `Requirement ${selectedLinkType.outward} test` : 'The test is the outward issue', value: 'outward' }
+  ];
+
+  return (
+    <Stack space="space.200">
+      <Heading as="h2">Xray Agent Settings</Heading>
+      <Text>The Xray Cloud API key and region used by the Rovo agent, and the defaults applied to the tests it creates. Settings are kept in encrypted app storage.</Text>
+
+      {status && (
+        <SectionMessage appearance={status.appearance} title={status.title}>
+          {status.text && <Text>{status.text}</Text>}
+        </SectionMessage>
+      )}
+
+      <Heading as="h3">Xray API key</Heading>
+      {settings?.usingVariables && (
+        <SectionMessage appearance="information">
+          <Text>No API key is saved here, so the XRAY_CLIENT_ID and XRAY_CLIENT_SECRET Forge variables are used.</Text>
+        </SectionMessage>
+      )}
+      <Stack space="space.050">
+        <Label labelFor="clientId">Client id</Label>
+        <Textfield id="clientId" value={form.clientId} onChange={event => update('clientId')(event.target.value)} />
+      </Stack>
+      <Stack space="space.050">
+        <Label labelFor="clientSecret">Client secret</Label>
+        <Textfield id="clientSecret" type="password" value={form.clientSecret} onChange={event => update('clientSecret')(event.target.value)} />
+        <HelperMessage>{settings?.hasClientSecret ? 'A secret is saved. Leave blank to keep it.' : 'Created under Xray > Settings > API Keys.'}</HelperMessage>
+      </Stack>
+      <Stack space="space.050">
+        <Label labelFor="region">Region</Label>
+        <Select
+          inputId="region"
+          options={regionOptions}
+          value={regionOptions.find(option => option.value === form.region)}
+          onChange={option => update('region')(option.value)}
+        />
+        <HelperMessage>Choose the region your Xray data is hosted in, e.g. European Union for EU data residency.</HelperMessage>
+      </Stack>
+
+      <Heading as="h3">Defaults for new tests</Heading>
+      <Stack space="space.050">
+        <Label labelFor="defaultTestType">Default test type</Label>
+        <Textfield id="defaultTestType" placeholder="Manual" value={form.defaultTestType} onChange={event => update('defaultTestType')(event.target.value)} />
+        <HelperMessage>Used when the agent does not choose a test type, e.g. Manual, Cucumber or Generic.</HelperMessage>
+      </Stack>
+      <Stack space="space.050">
+        <Label labelFor="linkType">Link type between tests and stories</Label>
+        <Select
+          inputId="linkType"
+          options={linkTypeOptions}
+          value={linkTypeOptions.find(option => option.value === form.linkType)}
+          onChange={option => update('linkType')(option.value)}
+        />
+      </Stack>
+      <Stack space="space.050">
+        <Label labelFor="linkDirection">Link direction</Label>
+        <Select
+          inputId="linkDirection"
+          options={linkDirectionOptions}
+          value={linkDirectionOptions.find(option => option.value === form.linkDirection)}
+          onChange={option => update('linkDirection')(option.value)}
+        />
+        <HelperMessage>Which end of the link the test is on. Tests are linked this way and only links in this direction are read as requirements.</HelperMessage>
+      </Stack>
+      <Stack space="space.050">
+        <Label labelFor="defaultFolder">Default Test Repository folder</Label>
+        <Textfield id="defaultFolder" placeholder="/" value={form.defaultFolder} onChange={event => update('defaultFolder')(event.target.value)} />
+        <HelperMessage>Folder for new tests that do not name one, e.g. /Regression. Missing folders are created.</HelperMessage>
+      </Stack>
+
+      <ButtonGroup>
+        <Button appearance="primary" isDisabled={Boolean(busy)} onClick={() => run('saveSettings', 'Settings saved')}>
+          {busy === 'saveSettings' ? 'Saving...' : 'Save'}
+        </Button>
+        <Button isDisabled={Boolean(busy)} onClick={() => run('testConnection', 'Connection successful')}>
+          {busy === 'testConnection' ? 'Testing...' : 'Test connection'}
+        </Button>
+      </ButtonGroup>
+    </Stack>
+  );
+};
+
+ForgeReconciler.render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
@@ -1,331 +1,1537 @@
-import api, { route, fetch } from '@forge/api';
+import api, { route, fetch, storage } from '@forge/api';
+import Resolver from '@forge/resolver';
 
-// Xray Cloud API configuration
-const XRAY_CLIENT_ID = process.env.XRAY_CLIENT_ID;
-const XRAY_CLIENT_SECRET = process.env.XRAY_CLIENT_SECRET;
-const XRAY_AUTH_URL = 'https://xray.cloud.getxray.app/api/v1/authenticate';
-const XRAY_API_URL = 'https://xray.cloud.getxray.app/api/v2/graphql';
+// Xray Cloud regions and their base URLs (each one is listed under permissions.external.fetch in manifest.yml)
+const XRAY_REGIONS = {
+  global: 'https://xray.cloud.getxray.app',
+  us: 'https://us.xray.cloud.getxray.app',
+  eu: 'https://eu.xray.cloud.getxray.app',
+  au: 'https://au.xray.cloud.getxray.app'
+};
 
-// Cache auth token to avoid re-authentication
+// Settings saved on the admin page, kept in encrypted Forge storage (a secret entry)
+const XRAY_SETTINGS_STORAGE_KEY = 'xray-settings';
+// Saved settings are re-read after this long, so a warm function instance picks up changes
+const XRAY_SETTINGS_CACHE_MS = 60 * 1000;
+// Module key of the admin page (manifest.yml jira:adminPage), the only caller of the settings resolver
+const ADMIN_PAGE_MODULE_KEY = 'xray-settings';
+// Which side of the test ↔ requirement link the test is on: "inward" (Jira's inwardIssue, e.g. the test
+// "tests" the story) or "outward". When unset, tests are created as the inward issue and either side is read.
+const REQUIREMENT_LINK_DIRECTIONS = ['inward', 'outward'];
+
+// Xray token shared by all invocations, kept in encrypted Forge storage (a secret entry)
+const XRAY_TOKEN_STORAGE_KEY = 'xray-auth-token';
+// Short-lived lease taken by the invocation that is fetching a new token, so others wait for it
+const XRAY_TOKEN_LEASE_STORAGE_KEY = 'xray-auth-token-lease';
+const XRAY_TOKEN_LEASE_MS = 15000;
+const XRAY_TOKEN_LEASE_POLL_MS = 500;
+const XRAY_TOKEN_LEASE_SETTLE_MS = 150;
+// Tokens are treated as expired this long before their real expiry
+const XRAY_TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+// Lifetime assumed when the token's own expiry cannot be read
+const XRAY_TOKEN_DEFAULT_LIFETIME_MS = 60 * 60 * 1000;
+
+// Optional Jira field holding acceptance criteria — a field id (e.g. "customfield_10050") or a field name.
+// When unset, a field named like "Acceptance Criteria" is detected automatically.
+const ACCEPTANCE_CRITERIA_FIELD = process.env.ACCEPTANCE_CRITERIA_FIELD;
+
+// Retry policy for Xray requests
+const XRAY_MAX_ATTEMPTS = 4;
+const XRAY_BACKOFF_BASE_MS = 500;
+const XRAY_BACKOFF_MAX_MS = 8000;
+const XRAY_AUTH_TIMEOUT_MS = 10000;
+const XRAY_GRAPHQL_TIMEOUT_MS = 15000;
+const XRAY_IMPORT_TIMEOUT_MS = 25000;
+// Transient statuses worth retrying (429 is also safe for mutations: the request was not processed)
+const XRAY_RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Forge stops an invocation after 25 seconds. Xray requests of an action stop retrying (and time out)
+// this long after it started, so the action can still return its error; a rollback may use the reserve.
+const XRAY_TIME_BUDGET_MS = 20000;
+const XRAY_ROLLBACK_RESERVE_MS = 4000;
+// An attempt is only started, or a retry scheduled, with at least this much of the budget left
+const XRAY_MIN_ATTEMPT_MS = 1000;
+
+// In-memory copy of the stored auth token (tied to the client id and region it was issued for)
 let cachedAuthToken = null;
 let tokenExpiration = null;
+let cachedAuthTokenOwner = null;
+// Token request in flight in this instance, shared by concurrent callers
+let pendingAuthToken = null;
 
-// Function to get Xray authentication token
+// Cache of the app settings
+let cachedSettings = null;
+let settingsExpiration = null;
 
-async function getXrayAuthToken() {
-  // Check if we have a cached token that's still valid.
-  // NOTE: Forge functions are stateless — module-level variables like cachedAuthToken
-  // do NOT persist across separate action invocations (each call may run in a fresh isolate).
-  // This cache is therefore only effective if executeXrayGraphQL() is called multiple times
-  // within a single action invocation (e.g. retry logic or multiple queries in one call).
-  if (cachedAuthToken && tokenExpiration && Date.now() < tokenExpiration) {
-    console.log('🔐 Using cached authentication token');
-    return cachedAuthToken;
+// Deadline for the Xray requests of the current invocation (null outside an action)
+let xrayDeadline = null;
+let xrayRollbackInProgress = false;
+
+// Error raised when an Xray HTTP request fails (auth, transport or non-2xx response)
+class XrayApiError extends Error {
+  constructor(message, { status = null, retryable = false, body = null, authentication = false } = {}) {
+    super(message);
+    this.name = 'XrayApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+    this.authentication = authentication;
   }
+}
 
-  console.log('🔐 Starting Xray authentication process...');
-  console.log('📍 Auth URL: ', XRAY_AUTH_URL);
-  console.log('🔑 Client ID:', XRAY_CLIENT_ID);
-  console.log('🔒 Client Secret length:', XRAY_CLIENT_SECRET.length);
-  
-  try {
-    const authPayload = {
-      client_id: XRAY_CLIENT_ID,
-      client_secret: XRAY_CLIENT_SECRET
-    };
-    
-    console.log('📤 Sending authentication request...');
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await fetch(XRAY_AUTH_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(authPayload),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
+// Error raised when Xray answers 200 but the GraphQL response carries an `errors` array
+class XrayGraphQLError extends Error {
+  constructor(errors, data = null) {
+    const messages = (errors || []).map(error => error.message).filter(Boolean);
+    super(`GraphQL errors: ${messages.length > 0 ? messages.join('; ') : JSON.stringify(errors)}`);
+    this.name = 'XrayGraphQLError';
+    this.errors = errors || [];
+    this.data = data;
+  }
+}
 
-    console.log('📥 Authentication response status:', response.status);
-    console.log('📥 Authentication response headers:', Object.fromEntries(response.headers.entries()));
+// Error raised when a Jira REST request returns a non-2xx response
+class JiraApiError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = 'JiraApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Authentication failed - Status:', response.status);
-      console.error('❌ Authentication failed - Status Text:', response.statusText);
-      console.error('❌ Authentication failed - Response Body:', errorText);
-      throw new Error(`Authentication failed: ${response.status} ${response.statusText} - ${errorText}`);
-    }
+// Error codes returned to the agent by every action, with the default hint and whether retrying can help
+const ERROR_CODES = {
+  NOT_FOUND: {
+    hint: 'Check the issue key or id. Jira also reports issues the current user cannot browse as not found.',
+    retryable: false
+  },
+  FORBIDDEN: {
+    hint: 'The current user lacks the Jira or Xray permission for this operation. Ask a project administrator to grant it.',
+    retryable: false
+  },
+  XRAY_AUTH_FAILED: {
+    hint: 'The Xray API key is missing, invalid or revoked, or set for another region. A Jira administrator must update it on the Xray Agent Settings page.',
+    retryable: false
+  },
+  RATE_LIMITED: {
+    hint: 'Jira or Xray is rate limiting requests. Wait a minute and retry, or use a smaller batch.',
+    retryable: true
+  },
+  VALIDATION: {
+    hint: 'Correct the input described in the message and call the action again.',
+    retryable: false
+  },
+  UPSTREAM_TIMEOUT: {
+    hint: 'Jira or Xray did not answer in time. Retry, or narrow the scope of the request.',
+    retryable: true
+  },
+  UPSTREAM_ERROR: {
+    hint: 'Jira or Xray returned an unexpected error. Retry later; if it persists, check the Xray and Jira status pages.',
+    retryable: true
+  },
+  INTERNAL: {
+    hint: 'Unexpected error in the app. Report it together with the message.',
+    retryable: false
+  }
+};
 
-    const token = await response.text();
-    console.log('✅ Authentication successful');
-    console.log('🎫 Raw token length:', token.length);
-    console.log('🎫 Raw token (first 20 chars):', token.substring(0, 20) + '...');
-    
-    const cleanToken = token.replace(/"/g, ''); // Remove quotes from token
-    console.log('🎫 Clean token length:', cleanToken.length);
-    console.log('🎫 Clean token (first 20 chars):', cleanToken.substring(0, 20) + '...');
-    
-    // Cache the token for 1 hour
-    cachedAuthToken = cleanToken;
-    tokenExpiration = Date.now() + (60 * 60 * 1000); // 1 hour
-    console.log('💾 Token cached until:', new Date(tokenExpiration).toISOString());
-    
-    return cleanToken;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('❌ Xray authentication timed out after 5 seconds');
-      throw new Error('Xray authentication timeout');
-    }
-    console.error('💥 Error getting Xray auth token:', error);
-    console.error('💥 Error stack:', error.stack);
-    throw error;
+// Error raised with an explicit error code (see ERROR_CODES). `details` are extra fields returned
+// next to the error, e.g. the artifacts of a rolled-back creation.
+class ActionError extends Error {
+  constructor(code, message, { hint = null, retryable = null, cause, details = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ActionError';
+    this.code = code;
+    this.hint = hint;
+    this.retryable = retryable;
+    this.details = details;
   }
 }
 
-// Function to execute GraphQL query against Xray
-async function executeXrayGraphQL(query, variables = {}) {
-  console.log('🚀 Starting GraphQL query execution...');
-  console.log('🎯 GraphQL URL:', XRAY_API_URL);
-  console.log('📝 GraphQL Query:', query);
-  console.log('🔧 GraphQL Variables:', JSON.stringify(variables, null, 2));
-  
-  try {
-    console.log('🔐 Getting authentication token...');
-    const token = await getXrayAuthToken();
-    console.log('✅ Token received for GraphQL request');
-    
-    const requestBody = {
-      query,
-      variables
-    };
-    
-    console.log('📤 Sending GraphQL request...');
-    console.log('📦 Request body:', JSON.stringify(requestBody, null, 2));
-    
-    // Add timeout to GraphQL request
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-    
-    const response = await fetch(XRAY_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
+// Message patterns used to classify errors that carry no status (GraphQL errors and input checks)
+const NOT_FOUND_PATTERN = /\bnot found\b|does not exist|could not find|no linked user story|is not a test issue in xray/i;
+const FORBIDDEN_PATTERN = /\bpermission|not allowed|forbidden|unauthori[sz]ed|do(es)? not have access/i;
 
-    console.log('📥 GraphQL response status:', response.status);
-    console.log('📥 GraphQL response headers:', Object.fromEntries(response.headers.entries()));
+// Function to map an HTTP status to an error code
+function errorCodeForStatus(status) {
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 401 || status === 403) return 'FORBIDDEN';
+  if (status === 429) return 'RATE_LIMITED';
+  if (status === 408 || status === 504) return 'UPSTREAM_TIMEOUT';
+  if (status >= 500) return 'UPSTREAM_ERROR';
+  return 'VALIDATION';
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ GraphQL request failed - Status:', response.status);
-      console.error('❌ GraphQL request failed - Status Text:', response.statusText);
-      console.error('❌ GraphQL request failed - Response Body:', errorText);
-      throw new Error(`GraphQL request failed: ${response.status} ${response.statusText} - ${errorText}`);
-    }
+// Function to find the error code of one error, or null when it carries no classification itself
+function classifyOwnError(error) {
+  if (error instanceof ActionError) return error.code;
+  if (error instanceof XrayApiError) {
+    if (error.authentication && !error.retryable) return 'XRAY_AUTH_FAILED';
+    if (error.status) return errorCodeForStatus(error.status);
+    return /timeout/i.test(error.message) ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_ERROR';
+  }
+  if (error instanceof JiraApiError) {
+    // Jira answers a JQL search for a missing key with 400 "An issue with key 'X' does not exist"
+    if (error.status === 400 && NOT_FOUND_PATTERN.test(error.message)) return 'NOT_FOUND';
+    return errorCodeForStatus(error.status);
+  }
+  if (error instanceof XrayGraphQLError) {
+    if (NOT_FOUND_PATTERN.test(error.message)) return 'NOT_FOUND';
+    if (FORBIDDEN_PATTERN.test(error.message)) return 'FORBIDDEN';
+    return 'UPSTREAM_ERROR';
+  }
+  return null;
+}
 
-    const responseData = await response.json();
-    console.log('✅ GraphQL request successful');
-    console.log('📊 Response data:', JSON.stringify(responseData, null, 2));
-    
-    // Log specific details about the response
-    if (responseData.data) {
-      console.log('📊 Data field exists');
-      if (responseData.data.getTest === null) {
-        console.log('⚠️  getTest returned null - this usually means:');
-        console.log('   - Issue is not a Test issue type');
-        console.log('   - Issue doesn\'t exist in Xray');
-        console.log('   - Issue has no test data defined');
-      } else if (responseData.data.getTest) {
-        console.log('✅ getTest returned data');
-      }
-    }
-    
-    return responseData;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('❌ Xray GraphQL request timed out after 10 seconds');
-      throw new Error('Xray GraphQL request timeout');
+/**
+ * Converts any error thrown by an action into the structured error returned to the agent.
+ * Wrapped errors are classified by their innermost classified `cause`. The app's own input checks
+ * throw ActionError VALIDATION; other plain errors are NOT_FOUND by message, INTERNAL for runtime
+ * errors and otherwise UPSTREAM_ERROR (e.g. Xray returning no data).
+ *
+ * @param {Error} error
+ * @returns {{ code: string, message: string, hint: string, retryable: boolean }}
+ */
+function toErrorResponse(error) {
+  let code = null;
+  let source = error;
+  for (let current = error; current && !code; current = current.cause) {
+    code = classifyOwnError(current);
+    if (code) source = current;
+  }
+  if (!code) {
+    if (error instanceof TypeError || error instanceof ReferenceError || error instanceof RangeError) {
+      code = 'INTERNAL';
+    } else if (NOT_FOUND_PATTERN.test(error.message)) {
+      code = 'NOT_FOUND';
+    } else {
+      code = 'UPSTREAM_ERROR';
     }
-    console.error('💥 Error executing Xray GraphQL query:', error);
-    console.error('💥 Error stack:', error.stack);
-    throw error;
   }
+
+  const defaults = ERROR_CODES[code];
+  return {
+    code,
+    message: error.message,
+    hint: source.hint || defaults.hint,
+    retryable: typeof source.retryable === 'boolean' && code !== 'XRAY_AUTH_FAILED' ? source.retryable : defaults.retryable
+  };
 }
 
-// Main function to handle user choice of data type
-export async function getXrayData(payload) {
-  console.log('🎯 === STARTING getXrayData FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  // If no dataType is specified, ask the user what they want
-  if (!payload.dataType) {
-    return {
-      message: "What Xray data would you like to retrieve for this test case?",
-      options: [
-        { id: "test-steps", label: "Test Steps", description: "Get test steps, actions, and expected results" },
-        { id: "preconditions", label: "Preconditions", description: "Get test preconditions and requirements" },
-        { id: "test-sets", label: "Test Sets", description: "Get test sets containing this test" },
-        { id: "test-plans", label: "Test Plans", description: "Get test plans containing this test" },
-        { id: "test-runs", label: "Test Runs", description: "Get execution history and results" }
-      ]
-    };
+/**
+ * Wraps an action so it never throws: results are returned as `{ ok: true, ...result }` and
+ * failures as `{ ok: false, error: { code, message, hint, retryable }, ...details }`.
+ *
+ * @param {string} name - Action function name, for logs
+ * @param {Function} action - Async action taking the payload
+ * @returns {Function} The manifest handler
+ */
+function withErrorResponse(name, action) {
+  return async payload => {
+    xrayDeadline = Date.now() + XRAY_TIME_BUDGET_MS;
+    try {
+      return { ok: true, ...(await action(payload)) };
+    } catch (error) {
+      const structuredError = toErrorResponse(error);
+      console.error(`💥 ${name} returned ${structuredError.code}${structuredError.retryable ? ' (retryable)' : ''}: ${structuredError.message}`);
+      return { ok: false, error: structuredError, ...(error.details || {}) };
+    }
+  };
+}
+
+// Function to wait between retry attempts
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to read the server-requested wait (ms) from Retry-After or Xray's rate-limit headers
+function getServerRetryDelay(headers) {
+  if (!headers) return null;
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
   }
-  
-  // Route to appropriate function based on user choice
-  switch (payload.dataType) {
-    case 'test-steps':
-      return await getTestSteps(payload);
-    case 'preconditions':
-      return await getPreconditions(payload);
-    case 'test-sets':
-      return await getTestSets(payload);
-    case 'test-plans':
-      return await getTestPlans(payload);
-    case 'test-runs':
-      return await getTestRuns(payload);
-    default:
-      throw new Error(`Unknown data type: ${payload.dataType}`);
+
+  // X-RateLimit-Reset may be an epoch in ms, an epoch in seconds or a delay in seconds
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  if (remaining === '0' && reset > 0) {
+    if (reset > 1e12) return Math.max(0, reset - Date.now());
+    if (reset > 1e9) return Math.max(0, reset * 1000 - Date.now());
+    return reset * 1000;
   }
+
+  return null;
 }
 
-// Function to get test steps (original functionality)
-export async function getTestSteps(payload) {
-  console.log('🎯 === STARTING getTestSteps FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  let issueId = payload.issueId;
-  console.log('🎫 Raw issueId:', issueId);
-  
-  if (!issueId) {
-    console.error('❌ Issue ID validation failed - no issueId provided');
-    throw new Error('Issue ID is required');
+// Function to compute the delay before the next attempt: the server's request if given,
+// otherwise exponential backoff with full jitter
+function computeRetryDelay(attempt, headers) {
+  const serverDelay = getServerRetryDelay(headers);
+  if (serverDelay !== null) {
+    return Math.min(serverDelay, XRAY_BACKOFF_MAX_MS * 4);
   }
+  const ceiling = Math.min(XRAY_BACKOFF_MAX_MS, XRAY_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
 
-  // Extract issue key from URL if a full URL is provided
-  if (issueId.includes('/browse/')) {
-    const urlParts = issueId.split('/browse/');
-    issueId = urlParts[urlParts.length - 1];
-    console.log('🔧 Extracted issue key from URL:', issueId);
+// Function to read how much of the invocation's Xray time budget is left (unlimited outside an action)
+function remainingXrayTime() {
+  if (!xrayDeadline) return Infinity;
+  return xrayDeadline + (xrayRollbackInProgress ? XRAY_ROLLBACK_RESERVE_MS : 0) - Date.now();
+}
+
+// Function to check whether a retry after `delay` ms still leaves time for the attempt itself
+function canRetryWithin(delay) {
+  return delay + XRAY_MIN_ATTEMPT_MS <= remainingXrayTime();
+}
+
+// Function to return the timeout of the next attempt, capped by the time budget; throws a retryable
+// timeout when the budget is spent, before anything is sent
+function nextAttemptTimeout(timeoutMs, label) {
+  const remaining = remainingXrayTime();
+  if (remaining < XRAY_MIN_ATTEMPT_MS) {
+    throw new ActionError('UPSTREAM_TIMEOUT', `${label} was not sent: the action ran out of time (Forge stops an invocation after 25 seconds)`, {
+      hint: 'Call the action again, or narrow the scope of the request so it needs fewer Xray calls.',
+      retryable: true
+    });
   }
-  
-  console.log('🎫 Final issueKey to use:', issueId);
-  console.log('✅ Issue key validation passed');
+  return Math.min(timeoutMs, remaining);
+}
 
-  // Convert issue key to issue ID for Xray API (with timeout handling)
-  console.log('🔄 Converting issue key to issue ID for Xray...');
-  let numericIssueId;
+// Function to run a fetch with a timeout, converting aborts into retryable Xray errors
+async function fetchWithTimeout(url, options, timeoutMs, label) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    // Set a shorter timeout for Jira API call
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!jiraResponse.ok) {
-      throw new Error(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`);
-    }
-    
-    const jiraData = await jiraResponse.json();
-    numericIssueId = jiraData.id;
-    console.log(`✅ Converted issue key ${issueId} to numeric ID: ${numericIssueId}`);
-    
+    return await fetch(url, { ...options, signal: controller.signal });
   } catch (error) {
     if (error.name === 'AbortError') {
-      console.error('❌ Jira API call timed out after 5 seconds');
-      throw new Error(`Jira API timeout when getting issue ID for ${issueId}`);
+      throw new XrayApiError(`${label} timeout after ${Math.round(timeoutMs / 100) / 10} seconds`, { retryable: true });
     }
-    console.error('❌ Failed to convert issue key to ID:', error.message);
-    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`);
+    throw new XrayApiError(`${label} network error: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timeoutId);
   }
+}
 
-  try {
-    console.log('📝 Preparing GraphQL query...');
-    
-    // GraphQL query to get test steps and related data
-    const query = `
-      query GetTestData($issueId: String!) {
-        getTest(issueId: $issueId) {
-          issueId
-          testType {
-            name
-            kind
-          }
-          steps {
-            id
-            action
-            data
-            result
-          }
-        }
-      }
-    `;
+/**
+ * Drops the cached token, in memory and in storage (e.g. after a 401).
+ * With a rejected token, the stored token is only deleted if it is that token, so a fresh token
+ * another invocation already stored is kept.
+ *
+ * @param {string} [rejectedToken]
+ */
+async function invalidateXrayAuthToken(rejectedToken = null) {
+  cachedAuthToken = null;
+  tokenExpiration = null;
+  cachedAuthTokenOwner = null;
 
-    const variables = { issueId: numericIssueId };
-    console.log('🔧 Query variables prepared:', JSON.stringify(variables, null, 2));
-    console.log(`🔧 Using numeric issue ID ${numericIssueId} for Xray GraphQL query`);
-    console.log('📤 Executing GraphQL query...');
-    
-    const result = await executeXrayGraphQL(query, variables);
-    console.log('📥 GraphQL query completed');
-    
-    if (result.errors) {
-      console.error('❌ GraphQL returned errors:', JSON.stringify(result.errors, null, 2));
-      throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+  try {
+    const stored = rejectedToken ? await storage.getSecret(XRAY_TOKEN_STORAGE_KEY) : null;
+    if (!rejectedToken || stored?.token === rejectedToken) {
+      await storage.deleteSecret(XRAY_TOKEN_STORAGE_KEY);
     }
+  } catch (error) {
+    console.warn('⚠️ Could not delete the stored Xray token:', error.message);
+  }
+}
 
-    console.log('✅ No GraphQL errors detected');
+// Function to read when a token expires: the JWT "exp" claim, or the default lifetime from now
+function getTokenExpiry(token) {
+  try {
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    if (Number.isFinite(claims.exp)) return claims.exp * 1000;
+  } catch (error) {
+    // Not a JWT — fall through to the default lifetime
+  }
+  return Date.now() + XRAY_TOKEN_DEFAULT_LIFETIME_MS;
+}
 
-    if (!result.data) {
-      console.error('❌ No data field in GraphQL response');
-      console.error('❌ Full result:', JSON.stringify(result, null, 2));
-      throw new Error(`No data in GraphQL response for issue ${issueId}`);
-    }
+// Function to check that a cached token belongs to the current settings and is not about to expire
+function isUsableToken(entry, owner) {
+  return Boolean(entry?.token) && entry.owner === owner && Date.now() < entry.expiresAt - XRAY_TOKEN_EXPIRY_MARGIN_MS;
+}
 
-    console.log('✅ Data field found in GraphQL response');
+// Function to read the stored token; storage errors count as "no token"
+async function readStoredToken() {
+  try {
+    return await storage.getSecret(XRAY_TOKEN_STORAGE_KEY);
+  } catch (error) {
+    console.warn('⚠️ Could not read the stored Xray token:', error.message);
+    return null;
+  }
+}
 
-    if (!result.data.getTest) {
-      console.error('❌ No getTest data in GraphQL response');
-      console.error('❌ Available data keys:', Object.keys(result.data));
-      console.error('❌ getTest value:', result.data.getTest);
-      console.error('❌ This usually means the issue is not a Test issue or doesn\'t exist in Xray');
-      
-      // Try a simpler query to see if we can get any info about this issue
-      console.log('🔍 Attempting to verify if issue exists with simpler query...');
-      try {
-        const simpleQuery = `
-          query CheckIssue($issueId: String!) {
-            getTest(issueId: $issueId) {
-              issueId
-            }
-          }
-        `;
-        const simpleResult = await executeXrayGraphQL(simpleQuery, { issueId });
-        console.log('🔍 Simple query result:', JSON.stringify(simpleResult, null, 2));
-      } catch (error) {
-        console.log('🔍 Simple query also failed:', error.message);
-      }
-      
-      return {
-        issueId: issueId,
-        message: `Issue ${issueId} is a Test issue but has no test steps or test data defined in Xray yet. Please add test steps in Xray Cloud to see test data.`,
-        testType: null,
+// Function to build the Xray endpoint URLs of a region
+function getXrayEndpoints(region) {
+  const baseUrl = XRAY_REGIONS[region] || XRAY_REGIONS.global;
+  return {
+    baseUrl,
+    authUrl: `${baseUrl}/api/v1/authenticate`,
+    apiUrl: `${baseUrl}/api/v2/graphql`,
+    importUrl: `${baseUrl}/api/v2/import/execution`
+  };
+}
+
+/**
+ * Returns the app settings: the values an admin saved on the settings page, falling back to the
+ * XRAY_CLIENT_ID / XRAY_CLIENT_SECRET Forge variables and the global region.
+ *
+ * @returns {Promise<object>} clientId, clientSecret, region, baseUrl, authUrl, apiUrl, importUrl,
+ *   defaultTestType, linkType, linkDirection and defaultFolder
+ */
+async function getXraySettings() {
+  if (cachedSettings && settingsExpiration && Date.now() < settingsExpiration) {
+    return cachedSettings;
+  }
+
+  const stored = (await storage.getSecret(XRAY_SETTINGS_STORAGE_KEY)) || {};
+  const region = XRAY_REGIONS[stored.region] ? stored.region : 'global';
+  cachedSettings = {
+    clientId: stored.clientId || process.env.XRAY_CLIENT_ID,
+    clientSecret: stored.clientSecret || process.env.XRAY_CLIENT_SECRET,
+    region,
+    ...getXrayEndpoints(region),
+    defaultTestType: stored.defaultTestType || null,
+    linkType: stored.linkType || null,
+    linkDirection: REQUIREMENT_LINK_DIRECTIONS.includes(stored.linkDirection) ? stored.linkDirection : null,
+    defaultFolder: stored.defaultFolder || null,
+    source: stored.clientId ? 'settings' : 'variables'
+  };
+  settingsExpiration = Date.now() + XRAY_SETTINGS_CACHE_MS;
+  return cachedSettings;
+}
+
+/**
+ * Returns an Xray authentication token, re-authenticating only when needed.
+ *
+ * Tokens are shared by all invocations through encrypted Forge storage and used until 5 minutes
+ * before they expire. When a new token is needed, the invocation fetching it takes a short lease
+ * in storage; other invocations wait for the token it stores instead of all authenticating at once.
+ * Concurrent callers within one invocation share the same request.
+ *
+ * @returns {Promise<string>}
+ */
+async function getXrayAuthToken() {
+  const settings = await getXraySettings();
+  const tokenOwner = `${settings.region}:${settings.clientId}`;
+  if (isUsableToken({ token: cachedAuthToken, expiresAt: tokenExpiration, owner: cachedAuthTokenOwner }, tokenOwner)) {
+    console.log('🔐 Using cached authentication token');
+    return cachedAuthToken;
+  }
+
+  if (!pendingAuthToken) {
+    pendingAuthToken = loadOrRefreshXrayToken(settings, tokenOwner)
+      .finally(() => { pendingAuthToken = null; });
+  }
+  const entry = await pendingAuthToken;
+  cachedAuthToken = entry.token;
+  tokenExpiration = entry.expiresAt;
+  cachedAuthTokenOwner = tokenOwner;
+  return entry.token;
+}
+
+// Function to take the stored token, wait for another invocation's refresh, or authenticate and store a new token
+async function loadOrRefreshXrayToken(settings, tokenOwner) {
+  const stored = await readStoredToken();
+  if (isUsableToken(stored, tokenOwner)) {
+    console.log('🔐 Using stored authentication token, valid until', new Date(stored.expiresAt).toISOString());
+    return stored;
+  }
+  const refreshed = await waitForTokenRefresh(tokenOwner);
+  if (refreshed) return refreshed;
+
+  const holder = Math.random().toString(36).slice(2);
+  if (!(await takeTokenLease(holder))) {
+    const refreshed = await waitForTokenRefresh(tokenOwner);
+    if (refreshed) return refreshed;
+  }
+
+  try {
+    const entry = { ...(await requestXrayAuthToken(settings)), owner: tokenOwner };
+    try {
+      await storage.setSecret(XRAY_TOKEN_STORAGE_KEY, entry);
+      console.log('💾 Token stored until:', new Date(entry.expiresAt).toISOString());
+    } catch (error) {
+      console.warn('⚠️ Could not store the Xray token:', error.message);
+    }
+    return entry;
+  } finally {
+    await releaseTokenLease(holder);
+  }
+}
+
+// Function to wait while another invocation holds the token lease; returns the token it stored, or null
+async function waitForTokenRefresh(tokenOwner) {
+  const lease = await storage.get(XRAY_TOKEN_LEASE_STORAGE_KEY).catch(() => null);
+  if (!lease || lease.until <= Date.now()) return null;
+
+  console.log('⏳ Another invocation is fetching an Xray token — waiting for it...');
+  while (Date.now() < lease.until && canRetryWithin(XRAY_TOKEN_LEASE_POLL_MS)) {
+    await sleep(XRAY_TOKEN_LEASE_POLL_MS);
+    const refreshed = await readStoredToken();
+    if (isUsableToken(refreshed, tokenOwner)) {
+      console.log('🔐 Using the token stored by another invocation');
+      return refreshed;
+    }
+  }
+  console.warn('⚠️ No token was stored before the lease ran out — authenticating');
+  return null;
+}
+
+// Function to take the token lease. Storage has no compare-and-set, so the lease is written, then
+// re-read after a short delay: of invocations racing for it, only the last writer keeps it.
+async function takeTokenLease(holder) {
+  try {
+    await storage.set(XRAY_TOKEN_LEASE_STORAGE_KEY, { holder, until: Date.now() + XRAY_TOKEN_LEASE_MS });
+    await sleep(XRAY_TOKEN_LEASE_SETTLE_MS);
+    const lease = await storage.get(XRAY_TOKEN_LEASE_STORAGE_KEY);
+    return !lease || lease.holder === holder;
+  } catch (error) {
+    console.warn('⚠️ Could not take the token lease:', error.message);
+    return true;
+  }
+}
+
+// Function to release the token lease if this invocation still holds it
+async function releaseTokenLease(holder) {
+  try {
+    const lease = await storage.get(XRAY_TOKEN_LEASE_STORAGE_KEY);
+    if (lease?.holder === holder) {
+      await storage.delete(XRAY_TOKEN_LEASE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not release the token lease:', error.message);
+  }
+}
+
+// Function to authenticate against Xray with the configured API key; returns { token, expiresAt }
+async function requestXrayAuthToken(settings) {
+  if (!settings.clientId || !settings.clientSecret) {
+    throw new ActionError('XRAY_AUTH_FAILED', 'Xray API credentials are not configured — set them on the Xray Agent Settings admin page');
+  }
+
+  console.log('🔐 Starting Xray authentication process...');
+  console.log('📍 Auth URL: ', settings.authUrl);
+  console.log('🔑 Client ID:', settings.clientId, `(from ${settings.source})`);
+  console.log('🔒 Client Secret length:', settings.clientSecret.length);
+
+  const authPayload = {
+    client_id: settings.clientId,
+    client_secret: settings.clientSecret
+  };
+
+  for (let attempt = 1; attempt <= XRAY_MAX_ATTEMPTS; attempt++) {
+    const timeoutMs = nextAttemptTimeout(XRAY_AUTH_TIMEOUT_MS, 'Xray authentication');
+    let response;
+    try {
+      console.log(`📤 Sending authentication request (attempt ${attempt}/${XRAY_MAX_ATTEMPTS})...`);
+      response = await fetchWithTimeout(settings.authUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(authPayload)
+      }, timeoutMs, 'Xray authentication');
+    } catch (error) {
+      const delay = computeRetryDelay(attempt);
+      if (attempt < XRAY_MAX_ATTEMPTS && canRetryWithin(delay)) {
+        console.warn(`⚠️ ${error.message} — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      console.error('💥 Error getting Xray auth token:', error.message);
+      throw error;
+    }
+
+    console.log('📥 Authentication response status:', response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const retryable = XRAY_RETRYABLE_STATUSES.includes(response.status);
+      const delay = computeRetryDelay(attempt, response.headers);
+      if (retryable && attempt < XRAY_MAX_ATTEMPTS && canRetryWithin(delay)) {
+        console.warn(`⚠️ Authentication returned ${response.status} — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      console.error('❌ Authentication failed - Status:', response.status);
+      console.error('❌ Authentication failed - Response Body:', errorText);
+      throw new XrayApiError(`Authentication failed: ${response.status} ${response.statusText} - ${errorText}`, {
+        status: response.status,
+        retryable,
+        body: errorText,
+        authentication: true
+      });
+    }
+
+    const token = await response.text();
+    const cleanToken = token.replace(/"/g, ''); // Remove quotes from token
+    console.log('✅ Authentication successful');
+    console.log('🎫 Clean token length:', cleanToken.length);
+
+    return { token: cleanToken, expiresAt: getTokenExpiry(cleanToken) };
+  }
+}
+
+/**
+ * Sends an authenticated request to the Xray Cloud API. Every Xray call in this app goes through here.
+ *
+ * - Idempotent requests are retried on 429/502/503/504, timeouts and network errors with jittered
+ *   exponential backoff, honouring Retry-After and X-RateLimit-* headers. Non-idempotent requests
+ *   (mutations, imports) are only retried on 429, since any other failure may have been applied server-side.
+ * - A 401 invalidates the cached token and the request is re-sent once with a fresh token.
+ * - Within an action, attempts and retries stop once the invocation's time budget (XRAY_TIME_BUDGET_MS)
+ *   would be exceeded; the last failure is then thrown as is, still marked retryable.
+ *
+ * @param {string} url - Absolute Xray API URL
+ * @param {object} request
+ * @param {string} request.body - Request body
+ * @param {string} [request.contentType] - Content-Type header (defaults to JSON)
+ * @param {boolean} [request.idempotent] - Whether transient failures may be retried
+ * @param {number} [request.maxAttempts] - Maximum number of attempts
+ * @param {number} [request.timeoutMs] - Per-attempt timeout (shortened to the remaining time budget)
+ * @param {string} [request.label] - Name used in logs and error messages
+ * @returns {Promise<Response>} The successful (2xx) response
+ */
+async function executeXrayRequest(url, {
+  body,
+  contentType = 'application/json',
+  idempotent = false,
+  maxAttempts = XRAY_MAX_ATTEMPTS,
+  timeoutMs = XRAY_GRAPHQL_TIMEOUT_MS,
+  label = 'Xray request'
+}) {
+  let reauthenticated = false;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const token = await getXrayAuthToken();
+    const attemptTimeoutMs = nextAttemptTimeout(timeoutMs, label);
+
+    let response;
+    try {
+      console.log(`📤 Sending ${label} (attempt ${attempt}/${maxAttempts})...`);
+      response = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': contentType,
+          'Authorization': `Bearer ${token}`
+        },
+        body
+      }, attemptTimeoutMs, label);
+    } catch (error) {
+      const delay = computeRetryDelay(attempt);
+      if (idempotent && attempt < maxAttempts && canRetryWithin(delay)) {
+        console.warn(`⚠️ ${error.message} — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      console.error(`💥 Error executing ${label}:`, error.message);
+      throw error;
+    }
+
+    console.log(`📥 ${label} response status:`, response.status);
+
+    if (response.status === 401 && !reauthenticated) {
+      // The token expired or was revoked — nothing was executed, so retrying is safe
+      console.warn(`🔐 ${label} returned 401 — re-authenticating once`);
+      await invalidateXrayAuthToken(token);
+      reauthenticated = true;
+      attempt--;
+      continue;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const retryable = XRAY_RETRYABLE_STATUSES.includes(response.status);
+      const delay = computeRetryDelay(attempt, response.headers);
+      if (retryable && (idempotent || response.status === 429) && attempt < maxAttempts && canRetryWithin(delay)) {
+        console.warn(`⚠️ ${label} returned ${response.status} — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      console.error(`❌ ${label} failed - Status:`, response.status);
+      console.error(`❌ ${label} failed - Response Body:`, errorText);
+      throw new XrayApiError(`${label} failed: ${response.status} ${response.statusText} - ${errorText}`, {
+        status: response.status,
+        retryable,
+        body: errorText,
+        // A 401 even with a freshly issued token means the API key itself is rejected
+        authentication: response.status === 401
+      });
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Executes a GraphQL query or mutation against Xray through executeXrayRequest.
+ * Queries are treated as idempotent (retried on transient failures); mutations are not.
+ * A response with an `errors` array (or without `data`) raises an XrayGraphQLError.
+ *
+ * @param {string} query - GraphQL document
+ * @param {object} [variables]
+ * @param {object} [options]
+ * @param {boolean} [options.retry] - Force retries on/off (defaults to on for queries, off for mutations)
+ * @param {number} [options.maxAttempts] - Maximum number of attempts
+ * @returns {Promise<{data: object}>} The GraphQL response body
+ */
+async function executeXrayGraphQL(query, variables = {}, options = {}) {
+  const isMutation = /^\s*mutation\b/.test(query);
+  const operationName = query.match(/^\s*(?:query|mutation)\s+(\w+)/)?.[1] || (isMutation ? 'mutation' : 'query');
+
+  console.log(`🚀 Starting GraphQL ${isMutation ? 'mutation' : 'query'} ${operationName}...`);
+  const { apiUrl } = await getXraySettings();
+  console.log('🎯 GraphQL URL:', apiUrl);
+  console.log('🔧 GraphQL Variables:', JSON.stringify(variables, null, 2));
+
+  const response = await executeXrayRequest(apiUrl, {
+    body: JSON.stringify({ query, variables }),
+    idempotent: options.retry ?? !isMutation,
+    maxAttempts: options.maxAttempts,
+    label: `GraphQL ${operationName}`
+  });
+
+  const responseData = await response.json();
+  console.log('📊 Response data:', JSON.stringify(responseData, null, 2));
+
+  if (Array.isArray(responseData.errors) && responseData.errors.length > 0) {
+    console.error('❌ GraphQL returned errors:', JSON.stringify(responseData.errors, null, 2));
+    throw new XrayGraphQLError(responseData.errors, responseData.data);
+  }
+
+  if (!responseData.data) {
+    console.error('❌ No data field in GraphQL response');
+    throw new XrayGraphQLError([{ message: `No data in GraphQL response for ${operationName}` }]);
+  }
+
+  console.log(`✅ GraphQL ${operationName} successful`);
+  return responseData;
+}
+
+// Largest page size accepted by Xray GraphQL list fields
+const XRAY_MAX_PAGE_SIZE = 100;
+
+// Function to read the start/limit/all pagination inputs of an action payload
+function parsePaginationInput(payload, defaultLimit = XRAY_MAX_PAGE_SIZE) {
+  const isBlank = value => value === undefined || value === null || value === '';
+  const start = isBlank(payload.start) ? 0 : Number(payload.start);
+  const limit = isBlank(payload.limit) ? defaultLimit : Number(payload.limit);
+
+  if (!Number.isInteger(start) || start < 0) {
+    throw new ActionError('VALIDATION', `start must be a non-negative integer, got: ${payload.start}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > XRAY_MAX_PAGE_SIZE) {
+    throw new ActionError('VALIDATION', `limit must be an integer between 1 and ${XRAY_MAX_PAGE_SIZE}, got: ${payload.limit}`);
+  }
+
+  const all = payload.all === true || String(payload.all).toLowerCase() === 'true';
+  return { start, limit, all };
+}
+
+/**
+ * Fetches one page of a paginated Xray list, or every page when `all` is set.
+ * In "all" mode the walk starts at 0 and `total` is the number of results actually returned,
+ * so the list and the count always agree.
+ *
+ * @param {function(number, number): Promise<{results: Array, total: number}|null>} fetchPage -
+ *   Fetches the page at (start, limit); returns null when the parent entity does not exist
+ * @param {{start: number, limit: number, all: boolean}} pagination
+ * @returns {Promise<{results: Array, total: number, pagination: object}|null>}
+ */
+async function fetchXrayPages(fetchPage, { start, limit, all }) {
+  if (!all) {
+    const page = await fetchPage(start, limit);
+    if (!page) return null;
+    const results = page.results || [];
+    const total = page.total ?? start + results.length;
+    const hasMore = start + results.length < total;
+    return {
+      results,
+      total,
+      pagination: { start, limit, returned: results.length, hasMore, nextStart: hasMore ? start + results.length : null, all: false }
+    };
+  }
+
+  const results = [];
+  let reportedTotal = 0;
+  let pages = 0;
+  do {
+    const page = await fetchPage(results.length, XRAY_MAX_PAGE_SIZE);
+    if (!page) {
+      if (pages === 0) return null;
+      break;
+    }
+    pages++;
+    const pageResults = page.results || [];
+    reportedTotal = page.total ?? results.length + pageResults.length;
+    results.push(...pageResults);
+    console.log(`📄 Fetched page ${pages}: ${results.length}/${reportedTotal}`);
+    if (pageResults.length === 0) break;
+  } while (results.length < reportedTotal);
+
+  if (reportedTotal !== results.length) {
+    console.warn(`⚠️ Xray reported ${reportedTotal} items but ${results.length} were returned while paging`);
+  }
+
+  return {
+    results,
+    total: results.length,
+    pagination: { start: 0, limit: XRAY_MAX_PAGE_SIZE, returned: results.length, hasMore: false, nextStart: null, all: true, pages }
+  };
+}
+
+// Function to describe the returned page for summary messages, e.g. " (showing 51-100)"
+function describePage(pagination, total) {
+  const { start, returned, hasMore, nextStart } = pagination;
+  if (pagination.all || (start === 0 && returned === total)) return '';
+  const range = returned > 0 ? `showing ${start + 1}-${start + returned}` : `none from position ${start + 1}`;
+  const more = hasMore ? `; use start=${nextStart} or all=true for more` : '';
+  return ` (${range}${more})`;
+}
+
+// Jira issue key format, e.g. "SDF-22"
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// Jira numeric issue id format, e.g. "10001"
+const ISSUE_ID_PATTERN = /^\d+$/;
+
+// Function to normalise an issue key input — accepts "SDF-22" or a full /browse/ URL
+function normaliseIssueKey(value) {
+  if (!value) return value;
+  const trimmed = String(value).trim();
+  const keyMatch = trimmed.match(/([A-Z][A-Z0-9_]+-\d+)\/?$/);
+  return keyMatch ? keyMatch[1] : trimmed;
+}
+
+// Function to parse a list input — Forge action inputs are primitives, so lists arrive either as
+// a JSON array string or as comma/newline separated text
+function parseListInput(value, inputName) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (!Array.isArray(parsed)) throw new Error('not an array');
+      return parsed.map(item => String(item).trim()).filter(Boolean);
+    } catch (e) {
+      throw new ActionError('VALIDATION', `Invalid ${inputName} JSON: ${e.message}. Expected a JSON array or a comma-separated list`);
+    }
+  }
+  return text.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Function to derive the Jira site URL from an issue's REST "self" link
+function getJiraBaseUrl(issue) {
+  return issue.self.replace(/\/rest\/api\/.*/, '');
+}
+
+/**
+ * Runs a Jira JQL search and returns the matching issues, following nextPageToken.
+ *
+ * @param {string} jql
+ * @param {string[]} [fields] - Fields to return
+ * @param {number} [maxIssues] - Stop after this many issues
+ * @returns {Promise<object[]>} Issues (id, key, self and requested fields)
+ */
+async function searchIssuesByJql(jql, fields = ['summary', 'issuetype'], maxIssues = Infinity) {
+  const issues = [];
+  let nextPageToken;
+  do {
+    const response = await api.asUser().requestJira(route`/rest/api/3/search/jql`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        jql,
+        fields,
+        maxResults: 100,
+        nextPageToken
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new JiraApiError(`Jira search failed for "${jql}": ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
+    }
+
+    const searchData = await response.json();
+    issues.push(...(searchData.issues || []));
+    nextPageToken = searchData.nextPageToken;
+  } while (nextPageToken && issues.length < maxIssues);
+
+  return issues.slice(0, maxIssues);
+}
+
+/**
+ * Resolves Jira issue keys to issues (id, key, self and requested fields) with JQL search,
+ * 100 keys per request.
+ *
+ * @param {string[]} issueKeys
+ * @param {string[]} [fields] - Extra fields to return
+ * @returns {Promise<Map<string, object>>} Issues by key
+ */
+async function searchIssuesByKeys(issueKeys, fields = ['summary', 'issuetype']) {
+  const issuesByKey = new Map();
+  const uniqueKeys = [...new Set(issueKeys.map(normaliseIssueKey))];
+
+  const invalidKeys = uniqueKeys.filter(key => !ISSUE_KEY_PATTERN.test(key));
+  if (invalidKeys.length > 0) {
+    throw new ActionError('VALIDATION', `Invalid issue key(s): ${invalidKeys.join(', ')}`);
+  }
+
+  for (let i = 0; i < uniqueKeys.length; i += 100) {
+    const batch = uniqueKeys.slice(i, i + 100);
+    const issues = await searchIssuesByJql(`key in (${batch.join(',')})`, fields);
+    issues.forEach(issue => issuesByKey.set(issue.key, issue));
+  }
+
+  const missingKeys = uniqueKeys.filter(key => !issuesByKey.has(key));
+  if (missingKeys.length > 0) {
+    throw new ActionError('NOT_FOUND', `Issue(s) not found or not accessible: ${missingKeys.join(', ')}`);
+  }
+
+  return issuesByKey;
+}
+
+/**
+ * Resolves numeric Jira issue ids to issues with JQL search, 100 ids per request.
+ *
+ * @param {string[]} issueIds
+ * @param {string[]} [fields] - Extra fields to return
+ * @returns {Promise<Map<string, object>>} Issues by id
+ */
+async function searchIssuesByIds(issueIds, fields = ['summary', 'issuetype']) {
+  const issuesById = new Map();
+  const uniqueIds = [...new Set(issueIds.map(id => String(id).trim()))];
+
+  const invalidIds = uniqueIds.filter(id => !ISSUE_ID_PATTERN.test(id));
+  if (invalidIds.length > 0) {
+    throw new ActionError('VALIDATION', `Invalid issue id(s): ${invalidIds.join(', ')}`);
+  }
+
+  for (let i = 0; i < uniqueIds.length; i += 100) {
+    const batch = uniqueIds.slice(i, i + 100);
+    const issues = await searchIssuesByJql(`id in (${batch.join(',')})`, fields);
+    issues.forEach(issue => issuesById.set(String(issue.id), issue));
+  }
+
+  const missingIds = uniqueIds.filter(id => !issuesById.has(id));
+  if (missingIds.length > 0) {
+    throw new ActionError('NOT_FOUND', `Issue(s) not found or not accessible: ${missingIds.join(', ')}`);
+  }
+
+  return issuesById;
+}
+
+// Function to list every test in a Test Set or Test Plan (all pages)
+async function getTestsInContainer(containerIssueId, containerType) {
+  const field = containerType === 'testPlan' ? 'getTestPlan' : 'getTestSet';
+  const query = `
+    query GetContainerTests($issueId: String!, $start: Int, $limit: Int!) {
+      ${field}(issueId: $issueId) {
+        issueId
+        tests(start: $start, limit: $limit) {
+          results {
+            issueId
+            jira(fields: ["key"])
+          }
+          total
+        }
+      }
+    }
+  `;
+
+  const tests = await fetchXrayPages(async (start, limit) => {
+    const result = await executeXrayGraphQL(query, { issueId: containerIssueId, start, limit });
+    return result.data[field] ? result.data[field].tests : null;
+  }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
+
+  if (!tests) {
+    throw new ActionError('VALIDATION', `Issue ${containerIssueId} is not a ${containerType === 'testPlan' ? 'Test Plan' : 'Test Set'} in Xray`);
+  }
+
+  return tests.results.map(test => ({
+    issueId: test.issueId,
+    key: parseXrayJira(test.jira)?.key
+  }));
+}
+
+// Xray container issue types and the GraphQL mutations that create them and change their tests
+const TEST_CONTAINERS = {
+  testSet: { issueType: 'Test Set', create: 'createTestSet', add: 'addTestsToTestSet', remove: 'removeTestsFromTestSet' },
+  testPlan: { issueType: 'Test Plan', create: 'createTestPlan', add: 'addTestsToTestPlan', remove: 'removeTestsFromTestPlan' }
+};
+
+// Function to check that a resolved issue is a Test Set / Test Plan before changing its tests
+function assertContainerIssue(issue, containerType) {
+  const expected = TEST_CONTAINERS[containerType].issueType;
+  const actual = issue.fields?.issuetype?.name;
+  if (actual && actual.toLowerCase() !== expected.toLowerCase()) {
+    throw new ActionError('VALIDATION', `${issue.key} is a ${actual}, not a ${expected}`);
+  }
+}
+
+// Function to add tests to a Test Set or Test Plan; returns { addedTests, warning }
+async function addTestsToContainer(containerIssueId, containerType, testIssueIds) {
+  const mutationName = TEST_CONTAINERS[containerType].add;
+  const result = await executeXrayGraphQL(`
+    mutation AddTestsToContainer($issueId: String!, $testIssueIds: [String]!) {
+      ${mutationName}(issueId: $issueId, testIssueIds: $testIssueIds) {
+        addedTests
+        warning
+      }
+    }
+  `, { issueId: String(containerIssueId), testIssueIds: testIssueIds.map(String) });
+  return result.data[mutationName] || { addedTests: [], warning: null };
+}
+
+// Function to remove tests from a Test Set or Test Plan
+async function removeTestsFromContainer(containerIssueId, containerType, testIssueIds) {
+  const mutationName = TEST_CONTAINERS[containerType].remove;
+  await executeXrayGraphQL(`
+    mutation RemoveTestsFromContainer($issueId: String!, $testIssueIds: [String]!) {
+      ${mutationName}(issueId: $issueId, testIssueIds: $testIssueIds)
+    }
+  `, { issueId: String(containerIssueId), testIssueIds: testIssueIds.map(String) });
+}
+
+// Function to resolve the optional testSetKey / testPlanKey inputs of the create actions
+async function resolveTargetContainers(payload) {
+  const targets = [['testSet', payload.testSetKey], ['testPlan', payload.testPlanKey]]
+    .map(([type, key]) => [type, normaliseIssueKey(key)])
+    .filter(([, key]) => key);
+  if (targets.length === 0) return [];
+
+  const issuesByKey = await searchIssuesByKeys(targets.map(([, key]) => key));
+  return targets.map(([type, key]) => {
+    const issue = issuesByKey.get(key);
+    assertContainerIssue(issue, type);
+    return { type, key, issueId: issue.id };
+  });
+}
+
+// Function to parse the `jira` field of Xray GraphQL results (returned as JSON or a JSON string)
+function parseXrayJira(jira) {
+  if (!jira) return null;
+  try {
+    return typeof jira === 'string' ? JSON.parse(jira) : jira;
+  } catch (error) {
+    console.warn('Failed to parse Xray jira field:', error.message);
+    return null;
+  }
+}
+
+// Function to resolve an assignee input to an Atlassian account id — accepts an account id,
+// or an email / display name that matches exactly one user
+async function resolveAssigneeAccountId(assignee) {
+  if (!assignee) return null;
+  const value = String(assignee).trim();
+  if (/^[0-9a-f]{24}$/i.test(value) || /^\d+:[0-9a-f-]+$/i.test(value)) {
+    return value;
+  }
+
+  const response = await api.asUser().requestJira(route`/rest/api/3/user/search?query=${value}`, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok) {
+    throw new JiraApiError(
+      `Failed to search users for assignee "${value}": ${response.status} ${response.statusText}` +
+        (response.status === 403 ? ' — give the assignee as an account id, or check the app has the read:jira-user scope and the user can browse users' : ''),
+      { status: response.status }
+    );
+  }
+
+  const users = (await response.json()).filter(user => user.accountType === 'atlassian' && user.active !== false);
+  const exact = users.filter(user =>
+    user.emailAddress?.toLowerCase() === value.toLowerCase() ||
+    user.displayName?.toLowerCase() === value.toLowerCase()
+  );
+  const matches = exact.length > 0 ? exact : users;
+  if (matches.length !== 1) {
+    throw new ActionError('VALIDATION', matches.length === 0
+      ? `No active user found for assignee "${value}"`
+      : `Assignee "${value}" matches ${matches.length} users — please provide an account id`);
+  }
+  return matches[0].accountId;
+}
+
+/**
+ * Creates a journal of the issues and links written during one action, so a failed action can
+ * remove what it already wrote instead of leaving orphans behind.
+ *
+ * Each artifact is reported as { type, ...details, status } where status is "created", "failed",
+ * "rolledBack" or "rollbackFailed" (with `error`). Undo callbacks run in reverse order.
+ */
+function createRollbackJournal() {
+  const entries = [];
+
+  return {
+    // Record a successful write with the callback that undoes it
+    record(type, details, undo) {
+      entries.push({ artifact: { type, ...details, status: 'created' }, undo });
+    },
+    // Record a write that failed (nothing to undo)
+    fail(type, details, error) {
+      entries.push({ artifact: { type, ...details, status: 'failed', error: error.message }, undo: null });
+    },
+    hasWrites() {
+      return entries.some(entry => entry.undo);
+    },
+    artifacts() {
+      return entries.map(entry => ({ ...entry.artifact }));
+    },
+    // Undo every recorded write, newest first; returns true if everything was undone
+    async rollback() {
+      let complete = true;
+      // Undoing Xray writes may use the time reserved for rollbacks
+      xrayRollbackInProgress = true;
+      try {
+        for (const entry of [...entries].reverse()) {
+          if (!entry.undo || entry.artifact.status !== 'created') continue;
+          const label = entry.artifact.key || entry.artifact.type;
+          try {
+            await entry.undo();
+            entry.artifact.status = 'rolledBack';
+            console.log(`↩️ Rolled back ${entry.artifact.type} ${label}`);
+          } catch (error) {
+            complete = false;
+            entry.artifact.status = 'rollbackFailed';
+            entry.artifact.error = error.message;
+            console.error(`❌ Failed to roll back ${entry.artifact.type} ${label}:`, error.message);
+          }
+        }
+      } finally {
+        xrayRollbackInProgress = false;
+      }
+      return complete;
+    }
+  };
+}
+
+// Function to delete a Jira issue (used to roll back issues created by a failed action)
+async function deleteJiraIssue(issueIdOrKey) {
+  const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueIdOrKey}?deleteSubtasks=true`, {
+    method: 'DELETE',
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok && response.status !== 404) {
+    const errorText = await response.text();
+    throw new JiraApiError(`Failed to delete issue ${issueIdOrKey}: ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
+  }
+}
+
+// Function to delete the issue links between two issues
+async function deleteIssueLinksBetween(issueId, otherIssueId) {
+  const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=issuelinks`, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  if (response.status === 404) return;
+  if (!response.ok) {
+    throw new JiraApiError(`Failed to read the links of issue ${issueId}: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+
+  const links = ((await response.json()).fields.issuelinks || []).filter(link =>
+    (link.inwardIssue || link.outwardIssue)?.id === String(otherIssueId)
+  );
+  for (const link of links) {
+    const deleteResponse = await api.asUser().requestJira(route`/rest/api/3/issueLink/${link.id}`, {
+      method: 'DELETE'
+    });
+    if (!deleteResponse.ok && deleteResponse.status !== 404) {
+      throw new JiraApiError(`Failed to delete issue link ${link.id}: ${deleteResponse.status} ${deleteResponse.statusText}`, { status: deleteResponse.status });
+    }
+  }
+}
+
+// Main function to handle user choice of data type
+async function getXrayData(payload) {
+  console.log('🎯 === STARTING getXrayData FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+
+  // Several issues, several data types or "all": one batched profile per issue
+  if (payload.issueKeys || payload.dataTypes || String(payload.dataType || '').toLowerCase() === 'all') {
+    return await getXrayDataBatch({ ...payload, issueKeys: payload.issueKeys || payload.issueId });
+  }
+  
+  // If no dataType is specified, ask the user what they want
+  if (!payload.dataType) {
+    return {
+      message: "What Xray data would you like to retrieve for this test case?",
+      options: [
+        { id: "test-steps", label: "Test Steps", description: "Get test steps, actions, and expected results" },
+        { id: "preconditions", label: "Preconditions", description: "Get test preconditions and requirements" },
+        { id: "test-sets", label: "Test Sets", description: "Get test sets containing this test" },
+        { id: "test-plans", label: "Test Plans", description: "Get test plans containing this test" },
+        { id: "test-runs", label: "Test Runs", description: "Get execution history and results" },
+        { id: "all", label: "All", description: "Get steps, preconditions, sets, plans and latest runs together" }
+      ]
+    };
+  }
+  
+  // Route to appropriate function based on user choice
+  switch (payload.dataType) {
+    case 'test-steps':
+      return await getTestSteps(payload);
+    case 'preconditions':
+      return await getPreconditions(payload);
+    case 'test-sets':
+      return await getTestSets(payload);
+    case 'test-plans':
+      return await getTestPlans(payload);
+    case 'test-runs':
+      return await getTestRuns(payload);
+    default:
+      throw new ActionError('VALIDATION', `Unknown data type: ${payload.dataType}`);
+  }
+}
+
+// Data types of get-xray-data; "all" selects every one of them
+const XRAY_DATA_TYPES = ['test-steps', 'preconditions', 'test-sets', 'test-plans', 'test-runs'];
+// Maximum number of issues in one batched get-xray-data call
+const MAX_XRAY_DATA_ISSUES = 100;
+// Tests per getTests query: with up to 100 preconditions, sets, plans and runs per test,
+// 20 tests stay within Xray's limit on the number of items one query may return
+const XRAY_DATA_BATCH_SIZE = 20;
+// Number of most recent runs listed per test (besides the latest)
+const XRAY_DATA_RECENT_RUNS = 5;
+
+// Function to parse the requested data types ("all" expands to every type)
+function parseXrayDataTypes(value) {
+  const requested = parseListInput(value, 'dataTypes').map(type => type.toLowerCase());
+  if (requested.length === 0 || requested.includes('all')) return [...XRAY_DATA_TYPES];
+
+  const unknown = requested.filter(type => !XRAY_DATA_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ActionError('VALIDATION', `Unknown data type(s): ${unknown.join(', ')}. Use ${XRAY_DATA_TYPES.join(', ')} or all`);
+  }
+  return [...new Set(requested)];
+}
+
+// Function to build the getTests query selecting only the requested data types
+function buildXrayDataQuery(dataTypes) {
+  const jiraList = (field, jiraFields) => `
+          ${field}(limit: ${XRAY_MAX_PAGE_SIZE}) {
+            total
+            results {
+              issueId
+              jira(fields: ${JSON.stringify(jiraFields)})
+            }
+          }`;
+  return `
+    query GetXrayDataBatch($issueIds: [String], $limit: Int!) {
+      getTests(issueIds: $issueIds, limit: $limit) {
+        total
+        results {
+          issueId
+          jira(fields: ["key"])
+          testType {
+            name
+            kind
+          }${dataTypes.includes('test-steps') ? `
+          steps {
+            id
+            action
+            data
+            result
+          }
+          gherkin
+          unstructured` : ''}${dataTypes.includes('preconditions') ? jiraList('preconditions', ['key', 'summary', 'status']) : ''}${dataTypes.includes('test-sets') ? jiraList('testSets', ['key', 'summary']) : ''}${dataTypes.includes('test-plans') ? jiraList('testPlans', ['key', 'summary', 'status']) : ''}${dataTypes.includes('test-runs') ? `
+          testRuns(limit: ${XRAY_MAX_PAGE_SIZE}) {
+            total
+            results {
+              id
+              status {
+                name
+              }
+              startedOn
+              finishedOn
+              testExecution {
+                issueId
+                jira(fields: ["key", "summary"])
+              }
+            }
+          }` : ''}
+        }
+      }
+    }
+  `;
+}
+
+// Function to format a run for a test profile
+function formatProfileRun(run, jiraBaseUrl) {
+  const execution = parseXrayJira(run.testExecution?.jira);
+  return {
+    id: run.id,
+    status: run.status?.name || null,
+    startedOn: run.startedOn || null,
+    finishedOn: run.finishedOn || null,
+    testExecution: execution?.key ? {
+      key: execution.key,
+      summary: execution.summary || null,
+      url: `${jiraBaseUrl}/browse/${execution.key}`
+    } : null
+  };
+}
+
+/**
+ * Batched get-xray-data: profiles several tests at once. All keys are resolved with one Jira search
+ * and the data of up to 20 tests is read with one getTests query selecting only the requested types.
+ *
+ * @param {object} payload
+ * @param {string} payload.issueKeys - JSON array or comma-separated list of test keys or numeric issue ids
+ * @param {string} [payload.dataTypes] - Data types to include (test-steps, preconditions, test-sets, test-plans, test-runs or all)
+ * @returns {Promise<object>} profiles (one per key, in the order given), notTests and a summary message
+ */
+async function getXrayDataBatch(payload) {
+  console.log('🚀 === getXrayDataBatch STARTED ===');
+
+  const requested = [...new Set(parseListInput(payload.issueKeys, 'issueKeys').map(normaliseIssueKey))];
+  const dataTypes = parseXrayDataTypes(payload.dataTypes || payload.dataType);
+  if (requested.length === 0) throw new ActionError('VALIDATION', 'issueKeys is required');
+  if (requested.length > MAX_XRAY_DATA_ISSUES) {
+    throw new ActionError('VALIDATION', `At most ${MAX_XRAY_DATA_ISSUES} issues can be retrieved at once (got ${requested.length})`);
+  }
+
+  try {
+    // Numeric issue ids are resolved separately and replaced by their keys, so the rest works on keys only
+    const fields = ['summary', 'issuetype', 'status'];
+    const issueIds = requested.filter(value => ISSUE_ID_PATTERN.test(value));
+    const issuesByKey = await searchIssuesByKeys(requested.filter(value => !ISSUE_ID_PATTERN.test(value)), fields);
+    const issuesById = await searchIssuesByIds(issueIds, fields);
+    issuesById.forEach(issue => issuesByKey.set(issue.key, issue));
+    const issueKeys = [...new Set(requested.map(value => issuesById.get(value)?.key || value))];
+    const jiraBaseUrl = getJiraBaseUrl(issuesByKey.values().next().value);
+    console.log(`🔎 Resolved ${issuesByKey.size} issue(s); fetching ${dataTypes.join(', ')}`);
+
+    const query = buildXrayDataQuery(dataTypes);
+    const testsById = new Map();
+    for (let i = 0; i < issueKeys.length; i += XRAY_DATA_BATCH_SIZE) {
+      const batch = issueKeys.slice(i, i + XRAY_DATA_BATCH_SIZE).map(key => String(issuesByKey.get(key).id));
+      const result = await executeXrayGraphQL(query, { issueIds: batch, limit: batch.length });
+      (result.data.getTests?.results || []).forEach(test => testsById.set(String(test.issueId), test));
+    }
+
+    // Nested run lists stop at 100 runs in no particular order: read the full history of tests with more
+    const runHistory = dataTypes.includes('test-runs')
+      ? await getRunHistoryByTest([...testsById.values()].filter(test => test.testRuns?.total > XRAY_MAX_PAGE_SIZE).map(test => test.issueId))
+      : new Map();
+
+    const link = item => {
+      const jira = parseXrayJira(item.jira);
+      return {
+        issueId: item.issueId,
+        key: jira?.key || null,
+        summary: jira?.summary || null,
+        ...(jira?.status ? { status: jira.status.name } : {}),
+        url: jira?.key ? `${jiraBaseUrl}/browse/${jira.key}` : null
+      };
+    };
+
+    const notTests = [];
+    const profiles = issueKeys.map(key => {
+      const issue = issuesByKey.get(key);
+      const test = testsById.get(String(issue.id));
+      const profile = {
+        key,
+        issueId: issue.id,
+        summary: issue.fields.summary,
+        url: `${jiraBaseUrl}/browse/${key}`,
+        isTest: Boolean(test)
+      };
+      if (!test) {
+        notTests.push(key);
+        profile.message = `${key} is a ${issue.fields.issuetype?.name || 'non-Test'} issue, not a Test in Xray`;
+        return profile;
+      }
+
+      profile.testType = test.testType?.name || 'Manual';
+      if (dataTypes.includes('test-steps')) {
+        profile.steps = (test.steps || []).map((step, index) => ({
+          stepNumber: index + 1,
+          id: step.id,
+          action: step.action,
+          data: step.data,
+          expectedResult: step.result
+        }));
+        profile.gherkin = test.gherkin || null;
+        profile.unstructured = test.unstructured || null;
+      }
+      if (dataTypes.includes('preconditions')) profile.preconditions = test.preconditions.results.map(link);
+      if (dataTypes.includes('test-sets')) profile.testSets = test.testSets.results.map(link);
+      if (dataTypes.includes('test-plans')) profile.testPlans = test.testPlans.results.map(link);
+      if (dataTypes.includes('test-runs')) {
+        const runTime = run => Date.parse(run.finishedOn || run.startedOn || 0) || 0;
+        const runs = (runHistory.get(String(test.issueId)) || [...test.testRuns.results])
+          .sort((a, b) => runTime(b) - runTime(a));
+        profile.latestRun = runs.length > 0 ? formatProfileRun(runs[0], jiraBaseUrl) : null;
+        profile.recentRuns = runs.slice(0, XRAY_DATA_RECENT_RUNS).map(run => formatProfileRun(run, jiraBaseUrl));
+        profile.runCount = test.testRuns.total;
+      }
+      return profile;
+    });
+
+    const describeProfile = profile => {
+      if (!profile.isTest) return `• ${profile.key}: ${profile.message}`;
+      const parts = [];
+      if (profile.steps) parts.push(profile.gherkin || profile.unstructured ? 'definition' : `${profile.steps.length} step(s)`);
+      if (profile.preconditions) parts.push(`${profile.preconditions.length} precondition(s)`);
+      if (profile.testSets) parts.push(`${profile.testSets.length} Test Set(s)`);
+      if (profile.testPlans) parts.push(`${profile.testPlans.length} Test Plan(s)`);
+      if (profile.latestRun !== undefined) {
+        parts.push(profile.latestRun
+          ? `latest run ${profile.latestRun.status}${profile.latestRun.testExecution ? ` in ${profile.latestRun.testExecution.key}` : ''}`
+          : 'never run');
+      }
+      return `• ${profile.key} (${profile.testType}): ${parts.join(', ')} — ${profile.url}`;
+    };
+
+    console.log(`🎉 === getXrayDataBatch COMPLETED SUCCESSFULLY === (${profiles.length - notTests.length} test(s))`);
+    return {
+      dataTypes,
+      profiles,
+      notTests,
+      message: `Xray data for ${profiles.length} issue(s):\n${profiles.map(describeProfile).join('\n')}`
+    };
+  } catch (error) {
+    console.error('💥 === getXrayDataBatch FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+// Function to get test steps (original functionality)
+async function getTestSteps(payload) {
+  console.log('🎯 === STARTING getTestSteps FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+  
+  let issueId = payload.issueId;
+  console.log('🎫 Raw issueId:', issueId);
+  
+  if (!issueId) {
+    console.error('❌ Issue ID validation failed - no issueId provided');
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  // Extract issue key from URL if a full URL is provided
+  if (issueId.includes('/browse/')) {
+    const urlParts = issueId.split('/browse/');
+    issueId = urlParts[urlParts.length - 1];
+    console.log('🔧 Extracted issue key from URL:', issueId);
+  }
+  
+  console.log('🎫 Final issueKey to use:', issueId);
+  console.log('✅ Issue key validation passed');
+
+  // Convert issue key to issue ID for Xray API (with timeout handling)
+  console.log('🔄 Converting issue key to issue ID for Xray...');
+  let numericIssueId;
+  try {
+    // Set a shorter timeout for Jira API call
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+    
+    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!jiraResponse.ok) {
+      throw new JiraApiError(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`, { status: jiraResponse.status });
+    }
+    
+    const jiraData = await jiraResponse.json();
+    numericIssueId = jiraData.id;
+    console.log(`✅ Converted issue key ${issueId} to numeric ID: ${numericIssueId}`);
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error('❌ Jira API call timed out after 5 seconds');
+      throw new ActionError('UPSTREAM_TIMEOUT', `Jira API timeout when getting issue ID for ${issueId}`);
+    }
+    if (error instanceof ActionError || error instanceof JiraApiError) throw error;
+    console.error('❌ Failed to convert issue key to ID:', error.message);
+    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    console.log('📝 Preparing GraphQL query...');
+    
+    // GraphQL query to get test steps and related data
+    const query = `
+      query GetTestData($issueId: String!) {
+        getTest(issueId: $issueId) {
+          issueId
+          testType {
+            name
+            kind
+          }
+          steps {
+            id
+            action
+            data
+            result
+          }
+          gherkin
+          unstructured
+        }
+      }
+    `;
+
+    const variables = { issueId: numericIssueId };
+    console.log('🔧 Query variables prepared:', JSON.stringify(variables, null, 2));
+    console.log(`🔧 Using numeric issue ID ${numericIssueId} for Xray GraphQL query`);
+    console.log('📤 Executing GraphQL query...');
+    
+    const result = await executeXrayGraphQL(query, variables);
+    console.log('📥 GraphQL query completed');
+    
+    if (!result.data.getTest) {
+      console.error('❌ No getTest data in GraphQL response');
+      console.error('❌ Available data keys:', Object.keys(result.data));
+      console.error('❌ getTest value:', result.data.getTest);
+      console.error('❌ This usually means the issue is not a Test issue or doesn\'t exist in Xray');
+      
+      // Try a simpler query to see if we can get any info about this issue
+      console.log('🔍 Attempting to verify if issue exists with simpler query...');
+      try {
+        const simpleQuery = `
+          query CheckIssue($issueId: String!) {
+            getTest(issueId: $issueId) {
+              issueId
+            }
+          }
+        `;
+        const simpleResult = await executeXrayGraphQL(simpleQuery, { issueId });
+        console.log('🔍 Simple query result:', JSON.stringify(simpleResult, null, 2));
+      } catch (error) {
+        console.log('🔍 Simple query also failed:', error.message);
+      }
+      
+      return {
+        issueId: issueId,
+        message: `Issue ${issueId} is a Test issue but has no test steps or test data defined in Xray yet. Please add test steps in Xray Cloud to see test data.`,
+        testType: null,
         preconditions: [],
         steps: [],
         unstructured: null,
@@ -333,1075 +1539,4483 @@ export async function getTestSteps(payload) {
       };
     }
 
-    console.log('✅ getTest data found in GraphQL response');
-    const testData = result.data.getTest;
-    console.log('📊 Raw test data:', JSON.stringify(testData, null, 2));
-    
-    console.log('🔄 Starting response formatting...');
+    console.log('✅ getTest data found in GraphQL response');
+    const testData = result.data.getTest;
+    console.log('📊 Raw test data:', JSON.stringify(testData, null, 2));
+    
+    console.log('🔄 Starting response formatting...');
+    
+    // Format the response for better readability
+    const steps = testData.steps?.map((step, index) => {
+      console.log(`📋 Processing step ${index + 1}:`, step);
+      return {
+        stepNumber: index + 1,
+        id: step.id,
+        action: step.action,
+        data: step.data,
+        expectedResult: step.result
+      };
+    }) || [];
+    
+    console.log(`📋 Processed ${steps.length} test steps`);
+    
+    const formattedResponse = {
+      issueId: testData.issueId,
+      testType: testData.testType,
+      preconditions: testData.preconditions?.results || [],
+      steps: steps,
+      unstructured: testData.unstructured,
+      gherkin: testData.gherkin
+    };
+
+    // Cucumber and Generic tests keep their definition outside of the step list
+    if (testData.testType?.kind === 'Gherkin' || testData.testType?.kind === 'Unstructured') {
+      const definitionField = testData.testType.kind === 'Gherkin' ? 'gherkin' : 'unstructured';
+      formattedResponse.message = `${testData.testType.name} test — its definition is in the "${definitionField}" field instead of steps.`;
+    }
+
+    console.log('✅ Response formatting completed');
+    console.log('📤 Final formatted response:', JSON.stringify(formattedResponse, null, 2));
+    console.log(`🎉 Successfully retrieved Xray data for issue ${issueId}`);
+    console.log('🎯 === ENDING getXrayData FUNCTION ===');
+    
+    return formattedResponse;
+    
+  } catch (error) {
+    console.error(`💥 Error retrieving Xray data for issue ${issueId}:`, error);
+    console.error('💥 Error stack:', error.stack);
+    console.error('🎯 === ENDING getTestSteps FUNCTION WITH ERROR ===');
+    throw new Error(`Failed to retrieve Xray data: ${error.message}`, { cause: error });
+  }
+}
+
+// Function to get preconditions
+async function getPreconditions(payload) {
+  console.log('🎯 === STARTING getPreconditions FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+  
+  let issueId = payload.issueId;
+  console.log('🎫 Raw issueId:', issueId);
+  
+  if (!issueId) {
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  const pagination = parsePaginationInput(payload, 100);
+
+  // Extract issue key from URL if needed
+  if (issueId.includes('/browse/')) {
+    const urlParts = issueId.split('/browse/');
+    issueId = urlParts[urlParts.length - 1];
+    console.log('🔧 Extracted issue key from URL:', issueId);
+  }
+  
+  console.log('🎫 Final issueKey to use:', issueId);
+
+  // Convert issue key to issue ID for Xray API and determine Jira base URL
+  let numericIssueId;
+  let jiraBaseUrl;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!jiraResponse.ok) {
+      throw new JiraApiError(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`, { status: jiraResponse.status });
+    }
+    
+    const jiraData = await jiraResponse.json();
+    numericIssueId = jiraData.id;
+    
+    // Extract base URL from the Jira API response 'self' field
+    if (!jiraData.self) {
+      throw new Error('Jira API response missing "self" field - cannot determine base URL');
+    }
+    jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+    
+    console.log(`✅ Converted issue key ${issueId} to numeric ID: ${numericIssueId}`);
+    console.log(`🌐 Jira base URL: ${jiraBaseUrl}`);
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ActionError('UPSTREAM_TIMEOUT', `Jira API timeout when getting issue ID for ${issueId}`);
+    }
+    if (error instanceof ActionError || error instanceof JiraApiError) throw error;
+    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    const query = `
+      query GetTestPreconditions($issueId: String!, $start: Int, $limit: Int!) {
+        getTest(issueId: $issueId) {
+          issueId
+          preconditions(start: $start, limit: $limit) {
+            results {
+              issueId
+              jira(fields: ["key", "summary", "status"])
+            }
+            total
+          }
+        }
+      }
+    `;
+
+    const preconditionsData = await fetchXrayPages(async (start, limit) => {
+      const result = await executeXrayGraphQL(query, { issueId: numericIssueId, start, limit });
+      return result.data.getTest ? result.data.getTest.preconditions || { results: [], total: 0 } : null;
+    }, pagination);
+
+    if (!preconditionsData) {
+      return {
+        issueId: issueId,
+        message: `Issue ${issueId} is a Test issue but has no preconditions defined in Xray yet.`,
+        preconditions: [],
+        total: 0
+      };
+    }
+    
+    // Format preconditions with clickable Jira links
+    const formattedPreconditions = preconditionsData.results.map(precondition => {
+      // Parse the jira field as JSON since it's returned as JSON type
+      let jiraData = null;
+      try {
+        jiraData = typeof precondition.jira === 'string' ? JSON.parse(precondition.jira) : precondition.jira;
+      } catch (error) {
+        console.warn('Failed to parse jira data for precondition:', precondition.issueId, error);
+      }
+      
+      const jiraKey = jiraData?.key;
+      const jiraSummary = jiraData?.summary;
+      const jiraStatus = jiraData?.status?.name;
+      
+      return {
+        issueId: precondition.issueId,
+        key: jiraKey,
+        summary: jiraSummary,
+        status: jiraStatus,
+        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
+        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
+        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
+        linkDisplay: jiraKey ? `Precondition: ${jiraBaseUrl}/browse/${jiraKey}` : null
+      };
+    });
+    
+    // Create a summary message with links
+    let summaryMessage = `Found ${preconditionsData.total} precondition(s) for test ${issueId}${describePage(preconditionsData.pagination, preconditionsData.total)}`;
+    if (formattedPreconditions.length > 0) {
+      summaryMessage += '\n\nPreconditions:\n';
+      formattedPreconditions.forEach(precondition => {
+        if (precondition.key) {
+          summaryMessage += `• ${precondition.key}: ${jiraBaseUrl}/browse/${precondition.key}\n`;
+        }
+      });
+    }
+
+    const formattedResponse = {
+      issueId: issueId,
+      preconditions: formattedPreconditions,
+      total: preconditionsData.total,
+      pagination: preconditionsData.pagination,
+      message: summaryMessage,
+      jiraBaseUrl: jiraBaseUrl,
+      // Provide direct access to URLs for the UI
+      preconditionLinks: formattedPreconditions.map(precondition => ({
+        key: precondition.key,
+        url: precondition.link,
+        summary: precondition.summary
+      })).filter(link => link.key)
+    };
+
+    console.log('🎉 === getPreconditions COMPLETED SUCCESSFULLY ===');
+    return formattedResponse;
+  } catch (error) {
+    console.error('💥 === getPreconditions FAILED ===');
+    console.error('💥 Error details:', error.message);
+    throw error;
+  }
+}
+
+// Function to get test sets
+async function getTestSets(payload) {
+  console.log('🎯 === STARTING getTestSets FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+  
+  let issueId = payload.issueId;
+  
+  if (!issueId) {
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  const pagination = parsePaginationInput(payload, 50);
+
+  // Extract issue key from URL if needed
+  if (issueId.includes('/browse/')) {
+    const urlParts = issueId.split('/browse/');
+    issueId = urlParts[urlParts.length - 1];
+  }
+
+  // Convert issue key to issue ID for Xray API and determine Jira base URL
+  let numericIssueId;
+  let jiraBaseUrl;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+
+    if (!jiraResponse.ok) {
+      throw new JiraApiError(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`, { status: jiraResponse.status });
+    }
+
+    const jiraData = await jiraResponse.json();
+    numericIssueId = jiraData.id;
+    
+    // Use the original payload URL if it was provided, otherwise extract from Jira API response
+    if (payload.issueId && payload.issueId.includes('/browse/')) {
+      const originalUrl = payload.issueId;
+      const urlParts = originalUrl.split('/browse/');
+      jiraBaseUrl = urlParts[0];
+    } else {
+      // Extract base URL from the Jira API response 'self' field
+      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+    }
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ActionError('UPSTREAM_TIMEOUT', `Jira API timeout when getting issue ID for ${issueId}`);
+    }
+    if (error instanceof ActionError || error instanceof JiraApiError) throw error;
+    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    const query = `
+      query GetTestSetsContainingTest($issueId: String!, $start: Int, $limit: Int!) {
+        getTests(issueIds: [$issueId], limit: 10) {
+          results {
+            testSets(start: $start, limit: $limit) {
+              results {
+                issueId
+                jira(fields: ["key", "summary", "status"])
+              }
+              total
+            }
+          }
+        }
+      }
+    `;
+
+    const testSetsData = await fetchXrayPages(async (start, limit) => {
+      const result = await executeXrayGraphQL(query, { issueId: numericIssueId, start, limit });
+      return result.data.getTests?.results?.[0]?.testSets || { results: [], total: 0 };
+    }, pagination);
+    
+    // Format test sets with clickable Jira links
+    const formattedTestSets = testSetsData.results.map(testSet => {
+      // Parse the jira field as JSON since it's returned as JSON type
+      let jiraData = null;
+      try {
+        jiraData = typeof testSet.jira === 'string' ? JSON.parse(testSet.jira) : testSet.jira;
+      } catch (error) {
+        console.warn('Failed to parse jira data for test set:', testSet.issueId, error);
+      }
+      
+      const jiraKey = jiraData?.key;
+      const jiraSummary = jiraData?.summary;
+      const jiraStatus = jiraData?.status?.name;
+      
+      return {
+        issueId: testSet.issueId,
+        key: jiraKey,
+        summary: jiraSummary,
+        status: jiraStatus,
+        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
+        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
+        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
+        linkDisplay: jiraKey ? `Test Set: [${jiraKey}](${jiraBaseUrl}/browse/${jiraKey}) - ${jiraSummary}` : null
+      };
+    });
+    
+    const formattedResponse = {
+      issueId: issueId,
+      testSets: formattedTestSets,
+      total: testSetsData.total,
+      pagination: testSetsData.pagination,
+      message: `Found ${testSetsData.total} test set(s) containing test ${issueId}${describePage(testSetsData.pagination, testSetsData.total)}`,
+      jiraBaseUrl: jiraBaseUrl
+    };
+
+    console.log('🎉 === getTestSets COMPLETED SUCCESSFULLY ===');
+    return formattedResponse;
+  } catch (error) {
+    console.error('💥 === getTestSets FAILED ===');
+    console.error('💥 Error details:', error.message);
+    throw error;
+  }
+}
+
+// Function to get test plans
+async function getTestPlans(payload) {
+  console.log('🎯 === STARTING getTestPlans FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+  
+  let issueId = payload.issueId;
+  
+  if (!issueId) {
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  const pagination = parsePaginationInput(payload, 50);
+
+  // Extract issue key from URL if needed
+  if (issueId.includes('/browse/')) {
+    const urlParts = issueId.split('/browse/');
+    issueId = urlParts[urlParts.length - 1];
+  }
+
+  // Convert issue key to issue ID for Xray API and determine Jira base URL
+  let numericIssueId;
+  let jiraBaseUrl;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+
+    if (!jiraResponse.ok) {
+      throw new JiraApiError(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`, { status: jiraResponse.status });
+    }
+
+    const jiraData = await jiraResponse.json();
+    numericIssueId = jiraData.id;
+    
+    // Use the original payload URL if it was provided, otherwise extract from Jira API response
+    if (payload.issueId && payload.issueId.includes('/browse/')) {
+      const originalUrl = payload.issueId;
+      const urlParts = originalUrl.split('/browse/');
+      jiraBaseUrl = urlParts[0];
+    } else {
+      // Extract base URL from the Jira API response 'self' field
+      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+    }
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ActionError('UPSTREAM_TIMEOUT', `Jira API timeout when getting issue ID for ${issueId}`);
+    }
+    if (error instanceof ActionError || error instanceof JiraApiError) throw error;
+    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    const query = `
+      query GetTestPlansContainingTest($issueId: String!, $start: Int, $limit: Int!) {
+        getTests(issueIds: [$issueId], limit: 10) {
+          results {
+            testPlans(start: $start, limit: $limit) {
+              results {
+                issueId
+                jira(fields: ["key", "summary", "status"])
+              }
+              total
+            }
+          }
+        }
+      }
+    `;
+
+    const testPlansData = await fetchXrayPages(async (start, limit) => {
+      const result = await executeXrayGraphQL(query, { issueId: numericIssueId, start, limit });
+      return result.data.getTests?.results?.[0]?.testPlans || { results: [], total: 0 };
+    }, pagination);
+    
+    // Format test plans with clickable Jira links
+    const formattedTestPlans = testPlansData.results.map(testPlan => {
+      // Parse the jira field as JSON since it's returned as JSON type
+      let jiraData = null;
+      try {
+        jiraData = typeof testPlan.jira === 'string' ? JSON.parse(testPlan.jira) : testPlan.jira;
+      } catch (error) {
+        console.warn('Failed to parse jira data for test plan:', testPlan.issueId, error);
+      }
+      
+      const jiraKey = jiraData?.key;
+      const jiraSummary = jiraData?.summary;
+      const jiraStatus = jiraData?.status?.name;
+      
+      return {
+        issueId: testPlan.issueId,
+        key: jiraKey,
+        summary: jiraSummary,
+        status: jiraStatus,
+        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
+        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
+        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
+        linkDisplay: jiraKey ? `Test Plan: [${jiraKey}](${jiraBaseUrl}/browse/${jiraKey}) - ${jiraSummary}` : null
+      };
+    });
+    
+    const formattedResponse = {
+      issueId: issueId,
+      testPlans: formattedTestPlans,
+      total: testPlansData.total,
+      pagination: testPlansData.pagination,
+      message: `Found ${testPlansData.total} test plan(s) containing test ${issueId}${describePage(testPlansData.pagination, testPlansData.total)}`,
+      jiraBaseUrl: jiraBaseUrl
+    };
+
+    console.log('🎉 === getTestPlans COMPLETED SUCCESSFULLY ===');
+    return formattedResponse;
+  } catch (error) {
+    console.error('💥 === getTestPlans FAILED ===');
+    console.error('💥 Error details:', error.message);
+    throw error;
+  }
+}
+
+// Function to get test runs
+async function getTestRuns(payload) {
+  console.log('🎯 === STARTING getTestRuns FUNCTION ===');
+  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
+  
+  let issueId = payload.issueId;
+  
+  if (!issueId) {
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  const pagination = parsePaginationInput(payload, 50);
+
+  // Extract issue key from URL if needed
+  if (issueId.includes('/browse/')) {
+    const urlParts = issueId.split('/browse/');
+    issueId = urlParts[urlParts.length - 1];
+  }
+
+  // Convert issue key to issue ID for Xray API and determine Jira base URL
+  let numericIssueId;
+  let jiraBaseUrl;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeoutId);
+
+    if (!jiraResponse.ok) {
+      throw new JiraApiError(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`, { status: jiraResponse.status });
+    }
+
+    const jiraData = await jiraResponse.json();
+    numericIssueId = jiraData.id;
+    
+    // Use the original payload URL if it was provided, otherwise extract from Jira API response
+    if (payload.issueId && payload.issueId.includes('/browse/')) {
+      const originalUrl = payload.issueId;
+      const urlParts = originalUrl.split('/browse/');
+      jiraBaseUrl = urlParts[0];
+    } else {
+      // Extract base URL from the Jira API response 'self' field
+      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+    }
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ActionError('UPSTREAM_TIMEOUT', `Jira API timeout when getting issue ID for ${issueId}`);
+    }
+    if (error instanceof ActionError || error instanceof JiraApiError) throw error;
+    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    const query = `
+      query GetTestRuns($issueId: String!, $start: Int, $limit: Int!) {
+        getTestRuns(testIssueIds: [$issueId], start: $start, limit: $limit) {
+          results {
+            id
+            status {
+              name
+              description
+            }
+            startedOn
+            finishedOn
+            testExecution {
+              issueId
+              jira(fields: ["key", "summary", "status"])
+            }
+          }
+          total
+        }
+      }
+    `;
+
+    const testRunsData = await fetchXrayPages(async (start, limit) => {
+      const result = await executeXrayGraphQL(query, { issueId: numericIssueId, start, limit });
+      return result.data.getTestRuns || { results: [], total: 0 };
+    }, pagination);
+    
+    // Format test runs with clickable Jira links
+    const formattedTestRuns = testRunsData.results.map(testRun => {
+      // Parse the jira field as JSON since it's returned as JSON type
+      let jiraData = null;
+      try {
+        jiraData = typeof testRun.testExecution?.jira === 'string' ? 
+          JSON.parse(testRun.testExecution.jira) : testRun.testExecution?.jira;
+      } catch (error) {
+        console.warn('Failed to parse jira data for test run:', testRun.id, error);
+      }
+      
+      const jiraKey = jiraData?.key;
+      const jiraSummary = jiraData?.summary;
+      const jiraStatus = jiraData?.status?.name;
+      
+      return {
+        id: testRun.id,
+        status: testRun.status?.name,
+        statusDescription: testRun.status?.description,
+        startedOn: testRun.startedOn,
+        finishedOn: testRun.finishedOn,
+        testExecution: {
+          issueId: testRun.testExecution?.issueId,
+          key: jiraKey,
+          summary: jiraSummary,
+          status: jiraStatus,
+          link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
+          linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
+          // Additional link formats for better UI compatibility
+          linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
+          linkDisplay: jiraKey ? `Link to Test Execution: ${jiraBaseUrl}/browse/${jiraKey}` : null,
+          // Provide the raw URL separately for UI to use
+          testExecutionUrl: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
+          testExecutionLabel: jiraKey ? `${jiraKey} - ${jiraSummary}` : null
+        }
+      };
+    });
+    
+    // Create a summary message with links
+    let summaryMessage = `Found ${testRunsData.total} test run(s) for test ${issueId}${describePage(testRunsData.pagination, testRunsData.total)}`;
+    if (formattedTestRuns.length > 0) {
+      summaryMessage += '\n\nTest Executions:\n';
+      formattedTestRuns.forEach(run => {
+        if (run.testExecution.key) {
+          summaryMessage += `• ${run.testExecution.key}: ${run.testExecution.testExecutionUrl}\n`;
+        }
+      });
+    }
+
+    const formattedResponse = {
+      issueId: issueId,
+      testRuns: formattedTestRuns,
+      total: testRunsData.total,
+      pagination: testRunsData.pagination,
+      message: summaryMessage,
+      jiraBaseUrl: jiraBaseUrl,
+      // Provide direct access to URLs for the UI
+      executionLinks: formattedTestRuns.map(run => ({
+        key: run.testExecution.key,
+        url: run.testExecution.testExecutionUrl,
+        label: run.testExecution.testExecutionLabel
+      })).filter(link => link.key)
+    };
+
+    console.log('🎉 === getTestRuns COMPLETED SUCCESSFULLY ===');
+    return formattedResponse;
+  } catch (error) {
+    console.error('💥 === getTestRuns FAILED ===');
+    console.error('💥 Error details:', error.message);
+    throw error;
+  }
+}
+
+async function getUserStory(payload) {
+  console.log('🔍 === getUserStory STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+  
+  const issueId = payload.issueId;
+  
+  if (!issueId) {
+    console.error('💥 Missing required parameter: issueId');
+    throw new ActionError('VALIDATION', 'issueId is required');
+  }
+
+  console.log(`🎯 Finding user story for test: ${issueId}`);
+
+  try {
+    // Get issue links to find the "tests" link type
+    const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      query: {
+        expand: 'issuelinks'
+      }
+    });
+
+    if (!response.ok) {
+      console.error(`💥 Failed to fetch issue ${issueId}: ${response.status} ${response.statusText}`);
+      const errorText = await response.text();
+      console.error('💥 Error response:', errorText);
+      throw new JiraApiError(`Failed to fetch issue: ${response.status} ${response.statusText}`, { status: response.status });
+    }
+
+    const issueData = await response.json();
+    console.log('📄 Issue data retrieved successfully');
+    console.log('🔗 Issue links found:', issueData.fields.issuelinks?.length || 0);
+
+    // Every requirement linked through the test ↔ requirement link type, not just the first one
+    const userStories = findLinkedRequirements(issueData.fields.issuelinks || [], await getXraySettings());
+    userStories.forEach(story => console.log(`📋 Found user story: ${story.key} - ${story.summary}`));
+
+    if (userStories.length === 0) {
+      console.log('⚠️ No user stories found that this test is testing');
+      return {
+        testIssue: {
+          key: issueData.key,
+          summary: issueData.fields.summary
+        },
+        userStories: [],
+        message: 'No user stories found that this test is testing'
+      };
+    }
+
+    const formattedResponse = {
+      testIssue: {
+        key: issueData.key,
+        summary: issueData.fields.summary,
+        issueType: issueData.fields.issuetype.name
+      },
+      userStories: userStories,
+      totalFound: userStories.length,
+      message: userStories.length > 0 
+        ? `Found ${userStories.length} user story/stories that this test is testing`
+        : 'No user stories found that this test is testing'
+    };
+
+    console.log('🎉 === getUserStory COMPLETED SUCCESSFULLY ===');
+    console.log(`✅ Found ${userStories.length} user stories`);
+    
+    return formattedResponse;
+  } catch (error) {
+    console.error('💥 === getUserStory FAILED ===');
+    console.error('💥 Error details:', error.message);
+    throw error;
+  }
+}
+
+// Function to build the details of a requirement for the agent: description and acceptance criteria
+function buildRequirementDetails(issueData, acceptanceCriteriaField) {
+  // Extract the Jira base URL from the issue's self URL
+  // e.g. "https://mysite.atlassian.net/rest/api/3/issue/123" → "https://mysite.atlassian.net"
+  const jiraBaseUrl = issueData.self.replace(/\/rest\/api\/.*/, '');
+
+  // Extract plain text from the ADF description for the agent to read
+  const adfDescription = issueData.fields.description;
+  const descriptionText = adfDescription ? extractTextFromADF(adfDescription) : 'No description provided';
+
+  // Extract acceptance criteria as a structured list — this is the key data
+  // the LLM will use to generate one specific test step per criterion.
+  // A dedicated acceptance criteria field (if present) is read first, then the description.
+  const criteriaField = resolveAcceptanceCriteriaField(issueData, acceptanceCriteriaField);
+  const extractedCriteria = [];
+  if (criteriaField) {
+    const fieldValue = issueData.fields[criteriaField.id];
+    const fieldSource = { field: criteriaField.id, fieldName: criteriaField.name, wholeField: true };
+    console.log(`🧩 Reading acceptance criteria from field ${criteriaField.name} (${criteriaField.id})`);
+    extractedCriteria.push(...(isADFDocument(fieldValue)
+      ? extractAcceptanceCriteriaFromADF(fieldValue, fieldSource)
+      : extractAcceptanceCriteriaFromText(fieldValue, fieldSource)));
+  }
+  extractedCriteria.push(...(adfDescription
+    ? extractAcceptanceCriteriaFromADF(adfDescription)
+    : extractAcceptanceCriteriaFromText(descriptionText)));
+
+  const acceptanceCriteria = assignAcceptanceCriteriaIds(extractedCriteria);
+
+  console.log(`📋 Extracted ${acceptanceCriteria.length} acceptance criteria from ${issueData.key}`);
+
+  return {
+    key: issueData.key,
+    summary: issueData.fields.summary,
+    issueType: issueData.fields.issuetype.name,
+    status: issueData.fields.status.name,
+    url: `${jiraBaseUrl}/browse/${issueData.key}`,
+    projectKey: issueData.fields.project.key,
+    description: descriptionText,
+    // Acceptance criteria with stable ids and source locations — each item should become one test step
+    acceptanceCriteria: acceptanceCriteria,
+    acceptanceCriteriaCount: acceptanceCriteria.length,
+    acceptanceCriteriaField: criteriaField,
+    // Formatted text version for easy reading by the LLM
+    acceptanceCriteriaText: acceptanceCriteria.length > 0
+      ? acceptanceCriteria.map(ac => `${ac.position}. ${ac.id}: ${ac.text}`).join('\n')
+      : 'No explicit acceptance criteria found — derive test steps from the story description.'
+  };
+}
+
+// Function to generate comprehensive test case for user story
+/**
+ * Fetches the full details of a user story, including its acceptance criteria,
+ * for use by the Rovo agent's LLM to generate intelligent test steps.
+ *
+ * This action can be called in two ways:
+ * 1. With a user story issue key directly (e.g. "SDF-22") — fetches that issue
+ * 2. With a test issue key — follows the test ↔ requirement links (the link type and direction
+ *    set on the settings page, if any) to every requirement the test covers and fetches each of them.
+ *    The top-level fields describe the first requirement; `requirements` lists all of them.
+ *
+ * Returns the story's summary, description, and a structured list of acceptance
+ * criteria extracted from the ADF description and the acceptance criteria custom field
+ * (if any). Each criterion carries a stable id derived from its text (e.g. AC-1k2x9ab) and its source location
+ * so generated tests can cite the criterion they cover.
+ *
+ * @param {object} payload
+ * @param {string} payload.issueKey - Jira issue key (user story or test issue)
+ * @param {string} [payload.acceptanceCriteriaField] - Field id or name holding acceptance criteria
+ *   (overrides the ACCEPTANCE_CRITERIA_FIELD variable)
+ */
+async function getUserStoryDetails(payload) {
+  console.log('🔍 === getUserStoryDetails STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  let issueKey = payload.issueKey;
+
+  if (!issueKey) {
+    throw new ActionError('VALIDATION', 'issueKey is required');
+  }
+
+  // Strip any URL prefix — accept both "SDF-22" and full Jira URLs
+  const keyMatch = issueKey.match(/([A-Z][A-Z0-9]+-\d+)$/);
+  if (keyMatch) {
+    issueKey = keyMatch[1];
+  }
+
+  console.log(`🎯 Fetching issue details for: ${issueKey}`);
+
+  try {
+    // Fetch the issue with all fields and issue links expanded
+    const response = await api.asUser().requestJira(
+      route`/rest/api/3/issue/${issueKey}?expand=issuelinks,names`,
+      { headers: { 'Accept': 'application/json' } }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new JiraApiError(`Failed to fetch issue ${issueKey}: ${response.status} - ${errorText}`, { status: response.status });
+    }
+
+    const issueData = await response.json();
+    console.log(`📄 Fetched issue: ${issueData.key} (type: ${issueData.fields.issuetype.name})`);
+    const acceptanceCriteriaField = payload.acceptanceCriteriaField || ACCEPTANCE_CRITERIA_FIELD;
+
+    // A user story (or any other requirement) is described directly
+    if (!isTestIssue(issueData)) {
+      const result = buildRequirementDetails(issueData, acceptanceCriteriaField);
+      console.log('🎉 === getUserStoryDetails COMPLETED SUCCESSFULLY ===');
+      return result;
+    }
+
+    // A Test issue: follow the test ↔ requirement links to every requirement it covers
+    console.log('🔗 Issue is a Test — following its requirement links...');
+    const linkedRequirements = findLinkedRequirements(issueData.fields.issuelinks || [], await getXraySettings());
+    if (linkedRequirements.length === 0) {
+      throw new ActionError('NOT_FOUND', `Test issue ${issueKey} has no linked user story. Please provide the user story key directly.`);
+    }
+    console.log(`🔗 Found ${linkedRequirements.length} linked requirement(s): ${linkedRequirements.map(requirement => requirement.key).join(', ')} — fetching full details...`);
+
+    const requirements = await Promise.all(linkedRequirements.map(async linked => {
+      const requirementResponse = await api.asUser().requestJira(
+        route`/rest/api/3/issue/${linked.key}?expand=names`,
+        { headers: { 'Accept': 'application/json' } }
+      );
+
+      if (!requirementResponse.ok) {
+        const errorText = await requirementResponse.text();
+        throw new JiraApiError(`Failed to fetch user story ${linked.key}: ${requirementResponse.status} - ${errorText}`, { status: requirementResponse.status });
+      }
+
+      return {
+        ...buildRequirementDetails(await requirementResponse.json(), acceptanceCriteriaField),
+        linkType: linked.linkType,
+        linkDirection: linked.linkDirection
+      };
+    }));
+
+    const result = {
+      ...requirements[0],
+      testKey: issueData.key,
+      requirements,
+      requirementCount: requirements.length,
+      message: requirements.length === 1
+        ? `Test ${issueData.key} covers ${requirements[0].key}.`
+        : `Test ${issueData.key} covers ${requirements.length} requirements: ${requirements.map(requirement => `${requirement.key} (${requirement.issueType})`).join(', ')}. ` +
+          `The top-level fields describe ${requirements[0].key}; the acceptance criteria of every requirement are listed under requirements.`
+    };
+
+    console.log('🎉 === getUserStoryDetails COMPLETED SUCCESSFULLY ===');
+    return result;
+
+  } catch (error) {
+    console.error('💥 === getUserStoryDetails FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+// Combined similarity score at or above which an existing linked test counts as a possible duplicate
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.85;
+
+// Function to normalise text for similarity comparison (case, accents, punctuation, whitespace)
+function normaliseForComparison(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Function to score the similarity of two texts (0-1): Dice coefficient over their words and word pairs
+function textSimilarity(a, b) {
+  const terms = text => {
+    const words = normaliseForComparison(text).split(' ').filter(Boolean);
+    const set = new Set(words);
+    words.slice(1).forEach((word, i) => set.add(`${words[i]} ${word}`));
+    return set;
+  };
+  const termsA = terms(a);
+  const termsB = terms(b);
+  if (termsA.size === 0 && termsB.size === 0) return 1;
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+  const shared = [...termsA].filter(term => termsB.has(term)).length;
+  return (2 * shared) / (termsA.size + termsB.size);
+}
+
+// Function to flatten a test's definition (steps, Gherkin or free text) into comparable text
+function describeTestContent({ steps, gherkin, unstructured }) {
+  if (steps && steps.length > 0) {
+    return steps.map(step => [step.action, step.data, step.result].filter(Boolean).join(' ')).join('\n');
+  }
+  return gherkin || unstructured || '';
+}
+
+// Function to check whether an issue link is a test ↔ requirement link: the link type set on the
+// settings page, otherwise any type whose name or descriptions mention "test" (e.g. "Tests" / "is tested by")
+function isRequirementLink(link, settings) {
+  if (settings.linkType) {
+    return link.type.name.toLowerCase() === settings.linkType.toLowerCase();
+  }
+  return [link.type.name, link.type.inward, link.type.outward]
+    .some(text => String(text || '').toLowerCase().includes('test'));
+}
+
+// Function to list the issues at the other end of a link as { direction, issue }, keeping only the
+// given side ("inward" / "outward") when one is given. Jira fills in just the other issue of each link.
+function linkedIssuesOnSide(link, side) {
+  return [
+    { direction: 'outward', issue: link.outwardIssue },
+    { direction: 'inward', issue: link.inwardIssue }
+  ].filter(({ direction, issue }) => issue && (!side || side === direction));
+}
+
+// Function to check whether a linked issue is an Xray Test
+function isTestIssue(issue) {
+  return issue.fields.issuetype.name.toLowerCase() === 'test';
+}
+
+// Function to collect the Test issues linked to a requirement through the test ↔ requirement link.
+// With a configured link direction the tests must be on that side of the link.
+function findLinkedTestIssues(issueLinks, settings) {
+  const testCases = [];
+
+  for (const link of issueLinks) {
+    if (!isRequirementLink(link, settings)) continue;
+    console.log(`🔍 Processing link type: ${link.type.name}`);
+
+    for (const { direction, issue } of linkedIssuesOnSide(link, settings.linkDirection)) {
+      console.log(`${direction === 'outward' ? '➡️ Outward' : '⬅️ Inward'} link: ${issue.key} (${issue.fields.issuetype.name})`);
+      if (!isTestIssue(issue)) continue;
+      testCases.push({
+        key: issue.key,
+        id: issue.id,
+        summary: issue.fields.summary,
+        linkType: link.type[direction],
+        direction
+      });
+      console.log(`✅ Added test case: ${issue.key}`);
+    }
+  }
+
+  return testCases;
+}
+
+// Function to collect the requirements (stories, epics, bugs, ...) a test is linked to through the
+// test ↔ requirement link, once each. With a configured link direction they must be on the other side
+// of the link from the test; otherwise either side counts and linked Test issues are skipped.
+function findLinkedRequirements(issueLinks, settings) {
+  const side = settings.linkDirection && (settings.linkDirection === 'inward' ? 'outward' : 'inward');
+  const requirements = new Map();
+
+  for (const link of issueLinks) {
+    if (!isRequirementLink(link, settings)) continue;
+    for (const { direction, issue } of linkedIssuesOnSide(link, side)) {
+      if (isTestIssue(issue) || requirements.has(issue.key)) continue;
+      requirements.set(issue.key, {
+        key: issue.key,
+        id: issue.id,
+        summary: issue.fields.summary,
+        issueType: issue.fields.issuetype.name,
+        status: issue.fields.status?.name,
+        url: issue.self.replace(/\/rest\/api\/.*/, `/browse/${issue.key}`),
+        linkType: link.type.name,
+        linkDirection: direction
+      });
+    }
+  }
+
+  return [...requirements.values()];
+}
+
+// Function to fetch the summary and flattened step text of every test linked to one or more user stories
+async function fetchLinkedTestContents(...stories) {
+  const settings = await getXraySettings();
+  const linkedTests = stories.flatMap(storyData => findLinkedTestIssues(storyData.fields.issuelinks || [], settings));
+  if (linkedTests.length === 0) return [];
+
+  const query = `
+    query GetLinkedTestContent($jql: String!, $start: Int, $limit: Int!) {
+      getTests(jql: $jql, start: $start, limit: $limit) {
+        total
+        results {
+          issueId
+          jira(fields: ["key", "summary"])
+          steps {
+            action
+            data
+            result
+          }
+          gherkin
+          unstructured
+        }
+      }
+    }
+  `;
+  const jql = `key in (${[...new Set(linkedTests.map(test => test.key))].join(',')})`;
+  const tests = await fetchXrayPages(async (start, limit) => {
+    const result = await executeXrayGraphQL(query, { jql, start, limit });
+    return result.data.getTests;
+  }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
+
+  return tests.results.map(test => {
+    const jira = parseXrayJira(test.jira) || {};
+    return { testKey: jira.key, summary: jira.summary, content: describeTestContent(test) };
+  });
+}
+
+/**
+ * Compares a proposed test against existing tests (usually the tests linked to its user story).
+ *
+ * The score combines summary similarity (30%) and step/definition similarity (70%); when either
+ * side has no step content only the summaries are compared.
+ *
+ * @param {Array<{testKey: string, summary: string, content: string}>} candidates - Existing tests
+ * @param {{summary: string, content: string}} proposal - Proposed summary and flattened step text
+ * @returns {Array<{testKey: string, summary: string, score: number, summaryScore: number, stepsScore: number|null}>}
+ *   Matches at or above the threshold, best first
+ */
+function findDuplicateTests(candidates, proposal) {
+  const round = score => Math.round(score * 100) / 100;
+  return candidates
+    .map(candidate => {
+      const summaryScore = textSimilarity(proposal.summary, candidate.summary);
+      const stepsScore = proposal.content && candidate.content ? textSimilarity(proposal.content, candidate.content) : null;
+      const score = stepsScore === null ? summaryScore : 0.3 * summaryScore + 0.7 * stepsScore;
+      return {
+        testKey: candidate.testKey,
+        summary: candidate.summary,
+        score: round(score),
+        summaryScore: round(summaryScore),
+        stepsScore: stepsScore === null ? null : round(stepsScore)
+      };
+    })
+    .filter(match => match.score >= DUPLICATE_SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Function to parse the preconditions input: a JSON string or array of strings or
+// {condition, description} objects. Unparseable input is skipped with a warning.
+function parsePreconditionsInput(preconditionsJson) {
+  if (!preconditionsJson) return [];
+  try {
+    const parsed = typeof preconditionsJson === 'string' ? JSON.parse(preconditionsJson) : preconditionsJson;
+    if (!Array.isArray(parsed)) return [];
+    // Support string array ["pre1","PROJ-12"] and object array [{condition,description}] / [{key}];
+    // issue keys refer to existing Precondition issues
+    return parsed.map((p, i) => {
+      if (typeof p === 'string') {
+        const key = normaliseIssueKey(p);
+        return ISSUE_KEY_PATTERN.test(key)
+          ? { id: i + 1, key, condition: key, description: key }
+          : { id: i + 1, condition: p, description: p };
+      }
+      if (p.key) {
+        const key = normaliseIssueKey(p.key);
+        return { id: i + 1, key, condition: key, description: key };
+      }
+      return { id: i + 1, condition: p.condition || p.summary || String(p), description: p.description || p.condition || String(p) };
+    });
+  } catch (e) {
+    console.warn('⚠️ Could not parse preconditions JSON, skipping preconditions:', e.message);
+    return [];
+  }
+}
+
+// Function to fetch the create-screen field metadata of Test issues in a project (all pages)
+async function getTestCreateFieldMetadata(projectKey) {
+  const getJson = async (path, label) => {
+    const response = await api.asUser().requestJira(path, {
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new JiraApiError(`Failed to read ${label} for project ${projectKey}: ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
+    }
+    return response.json();
+  };
+
+  const issueTypes = await getJson(route`/rest/api/3/issue/createmeta/${projectKey}/issuetypes?maxResults=200`, 'issue types');
+  const testIssueType = (issueTypes.issueTypes || issueTypes.values || []).find(type => type.name.toLowerCase() === 'test');
+  if (!testIssueType) {
+    throw new ActionError('VALIDATION', `Project ${projectKey} has no "Test" issue type you can create`);
+  }
+
+  const fields = [];
+  let startAt = 0;
+  let total = Infinity;
+  while (startAt < total) {
+    const page = await getJson(
+      route`/rest/api/3/issue/createmeta/${projectKey}/issuetypes/${testIssueType.id}?startAt=${startAt}&maxResults=200`,
+      'Test fields'
+    );
+    const pageFields = page.fields || page.values || page.results || [];
+    fields.push(...pageFields);
+    total = page.total ?? fields.length;
+    if (pageFields.length === 0) break;
+    startAt += pageFields.length;
+  }
+  return fields;
+}
+
+// Function to match a value against a field's allowed values by name / value (case-insensitive)
+function findAllowedValue(field, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return (field.allowedValues || []).find(allowed =>
+    [allowed.name, allowed.value, allowed.id].some(candidate => candidate !== undefined && String(candidate).toLowerCase() === wanted));
+}
+
+// Function to list a field's allowed values for an error message
+function describeAllowedValues(field) {
+  const names = (field.allowedValues || []).map(allowed => allowed.name || allowed.value).filter(Boolean);
+  if (names.length === 0) return 'none are configured';
+  return names.length > 20 ? `${names.slice(0, 20).join(', ')}, … (${names.length} in total)` : names.join(', ');
+}
+
+/**
+ * Builds the extra Jira fields of a new test — labels, components, priority, fix versions,
+ * assignee and custom fields — validated against the project's create-screen metadata for Test
+ * issues. Custom fields can be given by id (customfield_10042) or by name.
+ *
+ * Every invalid value is collected and reported in one error, so the agent can fix all of them
+ * at once.
+ *
+ * @param {function(): Promise<object[]>} loadFieldMetadata - Returns the Test create-screen field metadata
+ * @param {object} input - labels, components, priority, fixVersions, assignee and customFields
+ * @returns {Promise<object>} Jira fields to merge into the create payload (empty if none were given)
+ */
+async function buildTestIssueFields(loadFieldMetadata, input) {
+  const labels = parseListInput(input.labels, 'labels');
+  const components = parseListInput(input.components, 'components');
+  const fixVersions = parseListInput(input.fixVersions, 'fixVersions');
+  const { priority, assignee } = input;
+  let customFields = {};
+  if (input.customFields) {
+    try {
+      customFields = typeof input.customFields === 'string' ? JSON.parse(input.customFields) : input.customFields;
+    } catch (e) {
+      throw new ActionError('VALIDATION', `Invalid customFields JSON: ${e.message}. Expected format: {"Team":"Payments","customfield_10042":5}`);
+    }
+    if (!customFields || typeof customFields !== 'object' || Array.isArray(customFields)) {
+      throw new ActionError('VALIDATION', 'customFields must be a JSON object mapping field names or ids to values');
+    }
+  }
+
+  if (labels.length === 0 && components.length === 0 && fixVersions.length === 0 && !priority && !assignee &&
+      Object.keys(customFields).length === 0) {
+    return {};
+  }
+
+  const metadata = await loadFieldMetadata();
+  const byId = new Map(metadata.map(field => [field.fieldId || field.key, field]));
+  const fields = {};
+  const errors = [];
+  const onScreen = (fieldId, label) => {
+    const field = byId.get(fieldId);
+    if (!field) errors.push(`${label}: the field is not on the create screen of Test issues in this project`);
+    return field;
+  };
+
+  if (labels.length > 0 && onScreen('labels', 'labels')) {
+    const invalid = labels.filter(label => /\s/.test(label));
+    if (invalid.length > 0) errors.push(`labels: labels cannot contain spaces — ${invalid.map(label => `"${label}"`).join(', ')}`);
+    fields.labels = labels;
+  }
+
+  for (const [fieldId, values] of [['components', components], ['fixVersions', fixVersions]]) {
+    const field = values.length > 0 && onScreen(fieldId, fieldId);
+    if (!field) continue;
+    fields[fieldId] = values.map(value => {
+      const allowed = findAllowedValue(field, value);
+      if (!allowed) errors.push(`${fieldId}: "${value}" is not allowed. Allowed values: ${describeAllowedValues(field)}`);
+      return allowed ? { id: allowed.id } : null;
+    });
+  }
+
+  if (priority) {
+    const field = onScreen('priority', 'priority');
+    const allowed = field && findAllowedValue(field, priority);
+    if (field && !allowed) errors.push(`priority: "${priority}" is not allowed. Allowed values: ${describeAllowedValues(field)}`);
+    if (allowed) fields.priority = { id: allowed.id };
+  }
+
+  if (assignee && onScreen('assignee', 'assignee')) {
+    try {
+      fields.assignee = { accountId: await resolveAssigneeAccountId(assignee) };
+    } catch (error) {
+      errors.push(`assignee: ${error.message}`);
+    }
+  }
+
+  for (const [nameOrId, value] of Object.entries(customFields)) {
+    const matches = byId.has(nameOrId)
+      ? [byId.get(nameOrId)]
+      : metadata.filter(field => field.name?.toLowerCase() === nameOrId.trim().toLowerCase());
+    if (matches.length === 0) {
+      errors.push(`${nameOrId}: no field with this name or id is on the create screen of Test issues in this project`);
+      continue;
+    }
+    if (matches.length > 1) {
+      errors.push(`${nameOrId}: ${matches.length} fields have this name (${matches.map(field => field.fieldId || field.key).join(', ')}) — use the field id`);
+      continue;
+    }
+
+    const field = matches[0];
+    const fieldId = field.fieldId || field.key;
+    const schema = field.schema || {};
+    const label = nameOrId === fieldId ? fieldId : `${nameOrId} (${fieldId})`;
+    const toAllowed = item => {
+      const allowed = findAllowedValue(field, item);
+      if (!allowed) errors.push(`${label}: "${item}" is not allowed. Allowed values: ${describeAllowedValues(field)}`);
+      return allowed ? { id: allowed.id } : null;
+    };
+    const items = Array.isArray(value) ? value : [value];
+
+    if ((field.allowedValues || []).length > 0 && items.every(item => item === null || typeof item !== 'object')) {
+      // Select lists, checkboxes, versions, ...: names are resolved to allowed value ids
+      fields[fieldId] = schema.type === 'array' ? items.map(toAllowed) : toAllowed(value);
+    } else if (schema.type === 'number') {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) errors.push(`${label}: expected a number, got "${value}"`);
+      fields[fieldId] = number;
+    } else if (schema.type === 'user' && typeof value === 'string') {
+      try {
+        fields[fieldId] = { accountId: await resolveAssigneeAccountId(value) };
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    } else if ((schema.type === 'date' || schema.type === 'datetime') && Number.isNaN(Date.parse(value))) {
+      errors.push(`${label}: expected a date (YYYY-MM-DD), got "${value}"`);
+    } else if (schema.type === 'array' && schema.items === 'string') {
+      fields[fieldId] = items.map(String);
+    } else {
+      // Objects and plain strings are passed through in Jira's own format
+      fields[fieldId] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ActionError('VALIDATION', `Invalid Jira field value(s) for the test:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  return fields;
+}
+
+/**
+ * Validates one proposed test and normalises its content for creation.
+ *
+ * @param {string} projectKey
+ * @param {object} input - summary, description, testType, testSteps, definition, preconditions, folderPath and
+ *   the Jira fields labels, components, priority, fixVersions, assignee and customFields
+ * @param {Map<string, Promise<object>>} [testTypeCache] - Resolved test types by name, shared by a batch
+ * @param {Map<string, Promise<object[]>>} [fieldMetadataCache] - Test create-screen metadata by project, shared by a batch
+ * @returns {Promise<object>} summary, description, testType, normalisedSteps, gherkin, unstructured, preconditionObjects,
+ *   folderPath, jiraFields
+ */
+async function prepareTestDefinition(projectKey, input, testTypeCache = new Map(), fieldMetadataCache = new Map()) {
+  const { summary, description, testSteps: testStepsJson, definition } = input;
+  if (!summary) throw new ActionError('VALIDATION', 'summary is required');
+  const settings = await getXraySettings();
+
+  // Resolve the test type and its kind (Steps, Gherkin or Unstructured); the admin's default applies when none is given
+  const requestedType = input.testType || settings.defaultTestType;
+  const typeName = String(requestedType || 'Manual').trim().toLowerCase();
+  if (!testTypeCache.has(typeName)) {
+    testTypeCache.set(typeName, resolveTestType(projectKey, requestedType));
+  }
+  const testType = await testTypeCache.get(typeName);
+
+  let normalisedSteps = [];
+  let gherkin = null;
+  let unstructured = null;
+
+  if (testType.kind === 'Gherkin') {
+    if (!definition) throw new ActionError('VALIDATION', `definition is required for ${testType.name} tests — provide a Gherkin scenario`);
+    const validation = validateGherkin(definition);
+    if (!validation.valid) {
+      throw new ActionError('VALIDATION', `Invalid Gherkin definition:\n${validation.errors.map(e => `line ${e.line}: ${e.message}`).join('\n')}`);
+    }
+    gherkin = validation.definition;
+  } else if (testType.kind === 'Unstructured') {
+    if (!definition || !definition.trim()) throw new ActionError('VALIDATION', `definition is required for ${testType.name} tests`);
+    unstructured = definition.trim();
+  } else {
+    if (!testStepsJson) throw new ActionError('VALIDATION', 'testSteps is required');
+    normalisedSteps = parseTestStepsInput(testStepsJson);
+  }
+
+  // The field metadata is fetched once per project, and only when extra Jira fields are requested
+  const jiraFields = await buildTestIssueFields(() => {
+    if (!fieldMetadataCache.has(projectKey)) {
+      fieldMetadataCache.set(projectKey, getTestCreateFieldMetadata(projectKey));
+    }
+    return fieldMetadataCache.get(projectKey);
+  }, input);
+
+  return {
+    summary,
+    description,
+    testType,
+    normalisedSteps,
+    gherkin,
+    unstructured,
+    preconditionObjects: parsePreconditionsInput(input.preconditions),
+    folderPath: normaliseFolderPath(input.folderPath || settings.defaultFolder),
+    jiraFields
+  };
+}
+
+/**
+ * Creates one prepared test for a user story: its preconditions, the test and the link to the story
+ * (and to each of `additionalRequirements`, for a test covering several requirements).
+ *
+ * All-or-nothing: every write is journaled and, if a later step fails, the issues and links already
+ * written are deleted again. Errors raised before anything was written are thrown unchanged.
+ * Preconditions given by key, or whose text matches an existing Precondition issue of the project,
+ * are reused rather than created; pass one `preconditionLibrary` to share matches across a batch.
+ *
+ * @returns {Promise<object>} { created, testCaseKey, testCaseUrl, ... , artifacts } or
+ *   { created: false, rolledBack, error, cause, artifacts } after a rollback
+ */
+async function createTestForStory(prepared, { projectKey, storyData, additionalRequirements = [], jiraBaseUrl, linkType = null, containers = [], preconditionLibrary = null }) {
+  const { summary, description, testType, normalisedSteps, gherkin, unstructured, preconditionObjects, folderPath, jiraFields } = prepared;
+
+  // Build the testCaseContent object that the existing Xray creation infrastructure expects
+  const testCaseContent = {
+    summary,
+    description: description || `This test case validates the user story: ${storyData.key}`,
+    testType,
+    gherkin,
+    unstructured,
+    testSteps: normalisedSteps.map((s, i) => ({
+      stepNumber: i + 1,
+      action: s.action,
+      data: s.data,
+      expectedResult: s.result
+    })),
+    preconditions: preconditionObjects,
+    folderPath,
+    jiraFields
+  };
+
+  const journal = createRollbackJournal();
+
+  const library = preconditionLibrary || createPreconditionLibrary(projectKey);
+
+  // Everything written from here on is journaled so a failure leaves nothing behind
+  let testCase;
+  let reusedPreconditions = [];
+  try {
+    // Reuse existing preconditions where possible, then create the rest in Xray
+    let preconditionIds = [];
+    if (preconditionObjects.length > 0) {
+      const { reused, toCreate } = await resolvePreconditions(preconditionObjects, library);
+      reusedPreconditions = reused;
+      preconditionIds = reused.map(precondition => precondition.issueId);
+      if (toCreate.length > 0) {
+        console.log('🔧 Creating preconditions in Xray...');
+        const createdIds = await createXrayPreconditions(toCreate, projectKey, journal);
+        preconditionIds.push(...createdIds);
+        console.log(`✅ Created ${createdIds.length} preconditions`);
+      }
+    }
+
+    // Create the test case using the existing Xray GraphQL mutation
+    console.log('🎯 Creating test case in Xray...');
+    testCase = await createXrayTestCase(
+      testCaseContent,
+      projectKey,
+      normalisedSteps,
+      preconditionIds,
+      storyData,  // Pass story data so createXrayTestCase can link test → story
+      { journal, linkType, additionalRequirements }
+    );
+
+    // File the new test in the requested Test Set / Test Plan
+    for (const container of containers) {
+      const details = { from: testCase.jiraKey, to: container.key };
+      try {
+        const added = await addTestsToContainer(container.issueId, container.type, [testCase.issueId]);
+        if (!(added.addedTests || []).includes(testCase.issueId)) {
+          throw new Error(added.warning || 'the test was not added');
+        }
+      } catch (error) {
+        journal.fail(container.type, details, error);
+        throw new Error(`Failed to add ${testCase.jiraKey} to ${TEST_CONTAINERS[container.type].issueType} ${container.key}: ${error.message}`, { cause: error });
+      }
+      journal.record(container.type, details,
+        () => removeTestsFromContainer(container.issueId, container.type, [testCase.issueId]));
+      console.log(`📦 Added ${testCase.jiraKey} to ${TEST_CONTAINERS[container.type].issueType} ${container.key}`);
+    }
+  } catch (error) {
+    if (!journal.hasWrites()) throw error;
+
+    console.error('💥 Creation failed part-way, rolling back:', error.message);
+    const rolledBack = await journal.rollback();
+    return { created: false, rolledBack, summary, error: error.message, cause: error, artifacts: journal.artifacts() };
+  }
+
+  const artifacts = journal.artifacts();
+  const createdPreconditions = artifacts
+    .filter(artifact => artifact.type === 'precondition')
+    .map(artifact => ({ key: artifact.key, issueId: artifact.issueId, summary: artifact.summary }));
+  createdPreconditions.forEach(precondition => library.add({ ...precondition, definition: precondition.summary }));
+  return {
+    created: true,
+    testCaseKey: testCase.jiraKey,
+    testCaseUrl: `${jiraBaseUrl}/browse/${testCase.jiraKey}`,
+    summary,
+    linkedRequirements: testCase.requirementsLinked,
+    testType: testType.name,
+    stepsCreated: normalisedSteps.length,
+    folderPath: folderPath || '/',
+    jiraFieldsSet: Object.keys(jiraFields || {}),
+    preconditionsCreated: createdPreconditions.length,
+    preconditionsReused: reusedPreconditions.length,
+    preconditions: {
+      created: createdPreconditions.map(({ key, summary: preconditionSummary }) => ({ key, summary: preconditionSummary, url: `${jiraBaseUrl}/browse/${key}` })),
+      reused: reusedPreconditions.map(({ issueId, ...precondition }) => ({ ...precondition, url: `${jiraBaseUrl}/browse/${precondition.key}` }))
+    },
+    addedTo: containers.map(container => container.key),
+    artifacts
+  };
+}
+
+// Function to describe the preconditions of a created test, e.g. " with 2 precondition(s) (reused SDF-5; created SDF-93)"
+function describePreconditionOutcome(preconditions) {
+  const { created = [], reused = [] } = preconditions || {};
+  if (created.length + reused.length === 0) return '';
+  const parts = [
+    reused.length > 0 && `reused ${reused.map(precondition => precondition.key).join(', ')}`,
+    created.length > 0 && `created ${created.map(precondition => precondition.key).join(', ')}`
+  ].filter(Boolean);
+  return ` with ${created.length + reused.length} precondition(s) (${parts.join('; ')})`;
+}
+
+// Function to describe what a failed rollback left behind, e.g. "SDF-91, SDF-100 → SDF-22"
+function describeLeftoverArtifacts(artifacts) {
+  return artifacts
+    .filter(artifact => artifact.status === 'rollbackFailed')
+    .map(artifact => artifact.key || `${artifact.from} → ${artifact.to}`)
+    .join(', ');
+}
+
+// Function to fetch the user story a generated test will be linked to
+async function fetchUserStoryForLinking(userStoryKey) {
+  console.log(`🔍 Fetching user story ${userStoryKey} for linking...`);
+  const storyResponse = await api.asUser().requestJira(
+    route`/rest/api/3/issue/${userStoryKey}`,
+    { headers: { 'Accept': 'application/json' } }
+  );
+
+  if (!storyResponse.ok) {
+    throw new JiraApiError(`Failed to fetch user story ${userStoryKey}: ${storyResponse.status}`, { status: storyResponse.status });
+  }
+
+  const storyData = await storyResponse.json();
+  console.log(`✅ User story found: ${storyData.key} (ID: ${storyData.id})`);
+  return storyData;
+}
+
+// Maximum number of requirements one new test can be linked to in a create-xray-test call
+const MAX_TEST_REQUIREMENTS = 10;
+
+/**
+ * Creates a test case in Xray Cloud using LLM-generated content provided by the Rovo agent.
+ *
+ * This is the "thin" creation action in the LLM-driven architecture. The Rovo agent's LLM
+ * reads the user story, reasons about the acceptance criteria, and generates the test steps
+ * itself. This action simply takes that generated content and persists it into Xray.
+ *
+ * Test steps and preconditions are passed as JSON strings (because Forge action inputs only
+ * support primitive types). This function parses them and delegates to the existing Xray
+ * creation infrastructure.
+ *
+ * The test is linked to the user story and to any further requirements (stories, epics, bugs) named
+ * in `requirementKeys`, using the link type and direction set on the settings page.
+ *
+ * Before anything is written, the proposed summary and steps are compared with the tests already
+ * linked to those requirements. Close matches produce a "possible duplicate" response instead of a new
+ * test, unless `force` is set.
+ *
+ * Creation is all-or-nothing: if a precondition, the test, the link to the story or adding the
+ * test to the requested Test Set / Test Plan fails, everything already written is removed again.
+ * The response lists every artifact with its outcome (created, failed, rolledBack or
+ * rollbackFailed); a failed creation is thrown as an ActionError carrying the same list.
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
+ * @param {string} payload.userStoryKey - Issue key of the user story being tested (e.g. "SDF-22")
+ * @param {string} [payload.requirementKeys] - JSON array or comma-separated list of further requirements the
+ *   test also covers (e.g. "SDF-23, SDF-5"), each linked like the user story
+ * @param {string} payload.summary - Test case summary/title
+ * @param {string} payload.description - Test case description (plain text or markdown)
+ * @param {string} [payload.testSteps] - JSON string: [{"action":"...","data":"...","result":"..."}] (Manual tests)
+ * @param {string} [payload.preconditions] - JSON string: ["precondition text", "PROJ-12"] — existing Precondition keys are
+ *   linked as-is, text reuses a matching Precondition issue of the project or creates a new one
+ * @param {string} [payload.testType] - Xray test type: "Manual" (default), "Cucumber", "Generic" or a project-specific type
+ * @param {string} [payload.definition] - Gherkin scenario (Cucumber) or free-text definition (Generic)
+ * @param {boolean} [payload.force] - Create the test even if the story already has a similar linked test
+ * @param {string} [payload.testSetKey] - Test Set to add the new test to
+ * @param {string} [payload.testPlanKey] - Test Plan to add the new test to
+ * @param {string} [payload.folderPath] - Test Repository folder for the test (e.g. "/Checkout/Payments");
+ *   missing folders are created
+ * @param {string} [payload.labels] - JSON array or comma-separated list of labels
+ * @param {string} [payload.components] - JSON array or comma-separated list of component names
+ * @param {string} [payload.priority] - Priority name (e.g. "High")
+ * @param {string} [payload.fixVersions] - JSON array or comma-separated list of fix version names
+ * @param {string} [payload.assignee] - Account id, email or display name of the assignee
+ * @param {string} [payload.customFields] - JSON object of custom field names or ids to values,
+ *   e.g. {"Team":"Payments","customfield_10042":5}
+ */
+async function createXrayTest(payload) {
+  console.log('🚀 === createXrayTest STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const { projectKey } = payload;
+  const force = payload.force === true || String(payload.force).toLowerCase() === 'true';
+  const requirementKeys = [...new Set(
+    [payload.userStoryKey, ...parseListInput(payload.requirementKeys, 'requirementKeys')].filter(Boolean).map(normaliseIssueKey)
+  )];
+  const userStoryKey = requirementKeys[0];
+
+  // Validate required inputs
+  if (!projectKey) throw new ActionError('VALIDATION', 'projectKey is required');
+  if (!userStoryKey) throw new ActionError('VALIDATION', 'userStoryKey is required');
+  if (requirementKeys.length > MAX_TEST_REQUIREMENTS) {
+    throw new ActionError('VALIDATION', `A test can be linked to at most ${MAX_TEST_REQUIREMENTS} requirements in one call — got ${requirementKeys.length}`);
+  }
+
+  const prepared = await prepareTestDefinition(projectKey, payload);
+  const { summary, testType, normalisedSteps, gherkin, unstructured, preconditionObjects } = prepared;
+  console.log(`🧪 Test type: ${testType.name} (${testType.kind})`);
+  console.log(`📝 Test summary: ${summary}`);
+  console.log(`🔧 Test steps: ${normalisedSteps.length}`);
+  console.log(`📋 Preconditions: ${preconditionObjects.length}`);
+
+  try {
+    // Fetch the user story and any further requirements to get their numeric Jira IDs (needed for linking)
+    const [storyData, ...additionalRequirements] = await Promise.all(requirementKeys.map(fetchUserStoryForLinking));
+    const jiraBaseUrl = getJiraBaseUrl(storyData);
+    const containers = await resolveTargetContainers(payload);
+
+    // Refuse near-identical tests for the same requirements unless the caller insists
+    if (!force) {
+      const linkedTests = await fetchLinkedTestContents(storyData, ...additionalRequirements);
+      console.log(`🔍 Comparing the proposed test with ${linkedTests.length} linked test(s)...`);
+      const duplicates = findDuplicateTests(linkedTests, {
+        summary,
+        content: describeTestContent({ steps: normalisedSteps, gherkin, unstructured })
+      });
+      if (duplicates.length > 0) {
+        console.log(`⚠️ Possible duplicate(s) of the proposed test: ${duplicates.map(match => `${match.testKey} (${match.score})`).join(', ')}`);
+        console.log('🛑 === createXrayTest STOPPED: possible duplicate ===');
+        return {
+          created: false,
+          possibleDuplicate: true,
+          userStoryKey,
+          threshold: DUPLICATE_SIMILARITY_THRESHOLD,
+          matches: duplicates.map(match => ({ ...match, testUrl: `${jiraBaseUrl}/browse/${match.testKey}` })),
+          message: `Nothing was created: ${requirementKeys.join(', ')} already ${requirementKeys.length === 1 ? 'has' : 'have'} ${duplicates.length} similar test(s) — ` +
+            duplicates.map(match => `${match.testKey} "${match.summary}" (similarity ${match.score})`).join(', ') +
+            '. Update the existing test with update-xray-test, or call create-xray-test again with force=true to create it anyway.'
+        };
+      }
+    }
+
+    // Create the Test Repository folder first so the test can be filed in it
+    const foldersCreated = prepared.folderPath
+      ? await ensureTestFolders((await getJiraProject(projectKey)).id, [prepared.folderPath])
+      : [];
+
+    const outcome = await createTestForStory(prepared, { projectKey, storyData, additionalRequirements, jiraBaseUrl, containers });
+
+    if (!outcome.created) {
+      console.error('💥 === createXrayTest FAILED (rolled back) ===');
+      // The error code comes from the failure that triggered the rollback
+      const { code, hint, retryable } = toErrorResponse(outcome.cause);
+      throw new ActionError(code, outcome.rolledBack
+        ? `Test case was not created: ${outcome.error}. Everything written before the failure was removed again.`
+        : `Test case was not created: ${outcome.error}. Rollback was incomplete — please delete or unlink manually: ` +
+          describeLeftoverArtifacts(outcome.artifacts), {
+        hint: outcome.rolledBack ? hint : 'Delete or unlink the leftover artifacts listed in the message before trying again.',
+        retryable: outcome.rolledBack && retryable,
+        cause: outcome.cause,
+        details: {
+          created: false,
+          rolledBack: outcome.rolledBack,
+          userStoryKey,
+          artifacts: outcome.artifacts
+        }
+      });
+    }
+
+    console.log(`✅ Test case created: ${outcome.testCaseKey}`);
+    console.log('🎉 === createXrayTest COMPLETED SUCCESSFULLY ===');
+
+    return {
+      created: true,
+      testCaseKey: outcome.testCaseKey,
+      testCaseUrl: outcome.testCaseUrl,
+      userStoryKey,
+      linkedRequirements: outcome.linkedRequirements,
+      testType: outcome.testType,
+      stepsCreated: outcome.stepsCreated,
+      folderPath: outcome.folderPath,
+      foldersCreated,
+      jiraFieldsSet: outcome.jiraFieldsSet,
+      preconditionsCreated: outcome.preconditionsCreated,
+      preconditionsReused: outcome.preconditionsReused,
+      preconditions: outcome.preconditions,
+      addedTo: outcome.addedTo,
+      artifacts: outcome.artifacts,
+      message: `Test case ${outcome.testCaseKey} created in Xray` +
+        describePreconditionOutcome(outcome.preconditions) +
+        (requirementKeys.length === 1
+          ? ` and linked to user story ${userStoryKey}`
+          : ` and linked to ${requirementKeys.length} requirements (${requirementKeys.join(', ')})`) +
+        (outcome.addedTo.length > 0 ? `, added to ${outcome.addedTo.join(' and ')}` : '') +
+        (outcome.folderPath !== '/' ? `, filed in folder ${outcome.folderPath}` : '') +
+        `: ${outcome.testCaseUrl}`
+    };
+
+  } catch (error) {
+    console.error('💥 === createXrayTest FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+// Maximum number of tests accepted by one create-xray-tests call (keeps the call inside the Forge time limit)
+const MAX_BULK_TESTS = 10;
+// Time assumed for creating one test until the batch has measured its own; no test is started
+// with less of the Xray time budget left than the slowest one so far
+const BULK_TEST_MIN_ESTIMATE_MS = 4000;
+
+/**
+ * Creates several tests for one user story in a single call (the "one per criterion" mode).
+ *
+ * The story, its link type and its existing linked tests are fetched once. Every definition is
+ * validated before anything is written. Each test is then created all-or-nothing with its
+ * preconditions and story link; a failure rolls back that test only. Possible duplicates, whether
+ * of existing tests or of earlier tests in the same batch, are skipped unless `force` is set.
+ * When the invocation's time budget would not fit another test, the rest are returned as
+ * `remainingTests` (status "notStarted") so the agent can send them in a new call.
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
+ * @param {string} payload.userStoryKey - Issue key of the user story being tested (e.g. "SDF-22")
+ * @param {string} payload.tests - JSON string: [{"summary","description","testType","testSteps","definition","preconditions","folderPath"}]
+ * @param {boolean} [payload.force] - Create tests even if they look like duplicates
+ * @param {string} [payload.testSetKey] - Test Set to add every new test to
+ * @param {string} [payload.testPlanKey] - Test Plan to add every new test to
+ * @param {string} [payload.folderPath] - Test Repository folder for tests that do not set their own folderPath
+ * @param {string} [payload.labels] - Labels for tests that do not set their own (likewise components, priority,
+ *   fixVersions, assignee and customFields — see createXrayTest)
+ */
+async function createXrayTests(payload) {
+  console.log('🚀 === createXrayTests STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const { projectKey } = payload;
+  const userStoryKey = normaliseIssueKey(payload.userStoryKey);
+  const force = payload.force === true || String(payload.force).toLowerCase() === 'true';
+
+  if (!projectKey) throw new ActionError('VALIDATION', 'projectKey is required');
+  if (!userStoryKey) throw new ActionError('VALIDATION', 'userStoryKey is required');
+
+  let definitions;
+  try {
+    definitions = typeof payload.tests === 'string' ? JSON.parse(payload.tests) : payload.tests;
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error('tests must be a non-empty JSON array');
+    }
+  } catch (e) {
+    throw new ActionError('VALIDATION', `Invalid tests JSON: ${e.message}. Expected format: [{"summary":"...","testSteps":[{"action":"...","data":"...","result":"..."}],"preconditions":["..."]}]`);
+  }
+  if (definitions.length > MAX_BULK_TESTS) {
+    throw new ActionError('VALIDATION', `Too many tests in one call (${definitions.length}) — send at most ${MAX_BULK_TESTS} and call again for the rest`);
+  }
+
+  // Validate every definition before writing anything; batch-level folder and Jira fields apply
+  // to every test that does not set its own
+  const sharedFields = Object.fromEntries(
+    ['folderPath', 'labels', 'components', 'priority', 'fixVersions', 'assignee', 'customFields']
+      .filter(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '')
+      .map(name => [name, payload[name]])
+  );
+  const testTypeCache = new Map();
+  const fieldMetadataCache = new Map();
+  const prepared = [];
+  const invalid = [];
+  for (let i = 0; i < definitions.length; i++) {
+    try {
+      prepared.push(await prepareTestDefinition(projectKey, { ...sharedFields, ...(definitions[i] || {}) }, testTypeCache, fieldMetadataCache));
+    } catch (error) {
+      invalid.push(`test ${i + 1}${definitions[i]?.summary ? ` ("${definitions[i].summary}")` : ''}: ${error.message}`);
+    }
+  }
+  if (invalid.length > 0) {
+    throw new ActionError('VALIDATION', `Nothing was created — ${invalid.length} test definition(s) are invalid:\n${invalid.join('\n')}`);
+  }
+
+  try {
+    const storyData = await fetchUserStoryForLinking(userStoryKey);
+    const jiraBaseUrl = getJiraBaseUrl(storyData);
+    const linkType = await findTestsLinkType();
+    const containers = await resolveTargetContainers(payload);
+    const candidates = force ? [] : await fetchLinkedTestContents(storyData);
+    const preconditionLibrary = createPreconditionLibrary(projectKey);
+    const folderPaths = prepared.map(test => test.folderPath).filter(Boolean);
+    const foldersCreated = folderPaths.length > 0
+      ? await ensureTestFolders((await getJiraProject(projectKey)).id, folderPaths)
+      : [];
+
+    const tests = [];
+    let slowestTestMs = BULK_TEST_MIN_ESTIMATE_MS;
+    for (let i = 0; i < prepared.length; i++) {
+      const test = prepared[i];
+      const content = describeTestContent({ steps: test.normalisedSteps, gherkin: test.gherkin, unstructured: test.unstructured });
+
+      // Stop before a test that may not finish (or roll back) within the Forge time limit
+      if (remainingXrayTime() < slowestTestMs) {
+        console.warn(`⏱️ Not enough time left for test ${i + 1}/${prepared.length} — returning the rest`);
+        tests.push(...prepared.slice(i).map((notStarted, offset) => ({ index: i + offset + 1, summary: notStarted.summary, status: 'notStarted' })));
+        break;
+      }
+      console.log(`🎯 Test ${i + 1}/${prepared.length}: ${test.summary}`);
+
+      if (!force) {
+        const duplicates = findDuplicateTests(candidates, { summary: test.summary, content });
+        if (duplicates.length > 0) {
+          console.log(`⚠️ Skipping possible duplicate of ${duplicates.map(match => match.testKey).join(', ')}`);
+          tests.push({
+            index: i + 1,
+            summary: test.summary,
+            status: 'possibleDuplicate',
+            matches: duplicates.map(match => ({ ...match, testUrl: `${jiraBaseUrl}/browse/${match.testKey}` }))
+          });
+          continue;
+        }
+      }
+
+      let outcome;
+      const startedAt = Date.now();
+      try {
+        outcome = await createTestForStory(test, { projectKey, storyData, jiraBaseUrl, linkType, containers, preconditionLibrary });
+      } catch (error) {
+        outcome = { created: false, error: error.message, cause: error, artifacts: [] };
+      }
+      slowestTestMs = Math.max(slowestTestMs, Date.now() - startedAt);
+
+      if (outcome.created) {
+        candidates.push({ testKey: outcome.testCaseKey, summary: test.summary, content });
+        tests.push({ index: i + 1, status: 'created', ...outcome });
+      } else {
+        console.error(`❌ Test ${i + 1} failed: ${outcome.error}`);
+        // The raw error does not serialise: report its classified code instead
+        const { cause, ...failure } = outcome;
+        const { code, retryable } = toErrorResponse(cause);
+        tests.push({ index: i + 1, summary: test.summary, status: 'failed', ...failure, code, retryable: failure.rolledBack !== false && retryable });
+      }
+    }
+
+    const created = tests.filter(test => test.status === 'created');
+    const skipped = tests.filter(test => test.status === 'possibleDuplicate');
+    const failed = tests.filter(test => test.status === 'failed');
+    const notStarted = tests.filter(test => test.status === 'notStarted');
+    const leftovers = failed.map(test => describeLeftoverArtifacts(test.artifacts)).filter(Boolean);
+
+    console.log(`🎉 === createXrayTests COMPLETED: ${created.length} created, ${skipped.length} skipped, ${failed.length} failed ===`);
+
+    return {
+      userStoryKey,
+      requested: definitions.length,
+      createdCount: created.length,
+      skippedCount: skipped.length,
+      failedCount: failed.length,
+      notStartedCount: notStarted.length,
+      // The definitions that were not attempted, ready to be sent as `tests` in the next call
+      remainingTests: notStarted.length > 0 ? JSON.stringify(notStarted.map(test => definitions[test.index - 1])) : null,
+      foldersCreated,
+      tests,
+      message: `${created.length} of ${definitions.length} test(s) created and linked to ${userStoryKey}` +
+        (created.length > 0 && containers.length > 0 ? ` (added to ${containers.map(container => container.key).join(' and ')})` : '') +
+        (created.length > 0 ? `:\n${created.map(test => `- ${test.testCaseUrl} — ${test.summary}${describePreconditionOutcome(test.preconditions)}`).join('\n')}` : '.') +
+        (skipped.length > 0 ? `\nSkipped ${skipped.length} possible duplicate(s): ${skipped.map(test => `"${test.summary}" (like ${test.matches[0].testKey})`).join(', ')}. Call again with force=true to create them anyway.` : '') +
+        (failed.length > 0 ? `\nFailed ${failed.length}: ${failed.map(test => `"${test.summary}" — ${test.error}`).join('; ')}` : '') +
+        (leftovers.length > 0 ? `\nRollback was incomplete — please delete or unlink manually: ${leftovers.join(', ')}` : '') +
+        (notStarted.length > 0 ? `\nRan out of time before ${notStarted.length} test(s): call create-xray-tests again with remainingTests as tests to create them.` : '')
+    };
+  } catch (error) {
+    console.error('💥 === createXrayTests FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+
+// Function to convert plain text to a minimal ADF document (one paragraph per blank-line separated block)
+function textToADF(text) {
+  const paragraphs = String(text).split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(block => ({
+      type: 'paragraph',
+      content: block.split('\n').flatMap((line, i) => (
+        i === 0 ? [{ type: 'text', text: line }] : [{ type: 'hardBreak' }, { type: 'text', text: line }]
+      )).filter(node => node.type === 'hardBreak' || node.text)
+    }))
+  };
+}
+
+// Function to compare two steps by content (action, data and expected result)
+function stepContentEquals(a, b) {
+  const normalise = value => String(value || '').trim();
+  return normalise(a.action) === normalise(b.action) &&
+    normalise(a.data) === normalise(b.data) &&
+    normalise(a.result) === normalise(b.result);
+}
+
+// Function to apply step change operations to the current steps and return the desired step list.
+// Positions are 1-based and refer to the list as it is when the operation runs.
+function applyStepChanges(currentSteps, stepChangesJson) {
+  let changes;
+  try {
+    changes = typeof stepChangesJson === 'string' ? JSON.parse(stepChangesJson) : stepChangesJson;
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('stepChanges must be a non-empty JSON array');
+    }
+  } catch (e) {
+    throw new ActionError('VALIDATION', `Invalid stepChanges JSON: ${e.message}. Expected format: [{"op":"replace","position":2,"step":{"action":"...","data":"...","result":"..."}}]`);
+  }
+
+  const steps = currentSteps.map(step => ({ action: step.action, data: step.data, result: step.result }));
+  const checkPosition = (position, max, change) => {
+    if (!Number.isInteger(position) || position < 1 || position > max) {
+      throw new ActionError('VALIDATION', `Invalid position ${position} in stepChanges ${JSON.stringify(change)}: expected 1-${max}`);
+    }
+    return position - 1;
+  };
+  const toStep = change => {
+    if (!change.step) throw new ActionError('VALIDATION', `stepChanges ${JSON.stringify(change)} is missing "step"`);
+    return parseTestStepsInput([change.step])[0];
+  };
+
+  changes.forEach(change => {
+    const op = String(change.op || '').toLowerCase();
+    if (op === 'replace') {
+      steps[checkPosition(change.position, steps.length, change)] = toStep(change);
+    } else if (op === 'insert') {
+      const position = change.position === undefined ? steps.length + 1 : change.position;
+      steps.splice(checkPosition(position, steps.length + 1, change), 0, toStep(change));
+    } else if (op === 'delete') {
+      steps.splice(checkPosition(change.position, steps.length, change), 1);
+    } else if (op === 'move') {
+      const from = checkPosition(change.from, steps.length, change);
+      const to = checkPosition(change.to, steps.length, change);
+      steps.splice(to, 0, ...steps.splice(from, 1));
+    } else {
+      throw new ActionError('VALIDATION', `Unknown stepChanges op "${change.op}": expected replace, insert, delete or move`);
+    }
+  });
+
+  if (steps.length === 0) throw new ActionError('VALIDATION', 'stepChanges would remove every step — a Manual test needs at least one step');
+  return steps;
+}
+
+/**
+ * Rewrites a test's steps to match the desired list and returns a per-step diff.
+ *
+ * Xray only appends new steps, so existing step slots are rewritten in place with
+ * updateTestStep, extra steps are appended with addTestStep and surplus slots are removed with
+ * removeTestStep. The diff describes the change at each position: unchanged, updated, moved
+ * (same content found at another position) or added, plus steps whose content was removed.
+ */
+async function syncTestSteps(issueId, currentSteps, desiredSteps) {
+  const matchedCurrent = new Set();
+  const diff = desiredSteps.map((step, i) => {
+    const entry = { position: i + 1, change: 'added', after: step };
+    if (currentSteps[i] && stepContentEquals(currentSteps[i], step)) {
+      matchedCurrent.add(i);
+      return { position: i + 1, change: 'unchanged', stepId: currentSteps[i].id };
+    }
+    return entry;
+  });
+
+  // Steps whose content already exists at another position are moves, the rest are edits
+  diff.forEach((entry, i) => {
+    if (entry.change === 'unchanged') return;
+    const from = currentSteps.findIndex((step, j) => !matchedCurrent.has(j) && stepContentEquals(step, desiredSteps[i]));
+    if (from !== -1) {
+      matchedCurrent.add(from);
+      entry.change = 'moved';
+      entry.previousPosition = from + 1;
+    } else if (currentSteps[i]) {
+      entry.change = 'updated';
+      entry.before = { action: currentSteps[i].action, data: currentSteps[i].data, result: currentSteps[i].result };
+    }
+  });
+  currentSteps.forEach((step, j) => {
+    if (!matchedCurrent.has(j) && !(j < desiredSteps.length && diff[j].change === 'updated')) {
+      diff.push({ change: 'removed', previousPosition: j + 1, before: { action: step.action, data: step.data, result: step.result } });
+    }
+  });
+
+  const updateStepMutation = `
+    mutation UpdateTestStep($stepId: String!, $step: UpdateStepInput!) {
+      updateTestStep(stepId: $stepId, step: $step) {
+        warnings
+      }
+    }
+  `;
+  const addStepMutation = `
+    mutation AddTestStep($issueId: String!, $step: CreateStepInput!) {
+      addTestStep(issueId: $issueId, step: $step) {
+        id
+      }
+    }
+  `;
+  const removeStepMutation = `
+    mutation RemoveTestStep($stepId: String!) {
+      removeTestStep(stepId: $stepId)
+    }
+  `;
+
+  const operations = { updated: 0, added: 0, removed: 0 };
+  const warnings = [];
+  const total = desiredSteps.length + Math.max(0, currentSteps.length - desiredSteps.length);
+  try {
+    for (let i = 0; i < desiredSteps.length; i++) {
+      const { action, data, result } = desiredSteps[i];
+      if (i < currentSteps.length) {
+        if (stepContentEquals(currentSteps[i], desiredSteps[i])) continue;
+        console.log(`✏️ Rewriting step ${i + 1} (${currentSteps[i].id})`);
+        const updated = await executeXrayGraphQL(updateStepMutation, { stepId: currentSteps[i].id, step: { action, data, result } });
+        warnings.push(...(updated.data.updateTestStep?.warnings || []));
+        diff[i].stepId = currentSteps[i].id;
+        operations.updated++;
+      } else {
+        console.log(`➕ Adding step ${i + 1}`);
+        const added = await executeXrayGraphQL(addStepMutation, { issueId, step: { action, data, result } });
+        diff[i].stepId = added.data.addTestStep.id;
+        operations.added++;
+      }
+    }
+    for (let j = desiredSteps.length; j < currentSteps.length; j++) {
+      console.log(`➖ Removing step ${j + 1} (${currentSteps[j].id})`);
+      await executeXrayGraphQL(removeStepMutation, { stepId: currentSteps[j].id });
+      operations.removed++;
+    }
+  } catch (error) {
+    const applied = operations.updated + operations.added + operations.removed;
+    throw new Error(`Failed to update test steps after ${applied} of ${total} step change(s): ${error.message}`, { cause: error });
+  }
+
+  return { diff, operations, warnings };
+}
+
+/**
+ * Updates an existing Xray test: summary, description, steps and preconditions.
+ *
+ * Steps are given either as the full desired list (`testSteps`, same JSON format as
+ * create-xray-test) or as individual operations (`stepChanges`) applied to the current steps.
+ * Cucumber and Generic tests take a new `definition` instead.
+ *
+ * @param {object} payload
+ * @param {string} payload.testKey - Test issue key (e.g. "SDF-28")
+ * @param {string} [payload.summary] - New summary
+ * @param {string} [payload.description] - New description (plain text)
+ * @param {string} [payload.testSteps] - JSON string: the complete new step list [{"action":"...","data":"...","result":"..."}]
+ * @param {string} [payload.stepChanges] - JSON string: [{"op":"replace|insert|delete|move", "position":n, "from":n, "to":n, "step":{...}}]
+ * @param {string} [payload.definition] - New Gherkin scenario (Cucumber) or free-text definition (Generic)
+ * @param {string} [payload.addPreconditions] - JSON array of Precondition keys to link, or precondition texts to reuse
+ *   (when they match an existing Precondition of the project) or create
+ * @param {string} [payload.removePreconditions] - JSON array or comma-separated list of Precondition keys to unlink
+ */
+async function updateXrayTest(payload) {
+  console.log('🚀 === updateXrayTest STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const testKey = normaliseIssueKey(payload.testKey);
+  const { summary, description, testSteps: testStepsJson, stepChanges, definition } = payload;
+  const addPreconditions = parseListInput(payload.addPreconditions, 'addPreconditions');
+  const removePreconditions = parseListInput(payload.removePreconditions, 'removePreconditions').map(normaliseIssueKey);
+
+  if (!testKey) throw new ActionError('VALIDATION', 'testKey is required');
+  if (testStepsJson && stepChanges) throw new ActionError('VALIDATION', 'Provide either testSteps (the full step list) or stepChanges, not both');
+  if (!summary && !description && !testStepsJson && !stepChanges && !definition &&
+      addPreconditions.length === 0 && removePreconditions.length === 0) {
+    throw new ActionError('VALIDATION', 'Nothing to update: provide summary, description, testSteps, stepChanges, definition, addPreconditions or removePreconditions');
+  }
+
+  try {
+    const existingPreconditionKeys = addPreconditions.filter(item => ISSUE_KEY_PATTERN.test(normaliseIssueKey(item))).map(normaliseIssueKey);
+    const newPreconditionTexts = addPreconditions.filter(item => !ISSUE_KEY_PATTERN.test(normaliseIssueKey(item)));
+    const issuesByKey = await searchIssuesByKeys([testKey, ...existingPreconditionKeys, ...removePreconditions], ['summary', 'issuetype', 'project']);
+    const testIssue = issuesByKey.get(testKey);
+    const testCaseUrl = `${getJiraBaseUrl(testIssue)}/browse/${testKey}`;
+    const projectKey = testIssue.fields.project?.key;
+
+    const testQuery = `
+      query GetTestForUpdate($issueId: String!) {
+        getTest(issueId: $issueId) {
+          issueId
+          testType {
+            name
+            kind
+          }
+          steps {
+            id
+            action
+            data
+            result
+          }
+          gherkin
+          unstructured
+          preconditions(limit: 100) {
+            results {
+              issueId
+              jira(fields: ["key"])
+            }
+          }
+        }
+      }
+    `;
+    const testResult = await executeXrayGraphQL(testQuery, { issueId: testIssue.id });
+    const test = testResult.data.getTest;
+    if (!test) throw new ActionError('NOT_FOUND', `${testKey} is not a Test issue in Xray`);
+    const kind = test.testType?.kind || 'Steps';
+    console.log(`🧪 ${testKey} is a ${test.testType?.name || 'Manual'} test with ${test.steps?.length || 0} step(s)`);
+
+    if ((testStepsJson || stepChanges) && kind !== 'Steps') {
+      throw new ActionError('VALIDATION', `${testKey} is a ${test.testType.name} test — update its definition instead of steps`);
+    }
+    if (definition && kind === 'Steps') {
+      throw new ActionError('VALIDATION', `${testKey} is a ${test.testType?.name || 'Manual'} test — update its steps with testSteps or stepChanges instead of a definition`);
+    }
+
+    // Validate the new steps and definition before anything is written
+    const currentSteps = test.steps || [];
+    let desiredSteps = null;
+    if (testStepsJson) desiredSteps = parseTestStepsInput(testStepsJson);
+    if (stepChanges) desiredSteps = applyStepChanges(currentSteps, stepChanges);
+    const gherkinValidation = definition && kind === 'Gherkin' ? validateGherkin(definition) : null;
+    if (gherkinValidation && !gherkinValidation.valid) {
+      throw new ActionError('VALIDATION', `Invalid Gherkin definition:\n${gherkinValidation.errors.map(e => `line ${e.line}: ${e.message}`).join('\n')}`);
+    }
+
+    const result = {
+      testCaseKey: testKey,
+      testCaseUrl,
+      fieldsUpdated: [],
+      stepDiff: [],
+      stepOperations: { updated: 0, added: 0, removed: 0 },
+      preconditionsAdded: [],
+      preconditionsCreated: 0,
+      preconditionsReused: [],
+      preconditionsRemoved: [],
+      warnings: []
+    };
+
+    // Preconditions are linked before anything else is changed: new Precondition issues are journaled,
+    // so a failure removes them again and leaves the test untouched
+    const journal = createRollbackJournal();
+    const linkedPreconditionIds = new Set((test.preconditions?.results || []).map(pre => pre.issueId));
+    try {
+      const preconditionIdsToAdd = [];
+      existingPreconditionKeys.forEach(key => {
+        const issue = issuesByKey.get(key);
+        if (linkedPreconditionIds.has(issue.id)) {
+          result.warnings.push(`Precondition ${key} is already linked to ${testKey}`);
+        } else {
+          preconditionIdsToAdd.push(issue.id);
+          result.preconditionsAdded.push(key);
+        }
+      });
+      if (newPreconditionTexts.length > 0) {
+        // Reuse matching Precondition issues of the project, create the rest
+        const { reused, toCreate } = await resolvePreconditions(
+          newPreconditionTexts.map((text, i) => ({ id: i + 1, condition: text, description: text })),
+          createPreconditionLibrary(projectKey)
+        );
+        reused.forEach(precondition => {
+          if (linkedPreconditionIds.has(precondition.issueId) || preconditionIdsToAdd.includes(precondition.issueId)) {
+            result.warnings.push(`Precondition "${precondition.requested}" matches ${precondition.key}, which is already linked to ${testKey}`);
+          } else {
+            preconditionIdsToAdd.push(precondition.issueId);
+            result.preconditionsReused.push({ key: precondition.key, summary: precondition.summary, requested: precondition.requested, match: precondition.match, score: precondition.score });
+          }
+        });
+
+        if (toCreate.length > 0) {
+          const created = await createXrayPreconditions(toCreate, projectKey, journal);
+          preconditionIdsToAdd.push(...created);
+          result.preconditionsCreated = created.length;
+        }
+      }
+      if (preconditionIdsToAdd.length > 0) {
+        const linked = await linkPreconditionToTest(test.issueId, preconditionIdsToAdd);
+        if (linked.warning) result.warnings.push(linked.warning);
+      }
+    } catch (error) {
+      if (!journal.hasWrites()) throw error;
+
+      console.error('💥 Linking preconditions failed, rolling back:', error.message);
+      const rolledBack = await journal.rollback();
+      const artifacts = journal.artifacts();
+      const { code, hint, retryable } = toErrorResponse(error);
+      throw new ActionError(code, rolledBack
+        ? `${testKey} was not updated: ${error.message}. The preconditions created for it were removed again.`
+        : `${testKey} was not updated: ${error.message}. Rollback was incomplete — please delete manually: ` +
+          describeLeftoverArtifacts(artifacts), {
+        hint: rolledBack ? hint : 'Delete the leftover Precondition issues listed in the message before trying again.',
+        retryable: rolledBack && retryable,
+        cause: error,
+        details: { updated: false, rolledBack, artifacts }
+      });
+    }
+
+    const describeChanges = () => {
+      const { updated, added, removed } = result.stepOperations;
+      return [
+        result.fieldsUpdated.length > 0 && `updated ${result.fieldsUpdated.join(', ')}`,
+        (updated + added + removed) > 0 && `steps: ${updated} rewritten, ${added} added, ${removed} removed`,
+        result.preconditionsAdded.length > 0 && `linked precondition(s) ${result.preconditionsAdded.join(', ')}`,
+        result.preconditionsReused.length > 0 && `reused existing precondition(s) ${result.preconditionsReused.map(precondition => precondition.key).join(', ')}`,
+        result.preconditionsCreated > 0 && `${result.preconditionsCreated} new precondition(s) created and linked`,
+        result.preconditionsRemoved.length > 0 && `${result.preconditionsRemoved.length} precondition(s) removed`
+      ].filter(Boolean);
+    };
+
+    // The remaining writes cannot be undone: a failure reports what was already applied
+    try {
+      // Summary and description live on the Jira issue
+      if (summary || description) {
+        const fields = {};
+        if (summary) fields.summary = summary;
+        if (description) fields.description = textToADF(description);
+        const response = await api.asUser().requestJira(route`/rest/api/3/issue/${testKey}`, {
+          method: 'PUT',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ fields })
+        });
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new JiraApiError(`Failed to update ${testKey}: ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
+        }
+        result.fieldsUpdated.push(...Object.keys(fields));
+        console.log(`✅ Updated ${Object.keys(fields).join(', ')} of ${testKey}`);
+      }
+
+      // Steps (Manual tests)
+      if (desiredSteps) {
+        const synced = await syncTestSteps(test.issueId, currentSteps, desiredSteps);
+        result.stepDiff = synced.diff;
+        result.stepOperations = synced.operations;
+        result.warnings.push(...synced.warnings);
+        console.log(`✅ Steps synced: ${JSON.stringify(synced.operations)}`);
+      }
+
+      // Definition (Cucumber and Generic tests)
+      if (definition) {
+        if (kind === 'Gherkin') {
+          await executeXrayGraphQL(`
+            mutation UpdateGherkin($issueId: String!, $gherkin: String!) {
+              updateGherkinTestDefinition(issueId: $issueId, gherkin: $gherkin) {
+                issueId
+              }
+            }
+          `, { issueId: test.issueId, gherkin: gherkinValidation.definition });
+          result.fieldsUpdated.push('gherkin');
+        } else {
+          await executeXrayGraphQL(`
+            mutation UpdateUnstructured($issueId: String!, $unstructured: String!) {
+              updateUnstructuredTestDefinition(issueId: $issueId, unstructured: $unstructured) {
+                issueId
+              }
+            }
+          `, { issueId: test.issueId, unstructured: definition.trim() });
+          result.fieldsUpdated.push('unstructured');
+        }
+        console.log(`✅ Updated the ${kind} definition of ${testKey}`);
+      }
+
+      const removeIds = removePreconditions
+        .filter(key => {
+          const linked = linkedPreconditionIds.has(issuesByKey.get(key).id);
+          if (!linked) result.warnings.push(`Precondition ${key} is not linked to ${testKey}`);
+          return linked;
+        })
+        .map(key => issuesByKey.get(key).id);
+      if (removeIds.length > 0) {
+        await executeXrayGraphQL(`
+          mutation RemovePreconditions($issueId: String!, $preconditionIssueIds: [String]!) {
+            removePreconditionsFromTest(issueId: $issueId, preconditionIssueIds: $preconditionIssueIds)
+          }
+        `, { issueId: test.issueId, preconditionIssueIds: removeIds });
+        result.preconditionsRemoved = removePreconditions.filter(key => removeIds.includes(issuesByKey.get(key).id));
+        console.log(`✅ Unlinked precondition(s) ${result.preconditionsRemoved.join(', ')}`);
+      }
+    } catch (error) {
+      const applied = describeChanges();
+      if (applied.length === 0) throw error;
+
+      const { code, hint, retryable } = toErrorResponse(error);
+      throw new ActionError(code, `${testKey} was only partly updated: ${error.message}. Already applied: ${applied.join('; ')}`, {
+        hint,
+        retryable,
+        cause: error,
+        details: { partiallyUpdated: true, ...result }
+      });
+    }
+
+    const changes = describeChanges();
+
+    console.log('🎉 === updateXrayTest COMPLETED SUCCESSFULLY ===');
+
+    return {
+      ...result,
+      message: changes.length > 0
+        ? `Test ${testKey} updated (${changes.join('; ')}): ${testCaseUrl}`
+        : `Test ${testKey} already matches the requested content — nothing changed: ${testCaseUrl}`
+    };
+  } catch (error) {
+    console.error('💥 === updateXrayTest FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+
+/**
+ * Finds all test cases linked to a user story via 'is tested by' / 'tests' link types
+ */
+async function getLinkedTestCases(payload) {
+  console.log('🎯 === STARTING getLinkedTestCases FUNCTION ===');
+
+  const { issueId } = payload;
+  
+  if (!issueId) {
+    throw new ActionError('VALIDATION', 'Issue ID is required');
+  }
+
+  console.log('🔗 Searching for linked test cases...');
+  
+  try {
+    // Get issue links from Jira
+    const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=issuelinks,summary,issuetype`, {
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new JiraApiError(`Failed to get issue links: ${response.status} ${response.statusText}`, { status: response.status });
+    }
+
+    const issueData = await response.json();
+    console.log(`📋 Processing issue: ${issueData.key} (${issueData.fields.issuetype.name})`);
+    console.log(`📝 Summary: ${issueData.fields.summary}`);
     
-    // Format the response for better readability
-    const steps = testData.steps?.map((step, index) => {
-      console.log(`📋 Processing step ${index + 1}:`, step);
+    const issueLinks = issueData.fields.issuelinks || [];
+    console.log(`🔗 Found ${issueLinks.length} total links`);
+
+    const testCases = findLinkedTestIssues(issueLinks, await getXraySettings());
+
+    console.log(`🎯 Found ${testCases.length} linked test cases total`);
+
+    const result = {
+      userStory: {
+        key: issueData.key,
+        id: issueData.id,
+        summary: issueData.fields.summary,
+        issueType: issueData.fields.issuetype.name
+      },
+      testCases: testCases,
+      totalLinks: issueLinks.length,
+      testCasesFound: testCases.length
+    };
+
+    if (testCases.length === 0) {
+      console.log('⚠️ No test cases found linked to this user story');
+      result.message = `No test cases are linked to ${issueData.key}. Consider creating test cases and linking them with 'is tested by' relationships.`;
+    } else {
+      console.log('✅ Successfully found linked test cases');
+      result.message = `Found ${testCases.length} test case(s) linked to ${issueData.key}`;
+    }
+
+    console.log('🎯 === ENDING getLinkedTestCases FUNCTION ===');
+    return result;
+
+  } catch (error) {
+    console.error('❌ Error finding linked test cases:', error.message);
+    throw new Error(`Failed to find linked test cases: ${error.message}`, { cause: error });
+  }
+}
+
+// Test quality rules of the lint-test-case action (company guidelines in prompts/Assess Test Case)
+const LINT_SUMMARY_MAX_LENGTH = 120;
+const LINT_MAX_STEPS = 10;
+const LINT_MIN_ACTION_WORDS = 3;
+// Share of a criterion's keywords a step must mention to count as testing that criterion
+const LINT_CRITERION_MATCH_THRESHOLD = 0.3;
+// A test whose steps map to more criteria than this is flagged as having more than one purpose
+const LINT_MAX_CRITERIA_PER_TEST = 2;
+
+// Phrases that leave the outcome to the tester's judgement
+const VAGUE_PHRASES = [
+  /\b(it|this|everything|things?|the (feature|functionality|system|page|app))\s+(works?|is working|functions?)\b/i,
+  /\bworks?\s+(correctly|properly|fine|well|as (expected|intended))\b/i,
+  /\b(verify|check|ensure|make sure|confirm|test)\s+(it|that it|everything|the functionality)\b/i,
+  /\bas expected\b/i,
+  /\b(should|must) work\b/i,
+  /\b(something|somehow|etc\.?|and so on|appropriate(ly)?)\b/i
+];
+
+// Words that mark a negative / error scenario step
+const NEGATIVE_STEP_PATTERN = /\b(invalid|error|errors|fail(s|ed|ure)?|wrong|incorrect|missing|empty|blank|denied|unauthori[sz]ed|forbidden|reject(s|ed)?|exceed(s|ed|ing)?|too (long|short|many)|limit|boundary|negative|not allowed|cannot|can't|expired|duplicate|malformed|timeout|4\d\d|5\d\d)\b/i;
+
+// Phrases that make a test depend on another test's state
+const DEPENDENT_STEP_PATTERN = /\b(previous|prior|preceding|earlier|above)\s+(test|test case|scenario)\b|\b(same as|see|from|after)\s+(test|test case)\s+[A-Z][A-Z0-9]+-\d+\b/i;
+
+// Common words ignored when mapping steps to acceptance criteria
+const LINT_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had',
+  'can', 'should', 'must', 'will', 'shall', 'into', 'from', 'then', 'when', 'given', 'user', 'users', 'their', 'they',
+  'them', 'its', 'his', 'her', 'all', 'any', 'each', 'not', 'only', 'also', 'but', 'than', 'is', 'be', 'to', 'of', 'in',
+  'on', 'at', 'by', 'or', 'an', 'as', 'it', 'if', 'so', 'do', 'does', 'system', 'page', 'click', 'enter', 'verify']);
+
+// Function to extract the comparable keywords of a text (stop words dropped, simple plural / tense endings stripped)
+function lintKeywords(text) {
+  return new Set(normaliseForComparison(text).split(' ')
+    .filter(word => word.length > 2 && !LINT_STOP_WORDS.has(word))
+    .map(word => word.replace(/(ies|es|s|ed|ing)$/, '') || word));
+}
+
+// Function to find the acceptance criterion a step tests best; returns { id, score } or null
+function matchStepToCriterion(stepText, criteria) {
+  const stepWords = lintKeywords(stepText);
+  let best = null;
+  criteria.forEach(criterion => {
+    const criterionWords = lintKeywords(criterion.text);
+    if (criterionWords.size === 0) return;
+    const shared = [...criterionWords].filter(word => stepWords.has(word)).length;
+    const score = shared / criterionWords.size;
+    if (shared >= 1 && score >= LINT_CRITERION_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { id: criterion.id, score: Math.round(score * 100) / 100 };
+    }
+  });
+  return best;
+}
+
+// Function to turn a test's definition into lintable steps: Manual steps as-is, Gherkin step lines
+// (Then / And-after-Then lines count as expected results), or one step for a Generic definition
+function getLintSteps(test) {
+  const kind = test.testType?.kind || 'Steps';
+  if (kind === 'Gherkin') {
+    const validation = validateGherkin(test.gherkin || '');
+    let inThen = false;
+    return validation.definition.split('\n')
+      .map(line => line.trim())
+      .filter(line => GHERKIN_STEP_KEYWORD_PATTERN.test(line))
+      .map((line, index) => {
+        if (/^then\b/i.test(line)) inThen = true;
+        else if (/^(given|when)\b/i.test(line)) inThen = false;
+        return { stepNumber: index + 1, action: inThen ? '' : line, data: '', result: inThen ? line : '' };
+      });
+  }
+  if (kind === 'Unstructured') {
+    return test.unstructured ? [{ stepNumber: 1, action: test.unstructured, data: '', result: test.unstructured }] : [];
+  }
+  return (test.steps || []).map((step, index) => ({
+    stepNumber: index + 1,
+    action: step.action || '',
+    data: step.data || '',
+    result: step.result || ''
+  }));
+}
+
+// Function to rate a 0-100 score with the traffic-light emojis used by the Assess Test Case scenario
+function lintRating(score) {
+  if (score >= 80) return '🟢';
+  if (score >= 50) return '🟡';
+  return '🔴';
+}
+
+/**
+ * Runs the deterministic test quality rules on a test and returns scored findings per rule.
+ *
+ * Rules: summary length, empty expected results, vague wording, too many steps, missing negative
+ * steps, steps that map to no acceptance criterion, more than one purpose, implicit (too short)
+ * steps, dependencies on other tests, repeated steps, missing preconditions and a missing story.
+ * Step-level rules score by the share of steps that pass; the other rules pass or fail.
+ *
+ * @param {object} payload
+ * @param {string} payload.testKey - Test issue key (e.g. "SDF-28")
+ * @param {string} [payload.userStoryKey] - Story to check against (default: the story the test is linked to)
+ */
+async function lintTestCase(payload) {
+  console.log('🚀 === lintTestCase STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const testKey = normaliseIssueKey(payload.testKey);
+  const userStoryKey = normaliseIssueKey(payload.userStoryKey);
+  if (!testKey) throw new ActionError('VALIDATION', 'testKey is required');
+
+  try {
+    const testIssue = (await searchIssuesByKeys([testKey], ['summary', 'issuetype'])).get(testKey);
+    if (testIssue.fields.issuetype?.name?.toLowerCase() !== 'test') {
+      throw new ActionError('VALIDATION', `${testKey} is a ${testIssue.fields.issuetype?.name}, not a Test`);
+    }
+    const jiraBaseUrl = getJiraBaseUrl(testIssue);
+
+    const testResult = await executeXrayGraphQL(`
+      query GetTestForLint($issueId: String!) {
+        getTest(issueId: $issueId) {
+          testType {
+            name
+            kind
+          }
+          steps {
+            action
+            data
+            result
+          }
+          gherkin
+          unstructured
+          preconditions(limit: 100) {
+            total
+            results {
+              definition
+              jira(fields: ["key"])
+            }
+          }
+        }
+      }
+    `, { issueId: testIssue.id });
+    const test = testResult.data.getTest;
+    if (!test) throw new ActionError('NOT_FOUND', `${testKey} is not a Test issue in Xray`);
+
+    // The stories come from the test's requirement links unless given explicitly; a missing link is a finding
+    let story = null;
+    let storyError = null;
+    try {
+      story = await getUserStoryDetails({ issueKey: userStoryKey || testKey });
+    } catch (error) {
+      if (userStoryKey) throw error;
+      storyError = error.message;
+    }
+
+    const summary = testIssue.fields.summary || '';
+    const steps = getLintSteps(test);
+    // A test covering several requirements is checked against all of their criteria (ids prefixed with the key)
+    const requirements = story?.requirements || (story ? [story] : []);
+    const criteria = requirements.length > 1
+      ? requirements.flatMap(requirement => requirement.acceptanceCriteria.map(criterion => ({ ...criterion, id: `${requirement.key} ${criterion.id}` })))
+      : story?.acceptanceCriteria || [];
+    const stepText = step => [step.action, step.data, step.result].filter(Boolean).join(' ');
+    const stepLevel = steps.length > 0 && (test.testType?.kind || 'Steps') !== 'Unstructured';
+    const rules = [];
+    const addRule = (rule, title, severity, findings, score = findings.length === 0 ? 100 : 0) => {
+      // A failing rule is never rated green, however few steps it affects
+      const rating = findings.length === 0 ? '🟢' : lintRating(Math.min(score, 79));
+      rules.push({ rule, title, severity, passed: findings.length === 0, score, rating, findings });
+    };
+    const stepScore = findings => Math.round(100 * (1 - new Set(findings.map(finding => finding.stepNumber)).size / Math.max(steps.length, 1)));
+
+    // Linked story
+    addRule('linked-story', 'Test is linked to a user story', 'error',
+      story ? [] : [{ message: storyError || 'No linked user story found' }]);
+
+    // Summary
+    addRule('summary-length', `Summary is at most ${LINT_SUMMARY_MAX_LENGTH} characters`, 'error',
+      summary.length > LINT_SUMMARY_MAX_LENGTH
+        ? [{ message: `Summary is ${summary.length} characters long`, text: summary }]
+        : []);
+
+    // Expected results
+    const emptyResults = test.testType?.kind === 'Gherkin'
+      ? (steps.some(step => step.result) ? [] : [{ message: 'The scenario has no Then step, so no outcome is checked' }])
+      : steps.filter(step => !step.result.trim()).map(step => ({ stepNumber: step.stepNumber, message: 'Expected result is empty', text: step.action }));
+    addRule('empty-expected-result', 'Every step has an expected result', 'error', emptyResults,
+      test.testType?.kind === 'Gherkin' ? undefined : stepScore(emptyResults));
+
+    // Vague wording, in the summary and in the steps
+    const vague = [];
+    const vagueMatch = text => VAGUE_PHRASES.map(pattern => text.match(pattern)).find(Boolean);
+    const summaryMatch = vagueMatch(summary);
+    if (summaryMatch) vague.push({ message: `Summary uses vague wording "${summaryMatch[0]}"`, text: summary });
+    steps.forEach(step => {
+      const match = vagueMatch(stepText(step));
+      if (match) vague.push({ stepNumber: step.stepNumber, message: `Vague wording "${match[0]}" — state the concrete input and observable outcome`, text: stepText(step) });
+    });
+    addRule('vague-language', 'Steps and summary use objective, specific wording', 'warning', vague,
+      vague.length === 0 ? 100 : Math.min(stepScore(vague.filter(finding => finding.stepNumber)), summaryMatch ? 50 : 100));
+
+    // Too many steps
+    addRule('too-many-steps', `At most ${LINT_MAX_STEPS} steps`, 'warning',
+      stepLevel && steps.length > LINT_MAX_STEPS
+        ? [{ message: `${steps.length} steps — consider splitting into focused tests` }]
+        : [],
+      stepLevel && steps.length > LINT_MAX_STEPS ? Math.max(0, 100 - (steps.length - LINT_MAX_STEPS) * 10) : 100);
+
+    // Negative scenarios
+    addRule('negative-steps', 'Covers error scenarios, not just the happy path', 'warning',
+      steps.some(step => NEGATIVE_STEP_PATTERN.test(stepText(step))) || NEGATIVE_STEP_PATTERN.test(summary)
+        ? []
+        : [{ message: 'No step covers invalid input, errors or boundaries' }]);
+
+    // Mapping to acceptance criteria
+    const stepMappings = steps.map(step => ({ stepNumber: step.stepNumber, criterion: matchStepToCriterion(stepText(step), criteria) }));
+    if (criteria.length > 0 && stepLevel) {
+      const unmapped = stepMappings.filter(mapping => !mapping.criterion).map(mapping => ({
+        stepNumber: mapping.stepNumber,
+        message: 'Step does not map to any acceptance criterion',
+        text: stepText(steps[mapping.stepNumber - 1])
+      }));
+      addRule('unmapped-steps', 'Every step traces to an acceptance criterion', 'warning', unmapped, stepScore(unmapped));
+
+      const covered = [...new Set(stepMappings.map(mapping => mapping.criterion?.id).filter(Boolean))];
+      addRule('single-purpose', 'One purpose per test (one test per acceptance criterion)', 'info',
+        covered.length > LINT_MAX_CRITERIA_PER_TEST
+          ? [{ message: `Steps cover ${covered.length} acceptance criteria (${covered.join(', ')}) — consider one test per criterion` }]
+          : covered.length === 0
+            ? [{ message: 'No step maps to an acceptance criterion of the story' }]
+            : []);
+    }
+
+    // Explicit steps
+    if (stepLevel && test.testType?.kind !== 'Gherkin') {
+      const implicit = steps
+        .filter(step => step.action.trim().split(/\s+/).filter(Boolean).length < LINT_MIN_ACTION_WORDS)
+        .map(step => ({ stepNumber: step.stepNumber, message: `Action has fewer than ${LINT_MIN_ACTION_WORDS} words — spell out what to do and with which data`, text: step.action }));
+      addRule('explicit-steps', 'Steps are explicit (no implied actions)', 'warning', implicit, stepScore(implicit));
+    }
+
+    // Independence
+    const dependent = steps
+      .filter(step => DEPENDENT_STEP_PATTERN.test(stepText(step)))
+      .map(step => ({ stepNumber: step.stepNumber, message: 'Step relies on another test — make the test self-contained or use a precondition', text: stepText(step) }));
+    addRule('independent', 'Test is self-contained', 'warning', dependent);
+
+    // Repeated steps
+    const seen = new Map();
+    const repeated = [];
+    steps.forEach(step => {
+      const normalised = normaliseForComparison(stepText(step));
+      if (!normalised) return;
+      if (seen.has(normalised)) {
+        repeated.push({ stepNumber: step.stepNumber, message: `Repeats step ${seen.get(normalised)}`, text: stepText(step) });
+      } else {
+        seen.set(normalised, step.stepNumber);
+      }
+    });
+    addRule('repeated-steps', 'No repeated steps', 'info', repeated);
+
+    // Preconditions
+    const preconditionCount = test.preconditions?.total ?? (test.preconditions?.results || []).length;
+    addRule('preconditions', 'Required setup is stated as preconditions', 'info',
+      preconditionCount > 0 ? [] : [{ message: 'No preconditions — state the required setup and test data' }]);
+
+    // Overall score: rules weighted by severity
+    const weights = { error: 3, warning: 2, info: 1 };
+    const totalWeight = rules.reduce((sum, rule) => sum + weights[rule.severity], 0);
+    const score = Math.round(rules.reduce((sum, rule) => sum + rule.score * weights[rule.severity], 0) / totalWeight);
+    const failed = rules.filter(rule => !rule.passed);
+
+    const markdown = [
+      '| Rule | Rating | Findings |',
+      '|---|---|---|',
+      ...rules.map(rule => `| ${rule.title} | ${rule.rating} ${rule.score} | ${rule.findings.length === 0
+        ? 'OK'
+        : rule.findings.map(finding => `${finding.stepNumber ? `Step ${finding.stepNumber}: ` : ''}${finding.message}`.replace(/\|/g, '\\|')).join('<br>')} |`)
+    ].join('\n');
+
+    console.log(`✅ ${testKey} scored ${score} with ${failed.length} failing rule(s)`);
+    console.log('🎉 === lintTestCase COMPLETED SUCCESSFULLY ===');
+
+    return {
+      testKey,
+      testUrl: `${jiraBaseUrl}/browse/${testKey}`,
+      testType: test.testType?.name || 'Manual',
+      userStoryKey: story?.key || null,
+      userStoryUrl: story?.url || null,
+      requirementKeys: requirements.map(requirement => requirement.key),
+      score,
+      rating: lintRating(score),
+      stepCount: steps.length,
+      acceptanceCriteriaCount: criteria.length,
+      stepMappings: stepMappings.map(mapping => ({
+        stepNumber: mapping.stepNumber,
+        criterionId: mapping.criterion?.id || null,
+        score: mapping.criterion?.score ?? null
+      })),
+      rules,
+      markdown,
+      message: `${testKey} scored ${score}/100 ${lintRating(score)}` +
+        (story ? ` against ${requirements.map(requirement => `${requirement.key} (${requirement.url})`).join(', ')}` : ' — no linked user story found') +
+        (failed.length > 0 ? `. ${failed.length} rule(s) need attention: ${failed.map(rule => rule.rule).join(', ')}.` : '. All rules pass.')
+    };
+  } catch (error) {
+    console.error('💥 === lintTestCase FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+// Maximum number of requirements (stories and epics, including epic children) in one coverage report
+const MAX_COVERAGE_REQUIREMENTS = 200;
+
+// Xray issue types that are never requirements themselves
+const XRAY_ISSUE_TYPES = ['test', 'test set', 'test plan', 'test execution', 'precondition'];
+
+// Coverage statuses, worst first, with their icons for the markdown table
+const COVERAGE_STATUSES = {
+  failed: { icon: '❌', label: 'Failed' },
+  uncovered: { icon: '⚠️', label: 'Uncovered' },
+  notRun: { icon: '⏳', label: 'Not run' },
+  passed: { icon: '✅', label: 'Covered / passed' }
+};
+
+// Function to pick the worst of several coverage statuses (failed > uncovered > not run > passed)
+function worstCoverageStatus(statuses) {
+  return Object.keys(COVERAGE_STATUSES).find(status => statuses.includes(status)) || 'uncovered';
+}
+
+// Function to map a run status to a test coverage status; FAILED and ABORTED count as failures
+function runCoverageStatus(run) {
+  const name = run?.status?.name?.toUpperCase();
+  if (!name) return 'notRun';
+  if (name === 'PASSED') return 'passed';
+  if (name === 'FAILED' || name === 'ABORTED') return 'failed';
+  return 'notRun';
+}
+
+// Function to check whether an issue is an epic
+function isEpicIssue(issue) {
+  const issueType = issue.fields?.issuetype;
+  return issueType?.hierarchyLevel === 1 || issueType?.name?.toLowerCase() === 'epic';
+}
+
+// Function to fetch the full run history of each test, oldest run first (by finish, then start time),
+// with the defect ids and the execution's environments of every run
+async function getRunHistoryByTest(testIssueIds) {
+  const query = `
+    query GetRunHistory($testIssueIds: [String], $start: Int, $limit: Int!) {
+      getTestRuns(testIssueIds: $testIssueIds, start: $start, limit: $limit) {
+        total
+        results {
+          id
+          status {
+            name
+          }
+          startedOn
+          finishedOn
+          defects
+          steps {
+            defects
+          }
+          test {
+            issueId
+          }
+          testExecution {
+            issueId
+            testEnvironments
+            jira(fields: ["key"])
+          }
+        }
+      }
+    }
+  `;
+
+  const runsByTest = new Map(testIssueIds.map(testIssueId => [String(testIssueId), []]));
+  for (let i = 0; i < testIssueIds.length; i += XRAY_MAX_PAGE_SIZE) {
+    const batch = testIssueIds.slice(i, i + XRAY_MAX_PAGE_SIZE);
+    const runs = await fetchXrayPages(async (start, limit) => {
+      const result = await executeXrayGraphQL(query, { testIssueIds: batch, start, limit });
+      return result.data.getTestRuns;
+    }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
+
+    runs.results.forEach(run => runsByTest.get(String(run.test?.issueId))?.push(run));
+  }
+
+  const runTime = run => Date.parse(run.finishedOn || run.startedOn || 0) || 0;
+  runsByTest.forEach(runs => runs.sort((a, b) => runTime(a) - runTime(b)));
+  return runsByTest;
+}
+
+// Function to fetch the latest run of each test, with its defect ids
+async function getLatestRunsByTest(testIssueIds) {
+  const runsByTest = await getRunHistoryByTest(testIssueIds);
+  return new Map([...runsByTest.entries()]
+    .filter(([, runs]) => runs.length > 0)
+    .map(([testIssueId, runs]) => [testIssueId, runs[runs.length - 1]]));
+}
+
+// Function to render the coverage report as a markdown traceability table
+function renderCoverageMarkdown(requirements, summary) {
+  const escapeCell = text => String(text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const rows = [];
+  const addRow = (requirement, prefix = '') => {
+    const status = COVERAGE_STATUSES[requirement.status];
+    const tests = requirement.tests.map(test => `[${test.key}](${test.url}) ${COVERAGE_STATUSES[test.status].icon}`).join('<br>') || '—';
+    const runs = requirement.tests
+      .map(test => test.latestRun ? `${test.key}: ${test.latestRun.status}${test.latestRun.testExecutionKey ? ` (${test.latestRun.testExecutionKey})` : ''}` : `${test.key}: not run`)
+      .join('<br>') || '—';
+    const defects = requirement.tests.flatMap(test => test.defects)
+      .map(defect => `[${defect.key}](${defect.url})${defect.status ? ` ${escapeCell(defect.status)}` : ''}`)
+      .join('<br>') || '—';
+    rows.push(`| ${prefix}[${requirement.key}](${requirement.url}) ${escapeCell(requirement.summary)} | ${requirement.issueType} | ${status.icon} ${status.label} | ${tests} | ${runs} | ${defects} |`);
+  };
+
+  requirements.forEach(requirement => {
+    addRow(requirement);
+    (requirement.children || []).forEach(child => addRow(child, '↳ '));
+  });
+
+  return [
+    `**Coverage:** ${summary.coveragePercent}% of ${summary.total} requirement(s) covered — ` +
+      `✅ ${summary.passed} passed, ❌ ${summary.failed} failed, ⏳ ${summary.notRun} not run, ⚠️ ${summary.uncovered} uncovered`,
+    '',
+    '| Requirement | Type | Status | Tests | Latest runs | Defects |',
+    '|---|---|---|---|---|---|',
+    ...rows
+  ].join('\n');
+}
+
+/**
+ * Builds a requirement coverage report for stories and epics.
+ *
+ * Walks epic → stories → linked tests → latest run of each test → defects on that run, and
+ * computes a status per requirement: passed (every linked test passed its latest run), failed
+ * (a latest run failed or was aborted), notRun (some test has no finished run) or uncovered (no
+ * linked tests). An epic takes the worst status of its own tests and its stories.
+ *
+ * @param {object} payload
+ * @param {string} [payload.issueKeys] - JSON array or comma-separated list of story / epic keys
+ * @param {string} [payload.jql] - JQL query selecting the stories / epics to report on
+ */
+async function getCoverageReport(payload) {
+  console.log('🚀 === getCoverageReport STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const issueKeys = parseListInput(payload.issueKeys, 'issueKeys').map(normaliseIssueKey);
+  const { jql } = payload;
+  if (issueKeys.length === 0 && !jql) {
+    throw new ActionError('VALIDATION', 'Provide issueKeys and/or a jql filter selecting the stories or epics to report on');
+  }
+
+  try {
+    const fields = ['summary', 'issuetype', 'status', 'issuelinks'];
+
+    // Top-level requirements: explicit keys first, then JQL matches, in order and de-duplicated
+    const topLevel = new Map();
+    if (issueKeys.length > 0) {
+      const issuesByKey = await searchIssuesByKeys(issueKeys, fields);
+      issueKeys.forEach(key => topLevel.set(key, issuesByKey.get(key)));
+    }
+    if (jql) {
+      const jqlIssues = await searchIssuesByJql(jql, fields, MAX_COVERAGE_REQUIREMENTS + 1);
+      jqlIssues.forEach(issue => { if (!topLevel.has(issue.key)) topLevel.set(issue.key, issue); });
+    }
+    const requirementIssues = [...topLevel.values()]
+      .filter(issue => !XRAY_ISSUE_TYPES.includes(issue.fields.issuetype?.name?.toLowerCase()));
+    if (requirementIssues.length === 0) {
+      throw new ActionError('VALIDATION', 'No stories or epics matched — Xray issues (tests, sets, plans, executions) are not requirements');
+    }
+
+    // Expand epics into their child issues (sub-tasks, bugs and Xray issues excluded)
+    const epics = requirementIssues.filter(isEpicIssue);
+    const childrenByEpic = new Map(epics.map(epic => [epic.key, []]));
+    if (epics.length > 0) {
+      const children = await searchIssuesByJql(
+        `parent in (${epics.map(epic => epic.key).join(',')}) ORDER BY key ASC`,
+        [...fields, 'parent'],
+        MAX_COVERAGE_REQUIREMENTS + 1
+      );
+      children
+        .filter(child => !child.fields.issuetype?.subtask)
+        .filter(child => !['bug', ...XRAY_ISSUE_TYPES].includes(child.fields.issuetype?.name?.toLowerCase()))
+        .forEach(child => childrenByEpic.get(child.fields.parent?.key)?.push(child));
+      console.log(`📚 ${epics.length} epic(s) expanded into ${[...childrenByEpic.values()].flat().length} child issue(s)`);
+    }
+
+    const requirementCount = requirementIssues.length + [...childrenByEpic.values()].flat().length;
+    if (requirementCount > MAX_COVERAGE_REQUIREMENTS) {
+      throw new ActionError('VALIDATION', `The selection covers ${requirementCount}+ requirements — narrow it to at most ${MAX_COVERAGE_REQUIREMENTS} (e.g. one epic or a tighter JQL filter)`);
+    }
+
+    const jiraBaseUrl = getJiraBaseUrl(requirementIssues[0]);
+    const browse = key => `${jiraBaseUrl}/browse/${key}`;
+
+    // Linked tests per requirement, then the latest run of every distinct test
+    const allIssues = [...requirementIssues, ...[...childrenByEpic.values()].flat()];
+    const settings = await getXraySettings();
+    const linkedTestsByKey = new Map(allIssues.map(issue => [
+      issue.key,
+      [...new Map(findLinkedTestIssues(issue.fields.issuelinks || [], settings).map(test => [test.key, test])).values()]
+    ]));
+    const testIds = [...new Set([...linkedTestsByKey.values()].flat().map(test => test.id))];
+    console.log(`🧪 ${testIds.length} distinct linked test(s)`);
+    const latestRuns = testIds.length > 0 ? await getLatestRunsByTest(testIds) : new Map();
+
+    // Defects raised on those runs (run and step level)
+    const defectIdsByTest = new Map([...latestRuns.entries()].map(([testId, run]) => [
+      testId,
+      [...new Set([...(run.defects || []), ...(run.steps || []).flatMap(step => step.defects || [])].map(String))]
+    ]));
+    const defectIds = [...new Set([...defectIdsByTest.values()].flat())];
+    const defectsById = new Map();
+    for (let i = 0; i < defectIds.length; i += 100) {
+      const defects = await searchIssuesByJql(`id in (${defectIds.slice(i, i + 100).join(',')})`, ['summary', 'status']);
+      defects.forEach(defect => defectsById.set(defect.id, defect));
+    }
+
+    const buildRequirement = issue => {
+      const tests = linkedTestsByKey.get(issue.key).map(test => {
+        const run = latestRuns.get(test.id);
+        return {
+          key: test.key,
+          summary: test.summary,
+          url: browse(test.key),
+          status: runCoverageStatus(run),
+          latestRun: run ? {
+            id: run.id,
+            status: run.status?.name,
+            finishedOn: run.finishedOn || null,
+            testExecutionKey: parseXrayJira(run.testExecution?.jira)?.key || null
+          } : null,
+          defects: (defectIdsByTest.get(test.id) || []).map(id => {
+            const defect = defectsById.get(id);
+            return defect
+              ? { key: defect.key, summary: defect.fields.summary, status: defect.fields.status?.name, url: browse(defect.key) }
+              : { key: id, summary: null, status: null, url: null };
+          })
+        };
+      });
       return {
-        stepNumber: index + 1,
-        id: step.id,
-        action: step.action,
-        data: step.data,
-        expectedResult: step.result
+        key: issue.key,
+        summary: issue.fields.summary,
+        issueType: issue.fields.issuetype?.name,
+        issueStatus: issue.fields.status?.name,
+        url: browse(issue.key),
+        status: tests.length === 0 ? 'uncovered' : worstCoverageStatus(tests.map(test => test.status)),
+        tests
       };
-    }) || [];
-    
-    console.log(`📋 Processed ${steps.length} test steps`);
-    
-    const formattedResponse = {
-      issueId: testData.issueId,
-      testType: testData.testType,
-      preconditions: testData.preconditions?.results || [],
-      steps: steps,
-      unstructured: testData.unstructured,
-      gherkin: testData.gherkin
     };
 
-    console.log('✅ Response formatting completed');
-    console.log('📤 Final formatted response:', JSON.stringify(formattedResponse, null, 2));
-    console.log(`🎉 Successfully retrieved Xray data for issue ${issueId}`);
-    console.log('🎯 === ENDING getXrayData FUNCTION ===');
-    
-    return formattedResponse;
-    
+    const requirements = requirementIssues.map(issue => {
+      const requirement = buildRequirement(issue);
+      if (childrenByEpic.has(issue.key)) {
+        requirement.children = childrenByEpic.get(issue.key).map(buildRequirement);
+        const statuses = [
+          ...(requirement.tests.length > 0 ? [requirement.status] : []),
+          ...requirement.children.map(child => child.status)
+        ];
+        requirement.status = worstCoverageStatus(statuses);
+      }
+      return requirement;
+    });
+
+    // Counts are per story-level requirement: epic children, plus top-level issues that are not epics
+    // (an epic without child issues counts as one requirement itself)
+    const counted = requirements.flatMap(requirement => requirement.children?.length ? requirement.children : [requirement]);
+    const count = status => counted.filter(requirement => requirement.status === status).length;
+    const summary = {
+      total: counted.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      notRun: count('notRun'),
+      uncovered: count('uncovered'),
+      coveragePercent: counted.length === 0 ? 0 : Math.round(((counted.length - count('uncovered')) / counted.length) * 100)
+    };
+
+    const markdown = renderCoverageMarkdown(requirements, summary);
+    console.log('🎉 === getCoverageReport COMPLETED SUCCESSFULLY ===');
+
+    return {
+      requirements,
+      summary,
+      markdown,
+      message: `Coverage for ${summary.total} requirement(s): ${summary.passed} passed, ${summary.failed} failed, ` +
+        `${summary.notRun} not run, ${summary.uncovered} uncovered (${summary.coveragePercent}% covered).`
+    };
   } catch (error) {
-    console.error(`💥 Error retrieving Xray data for issue ${issueId}:`, error);
-    console.error('💥 Error stack:', error.stack);
-    console.error('🎯 === ENDING getTestSteps FUNCTION WITH ERROR ===');
-    throw new Error(`Failed to retrieve Xray data: ${error.message}`);
+    console.error('💥 === getCoverageReport FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
   }
 }
 
-// Function to get preconditions
-export async function getPreconditions(payload) {
-  console.log('🎯 === STARTING getPreconditions FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  let issueId = payload.issueId;
-  console.log('🎫 Raw issueId:', issueId);
-  
-  if (!issueId) {
-    throw new Error('Issue ID is required');
+// Maximum number of tests analysed in one stability report
+const MAX_STABILITY_TESTS = 200;
+
+// Minimum flakiness score (0-100) for a test with both passes and failures to be reported as flaky
+const FLAKY_SCORE_THRESHOLD = 30;
+
+// Function to map a run status to a pass / fail outcome; runs that did not finish (TODO, EXECUTING, ...) are ignored
+function runOutcome(run) {
+  const name = run.status?.name?.toUpperCase();
+  if (name === 'PASSED') return 'pass';
+  if (name === 'FAILED' || name === 'ABORTED') return 'fail';
+  return null;
+}
+
+/**
+ * Computes the stability metrics of one test from its finished runs, oldest first.
+ *
+ * The flakiness score (0-100) weighs how often the outcome flips between consecutive runs (60%),
+ * how evenly passes and failures are mixed (25%) and the spread of pass rates across
+ * environments (15%). A test that always passes or always fails scores 0.
+ */
+function computeTestStability(runs) {
+  const outcomes = runs.map(run => ({ run, outcome: runOutcome(run) })).filter(entry => entry.outcome);
+  const total = outcomes.length;
+  const passed = outcomes.filter(entry => entry.outcome === 'pass').length;
+  const failed = total - passed;
+
+  let flips = 0;
+  let longestFailureStreak = 0;
+  let failureStreak = 0;
+  outcomes.forEach((entry, index) => {
+    if (index > 0 && entry.outcome !== outcomes[index - 1].outcome) flips++;
+    failureStreak = entry.outcome === 'fail' ? failureStreak + 1 : 0;
+    longestFailureStreak = Math.max(longestFailureStreak, failureStreak);
+  });
+
+  let currentStreakLength = 0;
+  for (let i = total - 1; i >= 0 && outcomes[i].outcome === outcomes[total - 1].outcome; i--) currentStreakLength++;
+
+  const environments = new Map();
+  outcomes.forEach(({ run, outcome }) => {
+    const name = (run.testExecution?.testEnvironments || []).join(', ') || '(none)';
+    const stats = environments.get(name) || { environment: name, runs: 0, passed: 0, failed: 0 };
+    stats.runs++;
+    stats[outcome === 'pass' ? 'passed' : 'failed']++;
+    environments.set(name, stats);
+  });
+  const perEnvironment = [...environments.values()]
+    .map(stats => ({ ...stats, passRate: Math.round((stats.passed / stats.runs) * 100) }))
+    .sort((a, b) => a.passRate - b.passRate);
+
+  const flipRate = total > 1 ? flips / (total - 1) : 0;
+  const mix = total > 0 ? (2 * Math.min(passed, failed)) / total : 0;
+  const environmentSpread = perEnvironment.length > 1
+    ? (perEnvironment[perEnvironment.length - 1].passRate - perEnvironment[0].passRate) / 100
+    : 0;
+  const flakinessScore = passed > 0 && failed > 0
+    ? Math.round(100 * (0.6 * flipRate + 0.25 * mix + 0.15 * environmentSpread))
+    : 0;
+
+  const lastRun = outcomes[total - 1]?.run;
+  return {
+    runs: total,
+    passed,
+    failed,
+    passRate: total > 0 ? Math.round((passed / total) * 100) : null,
+    flips,
+    flipRate: Math.round(flipRate * 100) / 100,
+    currentStreak: total > 0 ? { outcome: outcomes[total - 1].outcome, length: currentStreakLength } : null,
+    recentFailureStreak: total > 0 && outcomes[total - 1].outcome === 'fail' ? currentStreakLength : 0,
+    longestFailureStreak,
+    perEnvironment,
+    flakinessScore,
+    lastRun: lastRun ? {
+      id: lastRun.id,
+      status: lastRun.status?.name,
+      finishedOn: lastRun.finishedOn || null,
+      testExecutionKey: parseXrayJira(lastRun.testExecution?.jira)?.key || null
+    } : null
+  };
+}
+
+/**
+ * Analyses the run history of a scope of tests and ranks the flaky ones.
+ *
+ * The scope is any combination of test keys, a Test Set, a Test Plan and a JQL query. Every run of
+ * every test is fetched; only finished runs (PASSED, FAILED, ABORTED) count. A test is flaky when
+ * it has at least `minRuns` finished runs, both passes and failures, and a flakiness score of at
+ * least 30. Tests that are not flaky are classified as stable, consistentlyFailing (never passed),
+ * recentlyFailing (failing since their last pass) or insufficientHistory.
+ *
+ * @param {object} payload
+ * @param {string} [payload.testKeys] - JSON array or comma-separated list of test keys
+ * @param {string} [payload.testSetKey] - Test Set whose tests to analyse
+ * @param {string} [payload.testPlanKey] - Test Plan whose tests to analyse
+ * @param {string} [payload.jql] - JQL query selecting the tests to analyse
+ * @param {number} [payload.minRuns] - Minimum finished runs for a test to be judged (default 4)
+ */
+async function analyzeTestStability(payload) {
+  console.log('🚀 === analyzeTestStability STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const testKeys = parseListInput(payload.testKeys, 'testKeys').map(normaliseIssueKey);
+  const testSetKey = normaliseIssueKey(payload.testSetKey);
+  const testPlanKey = normaliseIssueKey(payload.testPlanKey);
+  const { jql } = payload;
+  if (testKeys.length === 0 && !testSetKey && !testPlanKey && !jql) {
+    throw new ActionError('VALIDATION', 'Provide testKeys, testSetKey, testPlanKey and/or jql to select the tests to analyse');
   }
 
-  // Extract issue key from URL if needed
-  if (issueId.includes('/browse/')) {
-    const urlParts = issueId.split('/browse/');
-    issueId = urlParts[urlParts.length - 1];
-    console.log('🔧 Extracted issue key from URL:', issueId);
+  const minRuns = payload.minRuns === undefined || payload.minRuns === null || payload.minRuns === ''
+    ? 4
+    : Number(payload.minRuns);
+  if (!Number.isInteger(minRuns) || minRuns < 2) {
+    throw new ActionError('VALIDATION', `minRuns must be an integer of at least 2, got: ${payload.minRuns}`);
   }
-  
-  console.log('🎫 Final issueKey to use:', issueId);
 
-  // Convert issue key to issue ID for Xray API and determine Jira base URL
-  let numericIssueId;
-  let jiraBaseUrl;
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
-    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
+    // Resolve the scope to a de-duplicated list of tests
+    const tests = new Map();
+    const addTest = test => { if (!tests.has(String(test.issueId))) tests.set(String(test.issueId), test); };
+
+    const issuesByKey = await searchIssuesByKeys([...testKeys, testSetKey, testPlanKey].filter(Boolean));
+    testKeys.forEach(key => {
+      const issue = issuesByKey.get(key);
+      if (issue.fields.issuetype?.name?.toLowerCase() !== 'test') {
+        throw new ActionError('VALIDATION', `${key} is a ${issue.fields.issuetype?.name}, not a Test`);
+      }
+      addTest({ issueId: issue.id, key });
     });
-    
-    clearTimeout(timeoutId);
-    
-    if (!jiraResponse.ok) {
-      throw new Error(`Failed to get issue details: ${jiraResponse.status} ${jiraResponse.statusText}`);
+    for (const [containerType, key] of [['testSet', testSetKey], ['testPlan', testPlanKey]]) {
+      if (!key) continue;
+      const container = issuesByKey.get(key);
+      assertContainerIssue(container, containerType);
+      (await getTestsInContainer(container.id, containerType)).forEach(addTest);
     }
-    
-    const jiraData = await jiraResponse.json();
-    numericIssueId = jiraData.id;
-    
-    // Extract base URL from the Jira API response 'self' field
-    if (!jiraData.self) {
-      throw new Error('Jira API response missing "self" field - cannot determine base URL');
-    }
-    jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
-    
-    console.log(`✅ Converted issue key ${issueId} to numeric ID: ${numericIssueId}`);
-    console.log(`🌐 Jira base URL: ${jiraBaseUrl}`);
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`Jira API timeout when getting issue ID for ${issueId}`);
+    if (jql) {
+      (await getTestsByJql(jql, MAX_STABILITY_TESTS)).forEach(addTest);
     }
-    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`);
-  }
-
-  try {
-    const query = `
-      query GetTestPreconditions($issueId: String!) {
-        getTest(issueId: $issueId) {
-          issueId
-          preconditions(limit: 100) {
-            results {
-              issueId
-              jira(fields: ["key", "summary", "status"])
-            }
-            total
-          }
-        }
-      }
-    `;
-
-    const variables = { issueId: numericIssueId };
-    const result = await executeXrayGraphQL(query, variables);
 
-    if (!result.data.getTest) {
-      return {
-        issueId: issueId,
-        message: `Issue ${issueId} is a Test issue but has no preconditions defined in Xray yet.`,
-        preconditions: [],
-        total: 0
-      };
+    if (tests.size === 0) {
+      throw new ActionError('VALIDATION', 'The selected scope contains no tests');
+    }
+    if (tests.size > MAX_STABILITY_TESTS) {
+      throw new ActionError('VALIDATION', `The selected scope has ${tests.size} tests — narrow it to at most ${MAX_STABILITY_TESTS}`);
     }
+    console.log(`🧪 Analysing run history of ${tests.size} test(s)`);
 
-    const preconditionsData = result.data.getTest.preconditions || { results: [], total: 0 };
-    
-    // Format preconditions with clickable Jira links
-    const formattedPreconditions = preconditionsData.results.map(precondition => {
-      // Parse the jira field as JSON since it's returned as JSON type
-      let jiraData = null;
-      try {
-        jiraData = typeof precondition.jira === 'string' ? JSON.parse(precondition.jira) : precondition.jira;
-      } catch (error) {
-        console.warn('Failed to parse jira data for precondition:', precondition.issueId, error);
+    const runsByTest = await getRunHistoryByTest([...tests.keys()]);
+    const anyIssue = issuesByKey.values().next().value;
+    const jiraBaseUrl = anyIssue
+      ? getJiraBaseUrl(anyIssue)
+      : getJiraBaseUrl((await searchIssuesByKeys([tests.values().next().value.key])).values().next().value);
+
+    const analysed = [...tests.values()].map(test => {
+      const stability = computeTestStability(runsByTest.get(String(test.issueId)) || []);
+      let classification = 'stable';
+      if (stability.runs < minRuns) {
+        classification = 'insufficientHistory';
+      } else if (stability.passed > 0 && stability.failed > 0 && stability.flakinessScore >= FLAKY_SCORE_THRESHOLD) {
+        classification = 'flaky';
+      } else if (stability.passed === 0) {
+        classification = 'consistentlyFailing';
+      } else if (stability.recentFailureStreak > 0) {
+        classification = 'recentlyFailing';
       }
-      
-      const jiraKey = jiraData?.key;
-      const jiraSummary = jiraData?.summary;
-      const jiraStatus = jiraData?.status?.name;
-      
       return {
-        issueId: precondition.issueId,
-        key: jiraKey,
-        summary: jiraSummary,
-        status: jiraStatus,
-        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
-        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
-        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
-        linkDisplay: jiraKey ? `Precondition: ${jiraBaseUrl}/browse/${jiraKey}` : null
+        key: test.key,
+        issueId: String(test.issueId),
+        url: `${jiraBaseUrl}/browse/${test.key}`,
+        classification,
+        ...stability
       };
     });
-    
-    // Create a summary message with links
-    let summaryMessage = `Found ${preconditionsData.total} precondition(s) for test ${issueId}`;
-    if (formattedPreconditions.length > 0) {
-      summaryMessage += '\n\nPreconditions:\n';
-      formattedPreconditions.forEach(precondition => {
-        if (precondition.key) {
-          summaryMessage += `• ${precondition.key}: ${jiraBaseUrl}/browse/${precondition.key}\n`;
-        }
-      });
-    }
 
-    const formattedResponse = {
-      issueId: issueId,
-      preconditions: formattedPreconditions,
-      total: preconditionsData.total,
-      message: summaryMessage,
-      jiraBaseUrl: jiraBaseUrl,
-      // Provide direct access to URLs for the UI
-      preconditionLinks: formattedPreconditions.map(precondition => ({
-        key: precondition.key,
-        url: precondition.link,
-        summary: precondition.summary
-      })).filter(link => link.key)
+    const flakyTests = analysed
+      .filter(test => test.classification === 'flaky')
+      .sort((a, b) => b.flakinessScore - a.flakinessScore || b.flipRate - a.flipRate || a.key.localeCompare(b.key));
+    const count = classification => analysed.filter(test => test.classification === classification).length;
+    const summary = {
+      testsAnalysed: analysed.length,
+      runsAnalysed: analysed.reduce((sum, test) => sum + test.runs, 0),
+      flaky: flakyTests.length,
+      stable: count('stable'),
+      consistentlyFailing: count('consistentlyFailing'),
+      recentlyFailing: count('recentlyFailing'),
+      insufficientHistory: count('insufficientHistory'),
+      minRuns,
+      scoreThreshold: FLAKY_SCORE_THRESHOLD
     };
 
-    console.log('🎉 === getPreconditions COMPLETED SUCCESSFULLY ===');
-    return formattedResponse;
+    let message = `Analysed ${summary.runsAnalysed} run(s) of ${summary.testsAnalysed} test(s): ` +
+      `${summary.flaky} flaky, ${summary.stable} stable, ${summary.consistentlyFailing} consistently failing, ` +
+      `${summary.recentlyFailing} failing since a recent change, ` +
+      `${summary.insufficientHistory} with fewer than ${minRuns} finished runs.`;
+    if (flakyTests.length > 0) {
+      message += '\n\nFlaky tests (most flaky first):\n' + flakyTests.map((test, index) => {
+        const worstEnvironment = test.perEnvironment.length > 1 ? `; worst environment ${test.perEnvironment[0].environment} (${test.perEnvironment[0].passRate}% pass)` : '';
+        return `${index + 1}. ${test.key}: score ${test.flakinessScore}, ${test.flips} flip(s) in ${test.runs} runs, ` +
+          `${test.passRate}% pass${test.recentFailureStreak > 0 ? `, failing for the last ${test.recentFailureStreak} run(s)` : ''}${worstEnvironment} — ${test.url}`;
+      }).join('\n');
+    }
+
+    console.log(`✅ ${flakyTests.length} flaky test(s) found`);
+    console.log('🎉 === analyzeTestStability COMPLETED SUCCESSFULLY ===');
+
+    return {
+      flakyTests,
+      tests: analysed.sort((a, b) => b.flakinessScore - a.flakinessScore || a.key.localeCompare(b.key)),
+      summary,
+      message
+    };
   } catch (error) {
-    console.error('💥 === getPreconditions FAILED ===');
-    console.error('💥 Error details:', error.message);
+    console.error('💥 === analyzeTestStability FAILED ===');
+    console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
-// Function to get test sets
-export async function getTestSets(payload) {
-  console.log('🎯 === STARTING getTestSets FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  let issueId = payload.issueId;
-  
-  if (!issueId) {
-    throw new Error('Issue ID is required');
+// Function to add tests to / remove tests from a Test Set or Test Plan (shared by the two actions)
+async function updateContainerTests(containerType, containerKeyInput, payload) {
+  const label = TEST_CONTAINERS[containerType].issueType;
+  const containerKey = normaliseIssueKey(containerKeyInput);
+  const addTestKeys = parseListInput(payload.addTestKeys, 'addTestKeys').map(normaliseIssueKey);
+  const removeTestKeys = parseListInput(payload.removeTestKeys, 'removeTestKeys').map(normaliseIssueKey);
+
+  if (!containerKey) throw new ActionError('VALIDATION', `${containerType}Key is required`);
+  if (addTestKeys.length === 0 && removeTestKeys.length === 0) {
+    throw new ActionError('VALIDATION', 'Nothing to update: provide addTestKeys and/or removeTestKeys');
+  }
+  const inBoth = addTestKeys.filter(key => removeTestKeys.includes(key));
+  if (inBoth.length > 0) {
+    throw new ActionError('VALIDATION', `Test(s) ${inBoth.join(', ')} are in both addTestKeys and removeTestKeys`);
   }
 
-  // Extract issue key from URL if needed
-  if (issueId.includes('/browse/')) {
-    const urlParts = issueId.split('/browse/');
-    issueId = urlParts[urlParts.length - 1];
+  const issuesByKey = await searchIssuesByKeys([containerKey, ...addTestKeys, ...removeTestKeys]);
+  const container = issuesByKey.get(containerKey);
+  assertContainerIssue(container, containerType);
+  const jiraBaseUrl = getJiraBaseUrl(container);
+  const keyById = new Map([...issuesByKey.values()].map(issue => [issue.id, issue.key]));
+
+  const result = {
+    containerKey,
+    containerUrl: `${jiraBaseUrl}/browse/${containerKey}`,
+    added: [],
+    alreadyIncluded: [],
+    removed: [],
+    notIncluded: [],
+    warnings: []
+  };
+
+  if (addTestKeys.length > 0) {
+    const added = await addTestsToContainer(container.id, containerType, addTestKeys.map(key => issuesByKey.get(key).id));
+    result.added = (added.addedTests || []).map(id => keyById.get(id) || id);
+    result.alreadyIncluded = addTestKeys.filter(key => !result.added.includes(key));
+    if (added.warning) result.warnings.push(added.warning);
+    console.log(`✅ Added ${result.added.length} test(s) to ${label} ${containerKey}`);
   }
 
-  // Convert issue key to issue ID for Xray API and determine Jira base URL
-  let numericIssueId;
-  let jiraBaseUrl;
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
-    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    const jiraData = await jiraResponse.json();
-    numericIssueId = jiraData.id;
-    
-    // Use the original payload URL if it was provided, otherwise extract from Jira API response
-    if (payload.issueId && payload.issueId.includes('/browse/')) {
-      const originalUrl = payload.issueId;
-      const urlParts = originalUrl.split('/browse/');
-      jiraBaseUrl = urlParts[0];
-    } else {
-      // Extract base URL from the Jira API response 'self' field
-      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+  if (removeTestKeys.length > 0) {
+    // Only remove tests that are actually in the container so the report is accurate
+    const currentIds = new Set((await getTestsInContainer(container.id, containerType)).map(test => test.issueId));
+    const toRemove = removeTestKeys.filter(key => currentIds.has(issuesByKey.get(key).id));
+    result.notIncluded = removeTestKeys.filter(key => !toRemove.includes(key));
+    if (toRemove.length > 0) {
+      await removeTestsFromContainer(container.id, containerType, toRemove.map(key => issuesByKey.get(key).id));
     }
-    
+    result.removed = toRemove;
+    console.log(`✅ Removed ${toRemove.length} test(s) from ${label} ${containerKey}`);
+  }
+
+  const parts = [
+    result.added.length > 0 && `added ${result.added.join(', ')}`,
+    result.alreadyIncluded.length > 0 && `${result.alreadyIncluded.join(', ')} already included`,
+    result.removed.length > 0 && `removed ${result.removed.join(', ')}`,
+    result.notIncluded.length > 0 && `${result.notIncluded.join(', ')} not in the ${label}`
+  ].filter(Boolean);
+
+  return {
+    ...result,
+    message: `${label} ${containerKey}: ${parts.join('; ')}. ${result.containerUrl}`
+  };
+}
+
+/**
+ * Adds tests to and/or removes tests from an existing Test Set.
+ *
+ * @param {object} payload
+ * @param {string} payload.testSetKey - Test Set issue key (e.g. "SDF-50")
+ * @param {string} [payload.addTestKeys] - JSON array or comma-separated list of test keys to add
+ * @param {string} [payload.removeTestKeys] - JSON array or comma-separated list of test keys to remove
+ */
+async function updateTestSet(payload) {
+  console.log('🚀 === updateTestSet STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  try {
+    const result = await updateContainerTests('testSet', payload.testSetKey, payload);
+    console.log('🎉 === updateTestSet COMPLETED SUCCESSFULLY ===');
+    return result;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`Jira API timeout when getting issue ID for ${issueId}`);
-    }
-    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`);
+    console.error('💥 === updateTestSet FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
   }
+}
+
+/**
+ * Adds tests to and/or removes tests from an existing Test Plan.
+ *
+ * @param {object} payload
+ * @param {string} payload.testPlanKey - Test Plan issue key (e.g. "SDF-60")
+ * @param {string} [payload.addTestKeys] - JSON array or comma-separated list of test keys to add
+ * @param {string} [payload.removeTestKeys] - JSON array or comma-separated list of test keys to remove
+ */
+async function updateTestPlan(payload) {
+  console.log('🚀 === updateTestPlan STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
 
   try {
-    const query = `
-      query GetTestSetsContainingTest($issueId: String!) {
-        getTests(issueIds: [$issueId], limit: 10) {
-          results {
-            testSets(limit: 50) {
-              results {
-                issueId
-                jira(fields: ["key", "summary", "status"])
-              }
-              total
-            }
-          }
+    const result = await updateContainerTests('testPlan', payload.testPlanKey, payload);
+    console.log('🎉 === updateTestPlan COMPLETED SUCCESSFULLY ===');
+    return result;
+  } catch (error) {
+    console.error('💥 === updateTestPlan FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
+  }
+}
+
+// Function to build the link fields returned for an issue, in the format used by the list actions
+function buildIssueLinks(jiraBaseUrl, key, label) {
+  const url = `${jiraBaseUrl}/browse/${key}`;
+  return {
+    link: url,
+    linkMarkdown: `[${key}](${url})`,
+    linkHtml: `<a href="${url}" target="_blank">${key}</a>`,
+    linkDisplay: `${label}: [${key}](${url})`
+  };
+}
+
+// Maximum number of tests a new Test Set or Test Plan can be seeded with in one call
+const MAX_CONTAINER_TESTS = 500;
+
+// Function to list the tests selected by a JQL query (all pages) as { issueId, key }; the query is
+// rejected from its first page when it selects more than maxTests tests
+async function getTestsByJql(jql, maxTests) {
+  const query = `
+    query GetTestsByJql($jql: String!, $start: Int, $limit: Int!) {
+      getTests(jql: $jql, start: $start, limit: $limit) {
+        total
+        results {
+          issueId
+          jira(fields: ["key"])
         }
       }
-    `;
+    }
+  `;
+  const fetchPage = async (start, limit) => {
+    const result = await executeXrayGraphQL(query, { jql, start, limit });
+    return result.data.getTests;
+  };
+  const firstPage = await fetchPage(0, XRAY_MAX_PAGE_SIZE);
+  if (firstPage?.total > maxTests) {
+    throw new ActionError('VALIDATION', `The JQL query selects ${firstPage.total} tests — narrow it to at most ${maxTests}`);
+  }
+  const tests = await fetchXrayPages(
+    (start, limit) => (start === 0 ? firstPage : fetchPage(start, limit)),
+    { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true }
+  );
 
-    const variables = { issueId: numericIssueId };
-    const result = await executeXrayGraphQL(query, variables);
+  return tests.results.map(test => ({ issueId: test.issueId, key: parseXrayJira(test.jira)?.key }));
+}
+
+// Function to create a Test Set or Test Plan seeded with tests (shared by the two actions)
+async function createTestContainer(containerType, payload) {
+  const { issueType, create } = TEST_CONTAINERS[containerType];
+  const { projectKey, summary, description, fixVersion, jql } = payload;
+  const testKeys = parseListInput(payload.testKeys, 'testKeys').map(normaliseIssueKey);
+
+  if (!projectKey) throw new ActionError('VALIDATION', 'projectKey is required');
+  if (!summary) throw new ActionError('VALIDATION', 'summary is required');
+
+  // The project's "self" link gives the Jira base URL even when no test keys are given
+  const jiraBaseUrl = getJiraBaseUrl(await getJiraProject(projectKey));
+
+  // Seed tests: explicit keys first, then the tests selected by the JQL query
+  const tests = new Map();
+  if (testKeys.length > 0) {
+    const issuesByKey = await searchIssuesByKeys(testKeys);
+    testKeys.forEach(key => tests.set(issuesByKey.get(key).id, key));
+  }
+  if (jql) {
+    const jqlTests = await getTestsByJql(jql, MAX_CONTAINER_TESTS);
+    console.log(`🔍 JQL selected ${jqlTests.length} test(s)`);
+    jqlTests.forEach(test => tests.set(test.issueId, test.key));
+  }
+  if (tests.size > MAX_CONTAINER_TESTS) {
+    throw new ActionError('VALIDATION', `The selection has ${tests.size} tests — at most ${MAX_CONTAINER_TESTS} can be added when creating a ${issueType}`);
+  }
+
+  const fields = {
+    project: { key: projectKey },
+    summary,
+    issuetype: { name: issueType }
+  };
+  if (description) fields.description = description;
+  if (fixVersion) fields.fixVersions = [{ name: fixVersion }];
+
+  console.log(`🎯 Creating ${issueType} with ${tests.size} test(s)...`);
+  const result = await executeXrayGraphQL(`
+    mutation CreateTestContainer($testIssueIds: [String], $jira: JSON!) {
+      ${create}(testIssueIds: $testIssueIds, jira: $jira) {
+        ${containerType} {
+          issueId
+          jira(fields: ["key"])
+        }
+        warnings
+      }
+    }
+  `, { testIssueIds: [...tests.keys()], jira: { fields } });
+
+  const created = result.data[create];
+  const issueId = created[containerType].issueId;
+  const key = parseXrayJira(created[containerType].jira)?.key;
+  const links = buildIssueLinks(jiraBaseUrl, key, issueType);
+  console.log(`✅ ${issueType} created: ${key}`);
+
+  return {
+    key,
+    issueId,
+    url: links.link,
+    ...links,
+    summary,
+    fixVersion: fixVersion || null,
+    testKeys: [...tests.values()],
+    testsIncluded: tests.size,
+    warnings: created.warnings || [],
+    message: `${issueType} ${key} created with ${tests.size} test(s)` +
+      (fixVersion ? ` for fix version ${fixVersion}` : '') +
+      `: ${links.link}`
+  };
+}
+
+/**
+ * Creates a Test Set, optionally seeded with tests given as keys and/or selected by JQL.
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
+ * @param {string} payload.summary - Test Set summary
+ * @param {string} [payload.description] - Test Set description
+ * @param {string} [payload.fixVersion] - Fix version name
+ * @param {string} [payload.testKeys] - JSON array or comma-separated list of test keys
+ * @param {string} [payload.jql] - JQL query selecting the tests to include
+ */
+async function createTestSet(payload) {
+  console.log('🚀 === createTestSet STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
 
-    const testData = result.data.getTests?.results?.[0];
-    const testSetsData = testData?.testSets || { results: [], total: 0 };
-    
-    // Format test sets with clickable Jira links
-    const formattedTestSets = testSetsData.results.map(testSet => {
-      // Parse the jira field as JSON since it's returned as JSON type
-      let jiraData = null;
-      try {
-        jiraData = typeof testSet.jira === 'string' ? JSON.parse(testSet.jira) : testSet.jira;
-      } catch (error) {
-        console.warn('Failed to parse jira data for test set:', testSet.issueId, error);
-      }
-      
-      const jiraKey = jiraData?.key;
-      const jiraSummary = jiraData?.summary;
-      const jiraStatus = jiraData?.status?.name;
-      
-      return {
-        issueId: testSet.issueId,
-        key: jiraKey,
-        summary: jiraSummary,
-        status: jiraStatus,
-        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
-        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
-        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
-        linkDisplay: jiraKey ? `Test Set: [${jiraKey}](${jiraBaseUrl}/browse/${jiraKey}) - ${jiraSummary}` : null
-      };
-    });
-    
-    const formattedResponse = {
-      issueId: issueId,
-      testSets: formattedTestSets,
-      total: testSetsData.total,
-      message: `Found ${testSetsData.total} test set(s) containing test ${issueId}`,
-      jiraBaseUrl: jiraBaseUrl
+  try {
+    const { key, issueId, url, ...result } = await createTestContainer('testSet', payload);
+    console.log('🎉 === createTestSet COMPLETED SUCCESSFULLY ===');
+    return {
+      testSetKey: key,
+      testSetIssueId: issueId,
+      testSetUrl: url,
+      ...result
     };
-
-    console.log('🎉 === getTestSets COMPLETED SUCCESSFULLY ===');
-    return formattedResponse;
   } catch (error) {
-    console.error('💥 === getTestSets FAILED ===');
-    console.error('💥 Error details:', error.message);
+    console.error('💥 === createTestSet FAILED ===');
+    console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
-// Function to get test plans
-export async function getTestPlans(payload) {
-  console.log('🎯 === STARTING getTestPlans FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  let issueId = payload.issueId;
-  
-  if (!issueId) {
-    throw new Error('Issue ID is required');
+/**
+ * Creates a Test Plan (e.g. one per fix version), optionally seeded with tests given as keys
+ * and/or selected by JQL.
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
+ * @param {string} payload.summary - Test Plan summary
+ * @param {string} [payload.description] - Test Plan description
+ * @param {string} [payload.fixVersion] - Fix version name
+ * @param {string} [payload.testKeys] - JSON array or comma-separated list of test keys
+ * @param {string} [payload.jql] - JQL query selecting the tests to include
+ */
+async function createTestPlan(payload) {
+  console.log('🚀 === createTestPlan STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  try {
+    const { key, issueId, url, ...result } = await createTestContainer('testPlan', payload);
+    console.log('🎉 === createTestPlan COMPLETED SUCCESSFULLY ===');
+    return {
+      testPlanKey: key,
+      testPlanIssueId: issueId,
+      testPlanUrl: url,
+      ...result
+    };
+  } catch (error) {
+    console.error('💥 === createTestPlan FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
   }
+}
 
-  // Extract issue key from URL if needed
-  if (issueId.includes('/browse/')) {
-    const urlParts = issueId.split('/browse/');
-    issueId = urlParts[urlParts.length - 1];
+// Function to fetch a Jira project by key (its id is the Xray projectId, its "self" link gives the base URL)
+async function getJiraProject(projectKey) {
+  const response = await api.asUser().requestJira(route`/rest/api/3/project/${projectKey}`, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok) {
+    throw new JiraApiError(`Failed to fetch project ${projectKey}: ${response.status} ${response.statusText}`, { status: response.status });
   }
+  return response.json();
+}
 
-  // Convert issue key to issue ID for Xray API and determine Jira base URL
-  let numericIssueId;
-  let jiraBaseUrl;
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
-    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    const jiraData = await jiraResponse.json();
-    numericIssueId = jiraData.id;
-    
-    // Use the original payload URL if it was provided, otherwise extract from Jira API response
-    if (payload.issueId && payload.issueId.includes('/browse/')) {
-      const originalUrl = payload.issueId;
-      const urlParts = originalUrl.split('/browse/');
-      jiraBaseUrl = urlParts[0];
-    } else {
-      // Extract base URL from the Jira API response 'self' field
-      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+// Function to normalise a Test Repository folder path: "Login / SSO/" → "/Login/SSO"; the root is "/"
+function normaliseFolderPath(folderPath) {
+  if (folderPath === undefined || folderPath === null || String(folderPath).trim() === '') return null;
+  const segments = String(folderPath).split('/').map(segment => segment.trim()).filter(Boolean);
+  return `/${segments.join('/')}`;
+}
+
+// Function to fetch a Test Repository folder with its whole sub-tree; returns null if it does not exist
+async function getTestRepositoryFolder(projectId, folderPath) {
+  const result = await executeXrayGraphQL(`
+    query GetFolder($projectId: String!, $path: String!) {
+      getFolder(projectId: $projectId, path: $path) {
+        name
+        path
+        testsCount
+        folders
+      }
     }
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`Jira API timeout when getting issue ID for ${issueId}`);
+  `, { projectId: String(projectId), path: folderPath });
+  return result.data.getFolder || null;
+}
+
+// Function to find a folder by path in a tree returned by getFolder ("folders" is nested JSON)
+function findFolderInTree(root, folderPath) {
+  if (root.path === folderPath) return root;
+  const children = typeof root.folders === 'string' ? JSON.parse(root.folders) : (root.folders || []);
+  for (const child of children) {
+    if (folderPath === child.path || folderPath.startsWith(`${child.path}/`)) {
+      return findFolderInTree(child, folderPath);
     }
-    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`);
   }
+  return null;
+}
 
-  try {
-    const query = `
-      query GetTestPlansContainingTest($issueId: String!) {
-        getTests(issueIds: [$issueId], limit: 10) {
-          results {
-            testPlans(limit: 50) {
-              results {
-                issueId
-                jira(fields: ["key", "summary", "status"])
-              }
-              total
+// Function to make sure Test Repository folders exist, creating missing folders level by level.
+// Folders are created once per action before any test is written and are kept if a test is rolled back.
+async function ensureTestFolders(projectId, folderPaths) {
+  const paths = [...new Set(folderPaths.filter(path => path && path !== '/'))];
+  if (paths.length === 0) return [];
+
+  const root = await getTestRepositoryFolder(projectId, '/');
+  const createdFolders = [];
+  for (const path of paths) {
+    const segments = path.split('/').filter(Boolean);
+    for (let depth = 1; depth <= segments.length; depth++) {
+      const prefix = `/${segments.slice(0, depth).join('/')}`;
+      if ((root && findFolderInTree(root, prefix)) || createdFolders.includes(prefix)) continue;
+
+      const result = await executeXrayGraphQL(`
+        mutation CreateFolder($projectId: String!, $path: String!) {
+          createFolder(projectId: $projectId, path: $path) {
+            folder {
+              path
             }
+            warnings
           }
         }
-      }
-    `;
+      `, { projectId: String(projectId), path: prefix });
+      (result.data.createFolder?.warnings || []).forEach(warning => console.warn(`⚠️ createFolder ${prefix}: ${warning}`));
+      createdFolders.push(prefix);
+      console.log(`📁 Created Test Repository folder ${prefix}`);
+    }
+  }
+  return createdFolders;
+}
 
-    const variables = { issueId: numericIssueId };
-    const result = await executeXrayGraphQL(query, variables);
+// Maximum number of folders whose tests are listed by one get-test-repository call
+const MAX_LISTED_FOLDERS = 50;
 
-    const testData = result.data.getTests?.results?.[0];
-    const testPlansData = testData?.testPlans || { results: [], total: 0 };
-    
-    // Format test plans with clickable Jira links
-    const formattedTestPlans = testPlansData.results.map(testPlan => {
-      // Parse the jira field as JSON since it's returned as JSON type
-      let jiraData = null;
-      try {
-        jiraData = typeof testPlan.jira === 'string' ? JSON.parse(testPlan.jira) : testPlan.jira;
-      } catch (error) {
-        console.warn('Failed to parse jira data for test plan:', testPlan.issueId, error);
-      }
-      
-      const jiraKey = jiraData?.key;
-      const jiraSummary = jiraData?.summary;
-      const jiraStatus = jiraData?.status?.name;
-      
+/**
+ * Returns the Test Repository folder tree of a project (or of one folder in it), with the number
+ * of tests in each folder and, optionally, the tests themselves.
+ *
+ * Test listings return up to 100 tests per folder, for at most 50 folders; `hasMoreTests` marks a
+ * folder with more tests than were listed.
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
+ * @param {string} [payload.path] - Folder to start from (default: the repository root "/")
+ * @param {boolean} [payload.includeTests] - List the tests directly inside each folder
+ */
+async function getTestRepository(payload) {
+  console.log('🚀 === getTestRepository STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
+
+  const { projectKey } = payload;
+  const path = normaliseFolderPath(payload.path) || '/';
+  const includeTests = payload.includeTests === true || String(payload.includeTests).toLowerCase() === 'true';
+  if (!projectKey) throw new ActionError('VALIDATION', 'projectKey is required');
+
+  try {
+    const project = await getJiraProject(projectKey);
+    const jiraBaseUrl = getJiraBaseUrl(project);
+
+    const folder = await getTestRepositoryFolder(project.id, path);
+    if (!folder) {
+      throw new ActionError('NOT_FOUND', `Folder ${path} not found in the Test Repository of ${projectKey}`);
+    }
+
+    // Normalise the nested "folders" JSON into { name, path, testsCount, folders }
+    const toNode = raw => {
+      const children = typeof raw.folders === 'string' ? JSON.parse(raw.folders) : (raw.folders || []);
       return {
-        issueId: testPlan.issueId,
-        key: jiraKey,
-        summary: jiraSummary,
-        status: jiraStatus,
-        link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
-        linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
-        linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
-        linkDisplay: jiraKey ? `Test Plan: [${jiraKey}](${jiraBaseUrl}/browse/${jiraKey}) - ${jiraSummary}` : null
+        name: raw.name || (raw.path === '/' ? projectKey : raw.path.split('/').pop()),
+        path: raw.path,
+        testsCount: raw.testsCount ?? 0,
+        folders: children.map(toNode)
       };
-    });
-    
-    const formattedResponse = {
-      issueId: issueId,
-      testPlans: formattedTestPlans,
-      total: testPlansData.total,
-      message: `Found ${testPlansData.total} test plan(s) containing test ${issueId}`,
-      jiraBaseUrl: jiraBaseUrl
     };
+    const tree = toNode(folder);
+    const allNodes = [];
+    const walk = node => { allNodes.push(node); node.folders.forEach(walk); };
+    walk(tree);
 
-    console.log('🎉 === getTestPlans COMPLETED SUCCESSFULLY ===');
-    return formattedResponse;
+    const warnings = [];
+    if (includeTests) {
+      const query = `
+        query GetFolderTests($jql: String!, $projectId: String, $folder: FolderSearchInput, $limit: Int!) {
+          getTests(jql: $jql, projectId: $projectId, folder: $folder, limit: $limit) {
+            total
+            results {
+              issueId
+              jira(fields: ["key", "summary"])
+            }
+          }
+        }
+      `;
+      const listed = allNodes.filter(node => node.testsCount > 0).slice(0, MAX_LISTED_FOLDERS);
+      if (allNodes.filter(node => node.testsCount > 0).length > listed.length) {
+        warnings.push(`Tests are listed for the first ${MAX_LISTED_FOLDERS} non-empty folders only — call again with a narrower path for the rest`);
+      }
+      for (const node of listed) {
+        const result = await executeXrayGraphQL(query, {
+          jql: `project = "${projectKey}"`,
+          projectId: String(project.id),
+          folder: { path: node.path, includeDescendants: false },
+          limit: XRAY_MAX_PAGE_SIZE
+        });
+        const tests = result.data.getTests || { total: 0, results: [] };
+        node.tests = tests.results.map(test => {
+          const jira = parseXrayJira(test.jira);
+          return { key: jira?.key, summary: jira?.summary, url: `${jiraBaseUrl}/browse/${jira?.key}` };
+        });
+        node.hasMoreTests = tests.total > node.tests.length;
+      }
+    }
+
+    // Render an indented text tree for the agent to show as-is
+    const lines = [];
+    const render = (node, prefix, isLast, isRoot) => {
+      const label = `${isRoot ? node.path : node.name} (${node.testsCount} test${node.testsCount === 1 ? '' : 's'})`;
+      lines.push(isRoot ? label : `${prefix}${isLast ? '└── ' : '├── '}${label}`);
+      const childPrefix = isRoot ? '' : `${prefix}${isLast ? '    ' : '│   '}`;
+      (node.tests || []).forEach(test => lines.push(`${childPrefix}    • ${test.key} ${test.summary || ''}`.trimEnd()));
+      if (node.hasMoreTests) lines.push(`${childPrefix}    • …`);
+      node.folders.forEach((child, index) => render(child, childPrefix, index === node.folders.length - 1, false));
+    };
+    render(tree, '', true, true);
+
+    console.log(`✅ ${allNodes.length} folder(s) under ${path}`);
+    console.log('🎉 === getTestRepository COMPLETED SUCCESSFULLY ===');
+
+    return {
+      projectKey,
+      path,
+      folderCount: allNodes.length - 1,
+      tree,
+      warnings,
+      message: `Test Repository of ${projectKey}${path === '/' ? '' : ` from ${path}`}:\n${lines.join('\n')}`
+    };
   } catch (error) {
-    console.error('💥 === getTestPlans FAILED ===');
-    console.error('💥 Error details:', error.message);
+    console.error('💥 === getTestRepository FAILED ===');
+    console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
-// Function to get test runs
-export async function getTestRuns(payload) {
-  console.log('🎯 === STARTING getTestRuns FUNCTION ===');
-  console.log('📥 Received payload:', JSON.stringify(payload, null, 2));
-  
-  let issueId = payload.issueId;
-  
-  if (!issueId) {
-    throw new Error('Issue ID is required');
-  }
+/**
+ * Creates a Test Execution in Xray Cloud for a list of tests.
+ *
+ * Tests can be given directly as keys, or expanded from a Test Set / Test Plan. The new execution
+ * can optionally be attached to a Test Plan (defaults to the plan the tests were expanded from).
+ *
+ * @param {object} payload
+ * @param {string} payload.projectKey - Jira project key for the execution (e.g. "SDF")
+ * @param {string} [payload.testKeys] - JSON array or comma-separated list of test keys
+ * @param {string} [payload.testSetKey] - Test Set whose tests should be executed
+ * @param {string} [payload.testPlanKey] - Test Plan whose tests should be executed
+ * @param {string} [payload.summary] - Execution summary (generated if omitted)
+ * @param {string} [payload.description] - Execution description
+ * @param {string} [payload.testEnvironments] - JSON array or comma-separated list of environments
+ * @param {string} [payload.fixVersion] - Fix version name
+ * @param {string} [payload.assignee] - Account id, email or display name of the assignee
+ * @param {string} [payload.addToTestPlanKey] - Test Plan to attach the execution to
+ */
+async function createTestExecution(payload) {
+  console.log('🚀 === createTestExecution STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
 
-  // Extract issue key from URL if needed
-  if (issueId.includes('/browse/')) {
-    const urlParts = issueId.split('/browse/');
-    issueId = urlParts[urlParts.length - 1];
+  const { projectKey, summary, description, fixVersion, assignee } = payload;
+  const testSetKey = normaliseIssueKey(payload.testSetKey);
+  const testPlanKey = normaliseIssueKey(payload.testPlanKey);
+  const addToTestPlanKey = normaliseIssueKey(payload.addToTestPlanKey) || testPlanKey;
+  const testKeys = parseListInput(payload.testKeys, 'testKeys').map(normaliseIssueKey);
+  const testEnvironments = parseListInput(payload.testEnvironments, 'testEnvironments');
+
+  if (!projectKey) throw new ActionError('VALIDATION', 'projectKey is required');
+  if (testKeys.length === 0 && !testSetKey && !testPlanKey) {
+    throw new ActionError('VALIDATION', 'Provide testKeys, a testSetKey or a testPlanKey to select the tests to execute');
   }
 
-  // Convert issue key to issue ID for Xray API and determine Jira base URL
-  let numericIssueId;
-  let jiraBaseUrl;
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
-    const jiraResponse = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=id`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    const jiraData = await jiraResponse.json();
-    numericIssueId = jiraData.id;
-    
-    // Use the original payload URL if it was provided, otherwise extract from Jira API response
-    if (payload.issueId && payload.issueId.includes('/browse/')) {
-      const originalUrl = payload.issueId;
-      const urlParts = originalUrl.split('/browse/');
-      jiraBaseUrl = urlParts[0];
-    } else {
-      // Extract base URL from the Jira API response 'self' field
-      jiraBaseUrl = jiraData.self.replace(/\/rest\/api\/3\/issue\/.*/, '');
+    // Resolve every referenced issue in one search
+    const containerKeys = [testSetKey, testPlanKey, addToTestPlanKey].filter(Boolean);
+    const issuesByKey = await searchIssuesByKeys([...testKeys, ...containerKeys]);
+    const jiraBaseUrl = getJiraBaseUrl(issuesByKey.values().next().value);
+
+    // Check the container types before anything is written
+    if (testSetKey) assertContainerIssue(issuesByKey.get(testSetKey), 'testSet');
+    [testPlanKey, addToTestPlanKey].filter(Boolean).forEach(key => assertContainerIssue(issuesByKey.get(key), 'testPlan'));
+
+    // Collect test issue ids: explicit keys first, then tests expanded from the set / plan
+    const testIssueIds = new Map();
+    testKeys.forEach(key => testIssueIds.set(issuesByKey.get(key).id, key));
+
+    if (testSetKey) {
+      const setTests = await getTestsInContainer(issuesByKey.get(testSetKey).id, 'testSet');
+      console.log(`📦 Test Set ${testSetKey} contains ${setTests.length} test(s)`);
+      setTests.forEach(test => testIssueIds.set(test.issueId, test.key));
     }
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`Jira API timeout when getting issue ID for ${issueId}`);
+    if (testPlanKey) {
+      const planTests = await getTestsInContainer(issuesByKey.get(testPlanKey).id, 'testPlan');
+      console.log(`📦 Test Plan ${testPlanKey} contains ${planTests.length} test(s)`);
+      planTests.forEach(test => testIssueIds.set(test.issueId, test.key));
+    }
+
+    if (testIssueIds.size === 0) {
+      throw new ActionError('VALIDATION', `No tests found to execute in ${[testSetKey, testPlanKey].filter(Boolean).join(' / ')}`);
+    }
+
+    const fields = {
+      project: { key: projectKey },
+      summary: summary || `Test Execution for ${testPlanKey || testSetKey || testKeys.slice(0, 5).join(', ')}`,
+      issuetype: { name: 'Test Execution' }
+    };
+    if (description) fields.description = description;
+    if (fixVersion) fields.fixVersions = [{ name: fixVersion }];
+    if (assignee) fields.assignee = { accountId: await resolveAssigneeAccountId(assignee) };
+
+    const createExecutionMutation = `
+      mutation CreateTestExecution($testIssueIds: [String], $testEnvironments: [String], $jira: JSON!) {
+        createTestExecution(
+          testIssueIds: $testIssueIds
+          testEnvironments: $testEnvironments
+          jira: $jira
+        ) {
+          testExecution {
+            issueId
+            jira(fields: ["key"])
+          }
+          warnings
+          createdTestEnvironments
+        }
+      }
+    `;
+
+    console.log(`🎯 Creating Test Execution with ${testIssueIds.size} test(s)...`);
+    const result = await executeXrayGraphQL(createExecutionMutation, {
+      testIssueIds: [...testIssueIds.keys()],
+      testEnvironments,
+      jira: { fields }
+    });
+
+    const created = result.data.createTestExecution;
+    const executionIssueId = created.testExecution.issueId;
+    const executionKey = parseXrayJira(created.testExecution.jira)?.key;
+    const executionUrl = `${jiraBaseUrl}/browse/${executionKey}`;
+    console.log(`✅ Test Execution created: ${executionKey}`);
+
+    // Attach the execution to a Test Plan if requested
+    let testPlan = null;
+    const warnings = [...(created.warnings || [])];
+    if (addToTestPlanKey) {
+      const addToPlanMutation = `
+        mutation AddExecutionToTestPlan($issueId: String!, $testExecIssueIds: [String]!) {
+          addTestExecutionsToTestPlan(issueId: $issueId, testExecIssueIds: $testExecIssueIds) {
+            addedTestExecutions
+            warning
+          }
+        }
+      `;
+      const planResult = await executeXrayGraphQL(addToPlanMutation, {
+        issueId: issuesByKey.get(addToTestPlanKey).id,
+        testExecIssueIds: [executionIssueId]
+      });
+      const added = planResult.data.addTestExecutionsToTestPlan;
+      if (added.warning) warnings.push(added.warning);
+      testPlan = {
+        key: addToTestPlanKey,
+        url: `${jiraBaseUrl}/browse/${addToTestPlanKey}`,
+        attached: (added.addedTestExecutions || []).includes(executionIssueId)
+      };
+      console.log(`🔗 Test Execution ${executionKey} attached to Test Plan ${addToTestPlanKey}`);
     }
-    throw new Error(`Failed to get issue ID for ${issueId}: ${error.message}`);
-  }
 
-  try {
-    const query = `
-      query GetTestRuns($issueId: String!) {
-        getTestRuns(testIssueIds: [$issueId], limit: 50) {
+    // Fetch the runs created for each test
+    const runsQuery = `
+      query GetExecutionRuns($testExecIssueId: String!, $start: Int, $limit: Int!) {
+        getTestRuns(testExecIssueIds: [$testExecIssueId], start: $start, limit: $limit) {
           results {
             id
             status {
               name
-              description
             }
-            startedOn
-            finishedOn
-            testExecution {
+            test {
               issueId
-              jira(fields: ["key", "summary", "status"])
             }
           }
           total
         }
       }
     `;
+    const runs = await fetchXrayPages(async (start, limit) => {
+      const runsResult = await executeXrayGraphQL(runsQuery, { testExecIssueId: executionIssueId, start, limit });
+      return runsResult.data.getTestRuns;
+    }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
 
-    const variables = { issueId: numericIssueId };
-    const result = await executeXrayGraphQL(query, variables);
+    const testRuns = runs.results.map(run => ({
+      id: run.id,
+      testIssueId: run.test?.issueId,
+      testKey: testIssueIds.get(run.test?.issueId) || null,
+      status: run.status?.name
+    }));
 
-    const testRunsData = result.data.getTestRuns || { results: [], total: 0 };
-    
-    // Format test runs with clickable Jira links
-    const formattedTestRuns = testRunsData.results.map(testRun => {
-      // Parse the jira field as JSON since it's returned as JSON type
-      let jiraData = null;
-      try {
-        jiraData = typeof testRun.testExecution?.jira === 'string' ? 
-          JSON.parse(testRun.testExecution.jira) : testRun.testExecution?.jira;
-      } catch (error) {
-        console.warn('Failed to parse jira data for test run:', testRun.id, error);
-      }
-      
-      const jiraKey = jiraData?.key;
-      const jiraSummary = jiraData?.summary;
-      const jiraStatus = jiraData?.status?.name;
-      
-      return {
-        id: testRun.id,
-        status: testRun.status?.name,
-        statusDescription: testRun.status?.description,
-        startedOn: testRun.startedOn,
-        finishedOn: testRun.finishedOn,
-        testExecution: {
-          issueId: testRun.testExecution?.issueId,
-          key: jiraKey,
-          summary: jiraSummary,
-          status: jiraStatus,
-          link: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
-          linkMarkdown: jiraKey ? `[${jiraKey}](${jiraBaseUrl}/browse/${jiraKey})` : null,
-          // Additional link formats for better UI compatibility
-          linkHtml: jiraKey ? `<a href="${jiraBaseUrl}/browse/${jiraKey}" target="_blank">${jiraKey}</a>` : null,
-          linkDisplay: jiraKey ? `Link to Test Execution: ${jiraBaseUrl}/browse/${jiraKey}` : null,
-          // Provide the raw URL separately for UI to use
-          testExecutionUrl: jiraKey ? `${jiraBaseUrl}/browse/${jiraKey}` : null,
-          testExecutionLabel: jiraKey ? `${jiraKey} - ${jiraSummary}` : null
-        }
-      };
-    });
-    
-    // Create a summary message with links
-    let summaryMessage = `Found ${testRunsData.total} test run(s) for test ${issueId}`;
-    if (formattedTestRuns.length > 0) {
-      summaryMessage += '\n\nTest Executions:\n';
-      formattedTestRuns.forEach(run => {
-        if (run.testExecution.key) {
-          summaryMessage += `• ${run.testExecution.key}: ${run.testExecution.testExecutionUrl}\n`;
-        }
-      });
-    }
+    console.log('🎉 === createTestExecution COMPLETED SUCCESSFULLY ===');
 
-    const formattedResponse = {
-      issueId: issueId,
-      testRuns: formattedTestRuns,
-      total: testRunsData.total,
-      message: summaryMessage,
-      jiraBaseUrl: jiraBaseUrl,
-      // Provide direct access to URLs for the UI
-      executionLinks: formattedTestRuns.map(run => ({
-        key: run.testExecution.key,
-        url: run.testExecution.testExecutionUrl,
-        label: run.testExecution.testExecutionLabel
-      })).filter(link => link.key)
+    return {
+      testExecutionKey: executionKey,
+      testExecutionIssueId: executionIssueId,
+      testExecutionUrl: executionUrl,
+      linkMarkdown: `[${executionKey}](${executionUrl})`,
+      testRuns,
+      testsIncluded: testRuns.length,
+      testEnvironments,
+      createdTestEnvironments: created.createdTestEnvironments || [],
+      testPlan,
+      warnings,
+      message: `Test Execution ${executionKey} created with ${testRuns.length} test run(s)` +
+        (testPlan ? ` and added to Test Plan ${testPlan.key}` : '') +
+        `: ${executionUrl}`
     };
-
-    console.log('🎉 === getTestRuns COMPLETED SUCCESSFULLY ===');
-    return formattedResponse;
   } catch (error) {
-    console.error('💥 === getTestRuns FAILED ===');
-    console.error('💥 Error details:', error.message);
+    console.error('💥 === createTestExecution FAILED ===');
+    console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
-export async function getUserStory(payload) {
-  console.log('🔍 === getUserStory STARTED ===');
-  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
-  
-  const issueId = payload.issueId;
-  
-  if (!issueId) {
-    console.error('💥 Missing required parameter: issueId');
-    throw new Error('issueId is required');
+// Fields returned for a test run by the update-test-run action
+const TEST_RUN_UPDATE_FIELDS = `
+  id
+  status {
+    name
   }
-
-  console.log(`🎯 Finding user story for test: ${issueId}`);
-
-  try {
-    // Get issue links to find the "tests" link type
-    const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}`, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      query: {
-        expand: 'issuelinks'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`💥 Failed to fetch issue ${issueId}: ${response.status} ${response.statusText}`);
-      const errorText = await response.text();
-      console.error('💥 Error response:', errorText);
-      throw new Error(`Failed to fetch issue: ${response.status} ${response.statusText}`);
+  comment
+  defects
+  test {
+    issueId
+    projectId
+    jira(fields: ["key"])
+  }
+  testExecution {
+    issueId
+    projectId
+    jira(fields: ["key"])
+  }
+  steps {
+    id
+    action
+    status {
+      name
     }
+    comment
+    actualResult
+    defects
+  }
+`;
 
-    const issueData = await response.json();
-    console.log('📄 Issue data retrieved successfully');
-    console.log('🔗 Issue links found:', issueData.fields.issuelinks?.length || 0);
-
-    // Find the "tests" link type
-    const issueLinks = issueData.fields.issuelinks || [];
-    const testsLinks = issueLinks.filter(link => 
-      link.type.name === 'Tests' || 
-      link.type.inward === 'is tested by' || 
-      link.type.outward === 'tests'
-    );
-
-    console.log(`🎯 Found ${testsLinks.length} "tests" type links`);
+// Function to fetch a test run by id, or by test + execution issue ids
+async function fetchTestRun({ testRunId, testIssueId, testExecIssueId }, fields = TEST_RUN_UPDATE_FIELDS) {
+  if (testRunId) {
+    const result = await executeXrayGraphQL(`
+      query GetTestRunById($id: String!) {
+        getTestRunById(id: $id) {
+          ${fields}
+        }
+      }
+    `, { id: testRunId });
+    return result.data.getTestRunById;
+  }
 
-    if (testsLinks.length === 0) {
-      console.log('⚠️ No user stories found that this test is testing');
-      return {
-        testIssue: {
-          key: issueData.key,
-          summary: issueData.fields.summary
-        },
-        userStories: [],
-        message: 'No user stories found that this test is testing'
-      };
+  const result = await executeXrayGraphQL(`
+    query GetTestRun($testIssueId: String!, $testExecIssueId: String!) {
+      getTestRun(testIssueId: $testIssueId, testExecIssueId: $testExecIssueId) {
+        ${fields}
+      }
     }
+  `, { testIssueId, testExecIssueId });
+  return result.data.getTestRun;
+}
 
-    // Extract user stories (the target of the "tests" link)
-    const userStories = testsLinks.map(link => {
-      // For "tests" links, the user story is typically the inwardIssue 
-      // (when the test "tests" the user story)
-      const userStoryIssue = link.inwardIssue || link.outwardIssue;
-      
-      if (!userStoryIssue) {
-        console.log('⚠️ Link found but no target issue:', link);
-        return null;
+// Function to match a status name against the statuses configured for a project (case-insensitive).
+// Returns the configured spelling, or throws listing the allowed values.
+async function resolveRunStatusName(statusName, projectId, kind) {
+  const field = kind === 'step' ? 'getStepStatuses' : 'getStatuses';
+  const result = await executeXrayGraphQL(`
+    query GetConfiguredStatuses($projectId: String) {
+      ${field}(projectId: $projectId) {
+        name
+        final
       }
+    }
+  `, { projectId });
 
-      console.log(`📋 Found user story: ${userStoryIssue.key} - ${userStoryIssue.fields.summary}`);
-      
-      return {
-        key: userStoryIssue.key,
-        summary: userStoryIssue.fields.summary,
-        issueType: userStoryIssue.fields.issuetype.name,
-        status: userStoryIssue.fields.status.name,
-        url: `${userStoryIssue.self.replace('/rest/api/3/issue/', '/browse/')}`,
-        linkType: link.type.name,
-        linkDirection: link.inwardIssue ? 'inward' : 'outward'
-      };
-    }).filter(story => story !== null);
-
-    const formattedResponse = {
-      testIssue: {
-        key: issueData.key,
-        summary: issueData.fields.summary,
-        issueType: issueData.fields.issuetype.name
-      },
-      userStories: userStories,
-      totalFound: userStories.length,
-      message: userStories.length > 0 
-        ? `Found ${userStories.length} user story/stories that this test is testing`
-        : 'No user stories found that this test is testing'
-    };
-
-    console.log('🎉 === getUserStory COMPLETED SUCCESSFULLY ===');
-    console.log(`✅ Found ${userStories.length} user stories`);
-    
-    return formattedResponse;
-  } catch (error) {
-    console.error('💥 === getUserStory FAILED ===');
-    console.error('💥 Error details:', error.message);
-    throw error;
+  const statuses = result.data[field] || [];
+  const wanted = String(statusName).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  const match = statuses.find(status => status.name.toLowerCase().replace(/[\s_-]+/g, ' ') === wanted);
+  if (!match) {
+    throw new ActionError('VALIDATION', `Invalid ${kind === 'step' ? 'step' : 'test run'} status "${statusName}". Allowed values: ${statuses.map(status => status.name).join(', ')}`);
   }
+  return match.name;
 }
 
-// Function to generate comprehensive test case for user story
 /**
- * Fetches the full details of a user story, including its acceptance criteria,
- * for use by the Rovo agent's LLM to generate intelligent test steps.
+ * Updates a test run from the agent: overall status, a step's status/comment/actual result,
+ * the run comment and linked defects.
  *
- * This action can be called in two ways:
- * 1. With a user story issue key directly (e.g. "SDF-22") — fetches that issue
- * 2. With a test issue key — follows the "tests" link to find the linked user story,
- *    then fetches its details. This mirrors the logic in getUserStory so the agent
- *    can reliably navigate from a test back to its parent story.
- *
- * Returns the story's summary, description, and a structured list of acceptance
- * criteria extracted from the ADF description — ready for the LLM to reason about.
+ * The run is resolved from a test key + Test Execution key (or a test run id). Status names are
+ * validated against the statuses configured for the execution's project.
  *
  * @param {object} payload
- * @param {string} payload.issueKey - Jira issue key (user story or test issue)
+ * @param {string} [payload.testKey] - Test issue key (with testExecutionKey)
+ * @param {string} [payload.testExecutionKey] - Test Execution issue key (with testKey)
+ * @param {string} [payload.testRunId] - Test run id (alternative to testKey + testExecutionKey)
+ * @param {string} [payload.status] - New overall run status (e.g. PASSED, FAILED)
+ * @param {number} [payload.stepNumber] - 1-based step number to update
+ * @param {string} [payload.stepId] - Step id to update (alternative to stepNumber)
+ * @param {string} [payload.stepStatus] - New status for the step
+ * @param {string} [payload.stepComment] - Comment for the step
+ * @param {string} [payload.stepActualResult] - Actual result for the step
+ * @param {string} [payload.comment] - Run-level comment (replaces the existing comment)
+ * @param {string} [payload.defectKeys] - JSON array or comma-separated list of defect keys to link to the run
  */
-export async function getUserStoryDetails(payload) {
-  console.log('🔍 === getUserStoryDetails STARTED ===');
+async function updateTestRun(payload) {
+  console.log('🚀 === updateTestRun STARTED ===');
   console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
 
-  let issueKey = payload.issueKey;
+  const testKey = normaliseIssueKey(payload.testKey);
+  const testExecutionKey = normaliseIssueKey(payload.testExecutionKey);
+  const { testRunId, status, stepStatus, stepComment, stepActualResult, comment } = payload;
+  const defectKeys = parseListInput(payload.defectKeys, 'defectKeys').map(normaliseIssueKey);
+  const stepSelected = Boolean(payload.stepId) || (payload.stepNumber !== undefined && payload.stepNumber !== null && payload.stepNumber !== '');
 
-  if (!issueKey) {
-    throw new Error('issueKey is required');
+  if (!testRunId && !(testKey && testExecutionKey)) {
+    throw new ActionError('VALIDATION', 'Provide testKey and testExecutionKey, or a testRunId');
   }
-
-  // Strip any URL prefix — accept both "SDF-22" and full Jira URLs
-  const keyMatch = issueKey.match(/([A-Z][A-Z0-9]+-\d+)$/);
-  if (keyMatch) {
-    issueKey = keyMatch[1];
+  if (!status && !stepStatus && !stepComment && !stepActualResult && !comment && defectKeys.length === 0) {
+    throw new ActionError('VALIDATION', 'Nothing to update: provide status, stepStatus, stepComment, stepActualResult, comment or defectKeys');
+  }
+  if ((stepStatus || stepComment || stepActualResult) && !stepSelected) {
+    throw new ActionError('VALIDATION', 'stepNumber or stepId is required to update a step');
   }
-
-  console.log(`🎯 Fetching issue details for: ${issueKey}`);
 
   try {
-    // Fetch the issue with all fields and issue links expanded
-    const response = await api.asUser().requestJira(
-      route`/rest/api/3/issue/${issueKey}?expand=issuelinks`,
-      { headers: { 'Accept': 'application/json' } }
-    );
+    // Resolve the run (and the Jira base URL) from the issue keys
+    const issuesByKey = await searchIssuesByKeys([testKey, testExecutionKey, ...defectKeys].filter(Boolean), ['project']);
+    const anyIssue = issuesByKey.values().next().value;
+    const jiraBaseUrl = anyIssue ? getJiraBaseUrl(anyIssue) : null;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to fetch issue ${issueKey}: ${response.status} - ${errorText}`);
+    const testRun = await fetchTestRun({
+      testRunId,
+      testIssueId: testKey && issuesByKey.get(testKey).id,
+      testExecIssueId: testExecutionKey && issuesByKey.get(testExecutionKey).id
+    });
+    if (!testRun) {
+      throw new ActionError('NOT_FOUND', testRunId
+        ? `Test run ${testRunId} not found`
+        : `Test ${testKey} is not part of Test Execution ${testExecutionKey}`);
     }
 
-    let issueData = await response.json();
-    console.log(`📄 Fetched issue: ${issueData.key} (type: ${issueData.fields.issuetype.name})`);
-
-    // If this is a Test issue, follow the "tests" link to find the user story
-    const issueType = issueData.fields.issuetype.name.toLowerCase();
-    if (issueType === 'test') {
-      console.log('🔗 Issue is a Test — following "tests" link to find user story...');
-      const issueLinks = issueData.fields.issuelinks || [];
-      const testsLink = issueLinks.find(link =>
-        link.type.name === 'Tests' ||
-        link.type.inward === 'is tested by' ||
-        link.type.outward === 'tests'
-      );
+    const runTestKey = parseXrayJira(testRun.test?.jira)?.key || testKey;
+    const runExecutionKey = parseXrayJira(testRun.testExecution?.jira)?.key || testExecutionKey;
+    const projectId = testRun.testExecution?.projectId || testRun.test?.projectId;
+    console.log(`🎯 Resolved test run ${testRun.id} (${runTestKey} in ${runExecutionKey})`);
 
-      if (!testsLink) {
-        throw new Error(`Test issue ${issueKey} has no linked user story. Please provide the user story key directly.`);
+    // Resolve the step to update
+    let step = null;
+    if (stepSelected) {
+      const steps = testRun.steps || [];
+      if (payload.stepId) {
+        step = steps.find(s => s.id === payload.stepId);
+      } else {
+        const stepNumber = Number(payload.stepNumber);
+        if (!Number.isInteger(stepNumber) || stepNumber < 1) {
+          throw new ActionError('VALIDATION', `stepNumber must be a positive integer, got: ${payload.stepNumber}`);
+        }
+        step = steps[stepNumber - 1];
       }
-
-      // The user story is the target of the "tests" link
-      const linkedIssue = testsLink.inwardIssue || testsLink.outwardIssue;
-      if (!linkedIssue) {
-        throw new Error(`Could not resolve linked user story from test issue ${issueKey}`);
+      if (!step) {
+        throw new ActionError('NOT_FOUND', `Step ${payload.stepId || payload.stepNumber} not found — test run ${testRun.id} has ${(testRun.steps || []).length} step(s)`);
       }
+    }
+    const stepNumber = step ? testRun.steps.indexOf(step) + 1 : null;
 
-      console.log(`🔗 Found linked story: ${linkedIssue.key} — fetching full details...`);
-
-      // Fetch the full user story details
-      const storyResponse = await api.asUser().requestJira(
-        route`/rest/api/3/issue/${linkedIssue.key}`,
-        { headers: { 'Accept': 'application/json' } }
-      );
+    // Validate status names before writing anything
+    const runStatusName = status ? await resolveRunStatusName(status, projectId, 'run') : null;
+    const stepStatusName = stepStatus ? await resolveRunStatusName(stepStatus, projectId, 'step') : null;
 
-      if (!storyResponse.ok) {
-        const errorText = await storyResponse.text();
-        throw new Error(`Failed to fetch user story ${linkedIssue.key}: ${storyResponse.status} - ${errorText}`);
-      }
+    const changes = [];
+    const warnings = [];
 
-      issueData = await storyResponse.json();
-      console.log(`📄 Fetched user story: ${issueData.key}`);
+    if (stepStatusName) {
+      const result = await executeXrayGraphQL(`
+        mutation UpdateTestRunStepStatus($testRunId: String!, $stepId: String!, $status: String!) {
+          updateTestRunStepStatus(testRunId: $testRunId, stepId: $stepId, status: $status) {
+            warnings
+          }
+        }
+      `, { testRunId: testRun.id, stepId: step.id, status: stepStatusName });
+      warnings.push(...(result.data.updateTestRunStepStatus?.warnings || []));
+      changes.push({ target: `step ${stepNumber}`, field: 'status', from: step.status?.name, to: stepStatusName });
     }
 
-    // Extract the Jira base URL from the issue's self URL
-    // e.g. "https://mysite.atlassian.net/rest/api/3/issue/123" → "https://mysite.atlassian.net"
-    const jiraBaseUrl = issueData.self.replace(/\/rest\/api\/.*/, '');
+    if (stepComment || stepActualResult) {
+      const updateData = {};
+      if (stepComment) updateData.comment = stepComment;
+      if (stepActualResult) updateData.actualResult = stepActualResult;
+      const result = await executeXrayGraphQL(`
+        mutation UpdateTestRunStep($testRunId: String!, $stepId: String!, $updateData: UpdateTestRunStepInput!) {
+          updateTestRunStep(testRunId: $testRunId, stepId: $stepId, updateData: $updateData) {
+            warnings
+          }
+        }
+      `, { testRunId: testRun.id, stepId: step.id, updateData });
+      warnings.push(...(result.data.updateTestRunStep?.warnings || []));
+      if (stepComment) changes.push({ target: `step ${stepNumber}`, field: 'comment', from: step.comment, to: stepComment });
+      if (stepActualResult) changes.push({ target: `step ${stepNumber}`, field: 'actualResult', from: step.actualResult, to: stepActualResult });
+    }
 
-    // Extract plain text from the ADF description for the agent to read
-    const adfDescription = issueData.fields.description;
-    const descriptionText = adfDescription ? extractTextFromADF(adfDescription) : 'No description provided';
+    if (runStatusName) {
+      await executeXrayGraphQL(`
+        mutation UpdateTestRunStatus($id: String!, $status: String!) {
+          updateTestRunStatus(id: $id, status: $status)
+        }
+      `, { id: testRun.id, status: runStatusName });
+      changes.push({ target: 'run', field: 'status', from: testRun.status?.name, to: runStatusName });
+    }
 
-    // Extract acceptance criteria as a structured list — this is the key data
-    // the LLM will use to generate one specific test step per criterion
-    const acceptanceCriteria = adfDescription
-      ? extractAcceptanceCriteriaFromADF(adfDescription)
-      : extractAcceptanceCriteriaFromText(descriptionText);
+    if (comment) {
+      await executeXrayGraphQL(`
+        mutation UpdateTestRunComment($id: String!, $comment: String!) {
+          updateTestRunComment(id: $id, comment: $comment)
+        }
+      `, { id: testRun.id, comment });
+      changes.push({ target: 'run', field: 'comment', from: testRun.comment, to: comment });
+    }
 
-    console.log(`📋 Extracted ${acceptanceCriteria.length} acceptance criteria`);
+    if (defectKeys.length > 0) {
+      const result = await executeXrayGraphQL(`
+        mutation AddDefectsToTestRun($id: String!, $issues: [String]!) {
+          addDefectsToTestRun(id: $id, issues: $issues) {
+            addedDefects
+            warnings
+          }
+        }
+      `, { id: testRun.id, issues: defectKeys.map(key => issuesByKey.get(key).id) });
+      warnings.push(...(result.data.addDefectsToTestRun?.warnings || []));
+      changes.push({ target: 'run', field: 'defects', added: defectKeys });
+    }
 
-    const result = {
-      key: issueData.key,
-      summary: issueData.fields.summary,
-      issueType: issueData.fields.issuetype.name,
-      status: issueData.fields.status.name,
-      url: `${jiraBaseUrl}/browse/${issueData.key}`,
-      projectKey: issueData.fields.project.key,
-      description: descriptionText,
-      // Acceptance criteria as a numbered list — each item should become one test step
-      acceptanceCriteria: acceptanceCriteria,
-      acceptanceCriteriaCount: acceptanceCriteria.length,
-      // Formatted text version for easy reading by the LLM
-      acceptanceCriteriaText: acceptanceCriteria.length > 0
-        ? acceptanceCriteria.map((ac, i) => `${i + 1}. ${ac}`).join('\n')
-        : 'No explicit acceptance criteria found — derive test steps from the story description.'
-    };
+    // Read the run back so the response reflects what Xray actually stored
+    const updatedRun = await fetchTestRun({ testRunId: testRun.id });
 
-    console.log('🎉 === getUserStoryDetails COMPLETED SUCCESSFULLY ===');
-    return result;
+    console.log(`✅ Applied ${changes.length} change(s) to test run ${testRun.id}`);
+    console.log('🎉 === updateTestRun COMPLETED SUCCESSFULLY ===');
 
+    return {
+      testRunId: testRun.id,
+      testKey: runTestKey,
+      testExecutionKey: runExecutionKey,
+      testExecutionUrl: jiraBaseUrl && runExecutionKey ? `${jiraBaseUrl}/browse/${runExecutionKey}` : null,
+      status: updatedRun?.status?.name,
+      step: step ? {
+        stepNumber,
+        id: step.id,
+        action: step.action,
+        status: updatedRun?.steps?.[stepNumber - 1]?.status?.name
+      } : null,
+      changes,
+      warnings,
+      message: `Updated test run for ${runTestKey} in ${runExecutionKey}: ` +
+        changes.map(change => `${change.target} ${change.field}${change.field === 'status' ? ` → ${change.to}` : ''}${change.added ? ` + ${change.added.join(', ')}` : ''}`).join('; ')
+    };
   } catch (error) {
-    console.error('💥 === getUserStoryDetails FAILED ===');
+    console.error('💥 === updateTestRun FAILED ===');
     console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
-/**
- * Creates a test case in Xray Cloud using LLM-generated content provided by the Rovo agent.
- *
- * This is the "thin" creation action in the LLM-driven architecture. The Rovo agent's LLM
- * reads the user story, reasons about the acceptance criteria, and generates the test steps
- * itself. This action simply takes that generated content and persists it into Xray.
- *
- * Test steps and preconditions are passed as JSON strings (because Forge action inputs only
- * support primitive types). This function parses them and delegates to the existing Xray
- * creation infrastructure.
- *
- * @param {object} payload
- * @param {string} payload.projectKey - Jira project key (e.g. "SDF")
- * @param {string} payload.userStoryKey - Issue key of the user story being tested (e.g. "SDF-22")
- * @param {string} payload.summary - Test case summary/title
- * @param {string} payload.description - Test case description (plain text or markdown)
- * @param {string} payload.testSteps - JSON string: [{"action":"...","data":"...","result":"..."}]
- * @param {string} [payload.preconditions] - JSON string: ["precondition 1", "precondition 2"]
- */
-export async function createXrayTest(payload) {
-  console.log('🚀 === createXrayTest STARTED ===');
-  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
-
-  const { projectKey, userStoryKey, summary, description, testSteps: testStepsJson, preconditions: preconditionsJson } = payload;
-
-  // Validate required inputs
-  if (!projectKey) throw new Error('projectKey is required');
-  if (!userStoryKey) throw new Error('userStoryKey is required');
-  if (!summary) throw new Error('summary is required');
-  if (!testStepsJson) throw new Error('testSteps is required');
+// Fields returned for a test run by the get-test-run-details action
+const TEST_RUN_DETAIL_FIELDS = `
+  id
+  status {
+    name
+    description
+  }
+  comment
+  startedOn
+  finishedOn
+  executedById
+  assigneeId
+  defects
+  evidence {
+    id
+    filename
+    storedInJira
+    downloadLink
+    createdOn
+  }
+  testType {
+    name
+  }
+  examples {
+    id
+    status {
+      name
+    }
+    duration
+  }
+  test {
+    issueId
+    jira(fields: ["key", "summary"])
+  }
+  testExecution {
+    issueId
+    testEnvironments
+    jira(fields: ["key", "summary"])
+  }
+  steps {
+    id
+    action
+    data
+    result
+    status {
+      name
+    }
+    comment
+    actualResult
+    defects
+    evidence {
+      id
+      filename
+      storedInJira
+      downloadLink
+      createdOn
+    }
+  }
+`;
 
-  // Parse test steps from JSON string
-  let testSteps;
+// Function to look up a user's display name by account id; returns null if it cannot be read
+async function getUserDisplayName(accountId) {
+  if (!accountId) return null;
   try {
-    testSteps = JSON.parse(testStepsJson);
-    if (!Array.isArray(testSteps) || testSteps.length === 0) {
-      throw new Error('testSteps must be a non-empty JSON array');
+    const response = await api.asUser().requestJira(route`/rest/api/3/user?accountId=${accountId}`, {
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    if (!response.ok) {
+      console.warn(`⚠️ Could not read user ${accountId}: ${response.status} ${response.statusText}`);
+      return null;
     }
-  } catch (e) {
-    throw new Error(`Invalid testSteps JSON: ${e.message}. Expected format: [{"action":"...","data":"...","result":"..."}]`);
+    return (await response.json()).displayName || null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read user ${accountId}:`, error.message);
+    return null;
   }
+}
 
-  // Normalise step fields — the LLM may use "expectedResult" or "result"
-  const normalisedSteps = testSteps.map((step, i) => ({
-    action: step.action || `Step ${i + 1}`,
-    data: step.data || '',
-    result: step.result || step.expectedResult || ''
+// Function to map Xray evidence to the metadata returned to the agent
+function formatEvidence(evidence) {
+  return (evidence || []).map(item => ({
+    id: item.id,
+    filename: item.filename,
+    createdOn: item.createdOn || null,
+    storedInJira: Boolean(item.storedInJira),
+    downloadLink: item.downloadLink || null
   }));
+}
 
-  // Parse preconditions from JSON string (optional)
-  let preconditionObjects = [];
-  if (preconditionsJson) {
-    try {
-      const parsed = JSON.parse(preconditionsJson);
-      if (Array.isArray(parsed)) {
-        // Support both string array ["pre1","pre2"] and object array [{condition,description}]
-        preconditionObjects = parsed.map((p, i) => {
-          if (typeof p === 'string') {
-            return { id: i + 1, condition: p, description: p };
-          }
-          return { id: i + 1, condition: p.condition || p.summary || String(p), description: p.description || p.condition || String(p) };
-        });
-      }
-    } catch (e) {
-      console.warn('⚠️ Could not parse preconditions JSON, skipping preconditions:', e.message);
-    }
-  }
+/**
+ * Returns the full detail of one test run: each step's status, actual result, comment, defects
+ * and evidence, plus the run-level status, comment, defects, evidence, executedBy, assignee and
+ * the execution's environments.
+ *
+ * The run is resolved from a test key + Test Execution key, or a test run id.
+ *
+ * @param {object} payload
+ * @param {string} [payload.testKey] - Test issue key (with testExecutionKey)
+ * @param {string} [payload.testExecutionKey] - Test Execution issue key (with testKey)
+ * @param {string} [payload.testRunId] - Test run id (alternative to testKey + testExecutionKey)
+ */
+async function getTestRunDetails(payload) {
+  console.log('🚀 === getTestRunDetails STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify(payload, null, 2));
 
-  console.log(`📝 Test summary: ${summary}`);
-  console.log(`🔧 Test steps: ${normalisedSteps.length}`);
-  console.log(`📋 Preconditions: ${preconditionObjects.length}`);
+  const testKey = normaliseIssueKey(payload.testKey);
+  const testExecutionKey = normaliseIssueKey(payload.testExecutionKey);
+  const { testRunId } = payload;
+
+  if (!testRunId && !(testKey && testExecutionKey)) {
+    throw new ActionError('VALIDATION', 'Provide testKey and testExecutionKey, or a testRunId');
+  }
 
   try {
-    // Fetch the user story to get its numeric Jira ID (needed for linking)
-    console.log(`🔍 Fetching user story ${userStoryKey} for linking...`);
-    const storyResponse = await api.asUser().requestJira(
-      route`/rest/api/3/issue/${userStoryKey}`,
-      { headers: { 'Accept': 'application/json' } }
-    );
+    const issuesByKey = testRunId ? new Map() : await searchIssuesByKeys([testKey, testExecutionKey]);
 
-    if (!storyResponse.ok) {
-      throw new Error(`Failed to fetch user story ${userStoryKey}: ${storyResponse.status}`);
+    const testRun = await fetchTestRun({
+      testRunId,
+      testIssueId: testKey && issuesByKey.get(testKey)?.id,
+      testExecIssueId: testExecutionKey && issuesByKey.get(testExecutionKey)?.id
+    }, TEST_RUN_DETAIL_FIELDS);
+    if (!testRun) {
+      throw new ActionError('NOT_FOUND', testRunId
+        ? `Test run ${testRunId} not found`
+        : `Test ${testKey} is not part of Test Execution ${testExecutionKey}`);
     }
 
-    const storyData = await storyResponse.json();
-    const jiraBaseUrl = storyData.self.replace(/\/rest\/api\/.*/, '');
+    const testJira = parseXrayJira(testRun.test?.jira);
+    const executionJira = parseXrayJira(testRun.testExecution?.jira);
+    const runTestKey = testJira?.key || testKey;
+    const runExecutionKey = executionJira?.key || testExecutionKey;
+    console.log(`🎯 Resolved test run ${testRun.id} (${runTestKey} in ${runExecutionKey})`);
 
-    console.log(`✅ User story found: ${storyData.key} (ID: ${storyData.id})`);
+    // Resolve defect ids (run and step level) to keys, summaries and statuses in one search
+    const steps = testRun.steps || [];
+    const defectIds = [...new Set([...(testRun.defects || []), ...steps.flatMap(step => step.defects || [])].map(String))];
+    const defectsById = new Map();
+    for (let i = 0; i < defectIds.length; i += 100) {
+      const defects = await searchIssuesByJql(`id in (${defectIds.slice(i, i + 100).join(',')})`, ['summary', 'status']);
+      defects.forEach(defect => defectsById.set(defect.id, defect));
+    }
 
-    // Build the testCaseContent object that the existing Xray creation infrastructure expects
-    const testCaseContent = {
-      summary,
-      description: description || `This test case validates the user story: ${userStoryKey}`,
-      testSteps: normalisedSteps.map((s, i) => ({
-        stepNumber: i + 1,
-        action: s.action,
-        data: s.data,
-        expectedResult: s.result
-      })),
-      preconditions: preconditionObjects
-    };
+    // The Jira base URL comes from whichever issue we have at hand
+    const anyIssue = issuesByKey.values().next().value || defectsById.values().next().value;
+    const jiraBaseUrl = anyIssue
+      ? getJiraBaseUrl(anyIssue)
+      : runTestKey ? getJiraBaseUrl((await searchIssuesByKeys([runTestKey])).get(runTestKey)) : null;
+    const browse = key => (jiraBaseUrl && key ? `${jiraBaseUrl}/browse/${key}` : null);
+    const formatDefects = ids => (ids || []).map(String).map(id => {
+      const defect = defectsById.get(id);
+      return defect
+        ? { key: defect.key, summary: defect.fields.summary, status: defect.fields.status?.name, url: browse(defect.key) }
+        : { id, key: null, summary: null, status: null, url: null };
+    });
 
-    // Create preconditions in Xray first (if any)
-    let preconditionIds = [];
-    if (preconditionObjects.length > 0) {
-      console.log('🔧 Creating preconditions in Xray...');
-      preconditionIds = await createXrayPreconditions(preconditionObjects, projectKey);
-      console.log(`✅ Created ${preconditionIds.length} preconditions`);
-    }
+    const [executedBy, assignee] = await Promise.all([
+      getUserDisplayName(testRun.executedById),
+      getUserDisplayName(testRun.assigneeId)
+    ]);
 
-    // Create the test case using the existing Xray GraphQL mutation
-    console.log('🎯 Creating test case in Xray...');
-    const testCase = await createXrayTestCase(
-      testCaseContent,
-      projectKey,
-      normalisedSteps,
-      preconditionIds,
-      storyData  // Pass story data so createXrayTestCase can link test → story
-    );
+    const formattedSteps = steps.map((step, index) => ({
+      stepNumber: index + 1,
+      id: step.id,
+      action: step.action,
+      data: step.data,
+      expectedResult: step.result,
+      status: step.status?.name,
+      actualResult: step.actualResult || null,
+      comment: step.comment || null,
+      defects: formatDefects(step.defects),
+      evidence: formatEvidence(step.evidence)
+    }));
+    const failedSteps = formattedSteps.filter(step => ['FAILED', 'ABORTED'].includes(step.status?.toUpperCase()));
 
-    const testCaseUrl = `${jiraBaseUrl}/browse/${testCase.jiraKey}`;
+    let message = `Test run for ${runTestKey} in ${runExecutionKey}: ${testRun.status?.name}`;
+    if (executedBy) message += `, executed by ${executedBy}`;
+    if (testRun.finishedOn) message += ` on ${testRun.finishedOn}`;
+    if (failedSteps.length > 0) {
+      message += '\n\nFailed step(s):\n' + failedSteps.map(step =>
+        `• Step ${step.stepNumber} (${step.status}): ${step.action}` +
+        (step.actualResult ? `\n  Actual: ${step.actualResult}` : '') +
+        (step.comment ? `\n  Comment: ${step.comment}` : '') +
+        (step.defects.length > 0 ? `\n  Defects: ${step.defects.map(defect => defect.key || defect.id).join(', ')}` : '')
+      ).join('\n');
+    }
 
-    console.log(`✅ Test case created: ${testCase.jiraKey}`);
-    console.log('🎉 === createXrayTest COMPLETED SUCCESSFULLY ===');
+    console.log(`✅ ${formattedSteps.length} step(s), ${failedSteps.length} failed, ${defectIds.length} defect(s)`);
+    console.log('🎉 === getTestRunDetails COMPLETED SUCCESSFULLY ===');
 
     return {
-      testCaseKey: testCase.jiraKey,
-      testCaseUrl,
-      userStoryKey,
-      stepsCreated: normalisedSteps.length,
-      preconditionsCreated: preconditionIds.length,
-      message: `Test case ${testCase.jiraKey} created successfully in Xray and linked to user story ${userStoryKey}`
+      testRunId: testRun.id,
+      testKey: runTestKey,
+      testSummary: testJira?.summary || null,
+      testUrl: browse(runTestKey),
+      testType: testRun.testType?.name || null,
+      testExecutionKey: runExecutionKey,
+      testExecutionSummary: executionJira?.summary || null,
+      testExecutionUrl: browse(runExecutionKey),
+      status: testRun.status?.name,
+      statusDescription: testRun.status?.description || null,
+      startedOn: testRun.startedOn || null,
+      finishedOn: testRun.finishedOn || null,
+      comment: testRun.comment || null,
+      executedBy: testRun.executedById ? { accountId: testRun.executedById, displayName: executedBy } : null,
+      assignee: testRun.assigneeId ? { accountId: testRun.assigneeId, displayName: assignee } : null,
+      environments: testRun.testExecution?.testEnvironments || [],
+      defects: formatDefects(testRun.defects),
+      evidence: formatEvidence(testRun.evidence),
+      examples: (testRun.examples || []).map(example => ({
+        id: example.id,
+        status: example.status?.name,
+        duration: example.duration ?? null
+      })),
+      steps: formattedSteps,
+      failedSteps: failedSteps.map(step => step.stepNumber),
+      message
     };
-
   } catch (error) {
-    console.error('💥 === createXrayTest FAILED ===');
+    console.error('💥 === getTestRunDetails FAILED ===');
     console.error('💥 Error:', error.message);
     throw error;
   }
 }
 
+// Xray Cloud import endpoints per result format.
+// `queryParams`: the standard endpoint accepts execution overrides as query parameters.
+const XRAY_IMPORT_FORMATS = {
+  xray: { path: '', contentType: 'application/json', json: true, queryParams: false },
+  cucumber: { path: '/cucumber', contentType: 'application/json', json: true, queryParams: false },
+  junit: { path: '/junit', contentType: 'text/xml', json: false, queryParams: true },
+  testng: { path: '/testng', contentType: 'text/xml', json: false, queryParams: true },
+  nunit: { path: '/nunit', contentType: 'text/xml', json: false, queryParams: true },
+  xunit: { path: '/xunit', contentType: 'text/xml', json: false, queryParams: true },
+  robot: { path: '/robot', contentType: 'text/xml', json: false, queryParams: true }
+};
+
+// Function to build a multipart/form-data body from string parts
+function buildMultipartBody(parts) {
+  const boundary = `----XrayActionBoundary${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+  const body = parts.map(part => [
+    `--${boundary}`,
+    `Content-Disposition: form-data; name="${part.name}"; filename="${part.filename}"`,
+    `Content-Type: ${part.contentType}`,
+    '',
+    part.content
+  ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--\r\n`;
+
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
 
 /**
- * Finds all test cases linked to a user story via 'is tested by' / 'tests' link types
+ * Imports automated test results (JUnit, TestNG, NUnit, xUnit, Robot XML, Cucumber JSON or
+ * Xray JSON) into Xray Cloud and reports the per-test outcome.
+ *
+ * The standard endpoints take execution overrides (project, plan, environments, revision, fix
+ * version) as query parameters — or inside the Xray JSON `info` object. The multipart variant is
+ * used when extra Test Execution fields are given in `executionInfo`, when `multipart` is set, or
+ * for Cucumber results with overrides (its standard endpoint accepts none).
+ *
+ * @param {object} payload
+ * @param {string} payload.format - xray, junit, cucumber, robot, testng, nunit or xunit
+ * @param {string} payload.results - The result file content
+ * @param {string} [payload.projectKey] - Project of the Test Execution
+ * @param {string} [payload.testExecutionKey] - Existing Test Execution to update (standard endpoints only)
+ * @param {string} [payload.testPlanKey] - Test Plan to associate the execution with
+ * @param {string} [payload.testEnvironments] - JSON array or comma-separated list of environments
+ * @param {string} [payload.revision] - Source code revision
+ * @param {string} [payload.fixVersion] - Fix version name
+ * @param {string} [payload.executionInfo] - JSON object of extra Jira fields for the new Test Execution
+ * @param {boolean} [payload.multipart] - Force the multipart endpoint
  */
-export async function getLinkedTestCases(payload) {
-  console.log('🎯 === STARTING getLinkedTestCases FUNCTION ===');
+async function importExecutionResults(payload) {
+  console.log('🚀 === importExecutionResults STARTED ===');
+  console.log('📋 Payload received:', JSON.stringify({ ...payload, results: `<${payload.results?.length || 0} chars>` }, null, 2));
 
-  const { issueId } = payload;
-  
-  if (!issueId) {
-    throw new Error('Issue ID is required');
-  }
+  const format = String(payload.format || '').trim().toLowerCase();
+  const { results, projectKey, revision, fixVersion } = payload;
+  const testExecutionKey = normaliseIssueKey(payload.testExecutionKey);
+  const testPlanKey = normaliseIssueKey(payload.testPlanKey);
+  const testEnvironments = parseListInput(payload.testEnvironments, 'testEnvironments');
+  const formatConfig = XRAY_IMPORT_FORMATS[format];
 
-  console.log('🔗 Searching for linked test cases...');
-  
-  try {
-    // Get issue links from Jira
-    const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueId}?fields=issuelinks,summary,issuetype`, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
+  if (!formatConfig) {
+    throw new ActionError('VALIDATION', `Unsupported format "${payload.format}". Supported formats: ${Object.keys(XRAY_IMPORT_FORMATS).join(', ')}`);
+  }
+  if (!results || !String(results).trim()) {
+    throw new ActionError('VALIDATION', 'results is required');
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to get issue links: ${response.status} ${response.statusText}`);
+  let executionInfo = null;
+  if (payload.executionInfo) {
+    try {
+      executionInfo = JSON.parse(payload.executionInfo);
+      if (!executionInfo || typeof executionInfo !== 'object' || Array.isArray(executionInfo)) throw new Error('not an object');
+    } catch (e) {
+      throw new ActionError('VALIDATION', `Invalid executionInfo JSON: ${e.message}. Expected an object of Jira fields, e.g. {"summary":"Nightly run"}`);
     }
+  }
 
-    const issueData = await response.json();
-    console.log(`📋 Processing issue: ${issueData.key} (${issueData.fields.issuetype.name})`);
-    console.log(`📝 Summary: ${issueData.fields.summary}`);
-    
-    const issueLinks = issueData.fields.issuelinks || [];
-    console.log(`🔗 Found ${issueLinks.length} total links`);
+  // Validate the payload syntax before sending it
+  let parsedResults = null;
+  if (formatConfig.json) {
+    try {
+      parsedResults = JSON.parse(results);
+    } catch (e) {
+      throw new ActionError('VALIDATION', `Invalid ${format} results: not valid JSON (${e.message})`);
+    }
+  } else if (!/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*</.test(results)) {
+    throw new ActionError('VALIDATION', `Invalid ${format} results: expected an XML document`);
+  }
 
-    const testCases = [];
+  const hasOverrides = Boolean(projectKey || testPlanKey || testEnvironments.length || revision || fixVersion);
+  const useMultipart = payload.multipart === true || String(payload.multipart).toLowerCase() === 'true' ||
+    Boolean(executionInfo) || (format === 'cucumber' && hasOverrides);
 
-    // Process each link to find test cases
-    for (const link of issueLinks) {
-      const linkType = link.type.name.toLowerCase();
-      console.log(`🔍 Processing link type: ${link.type.name}`);
-      
-      // Check outward links (this issue "is tested by" other issues)
-      if (link.outwardIssue && (linkType.includes('test') || link.type.outward.toLowerCase().includes('tested'))) {
-        const linkedIssue = link.outwardIssue;
-        console.log(`➡️ Outward link: ${linkedIssue.key} (${linkedIssue.fields.issuetype.name})`);
-        
-        // Check if linked issue is a Test type
-        if (linkedIssue.fields.issuetype.name.toLowerCase() === 'test') {
-          testCases.push({
-            key: linkedIssue.key,
-            id: linkedIssue.id,
-            summary: linkedIssue.fields.summary,
-            linkType: link.type.outward,
-            direction: 'outward'
-          });
-          console.log(`✅ Added test case: ${linkedIssue.key}`);
-        }
-      }
-      
-      // Check inward links (other issues "test" this issue)
-      if (link.inwardIssue && (linkType.includes('test') || link.type.inward.toLowerCase().includes('test'))) {
-        const linkedIssue = link.inwardIssue;
-        console.log(`⬅️ Inward link: ${linkedIssue.key} (${linkedIssue.fields.issuetype.name})`);
-        
-        // Check if linked issue is a Test type
-        if (linkedIssue.fields.issuetype.name.toLowerCase() === 'test') {
-          testCases.push({
-            key: linkedIssue.key,
-            id: linkedIssue.id,
-            summary: linkedIssue.fields.summary,
-            linkType: link.type.inward,
-            direction: 'inward'
-          });
-          console.log(`✅ Added test case: ${linkedIssue.key}`);
-        }
-      }
-    }
+  if (useMultipart && testExecutionKey) {
+    throw new ActionError('VALIDATION', 'testExecutionKey cannot be combined with executionInfo or the multipart import — multipart imports always create a new Test Execution');
+  }
+  if (useMultipart && !projectKey && !executionInfo?.project) {
+    throw new ActionError('VALIDATION', 'projectKey is required for multipart imports');
+  }
+  if (format === 'cucumber' && testExecutionKey) {
+    throw new ActionError('VALIDATION', 'Cucumber imports cannot target an existing Test Execution; tag the scenarios with the execution key instead');
+  }
 
-    console.log(`🎯 Found ${testCases.length} linked test cases total`);
+  let url = `${(await getXraySettings()).importUrl}${formatConfig.path}`;
+  let body;
+  let contentType = formatConfig.contentType;
 
-    const result = {
-      userStory: {
-        key: issueData.key,
-        id: issueData.id,
-        summary: issueData.fields.summary,
-        issueType: issueData.fields.issuetype.name
+  if (useMultipart) {
+    // Multipart: "results" file plus an "info" file describing the Test Execution issue to create
+    const { project, ...extraFields } = executionInfo || {};
+    const info = {
+      fields: {
+        project: project || { key: projectKey },
+        summary: `Automated ${format} results`,
+        issuetype: { name: 'Test Execution' },
+        ...extraFields
       },
-      testCases: testCases,
-      totalLinks: issueLinks.length,
-      testCasesFound: testCases.length
+      xrayFields: {}
     };
+    if (fixVersion) info.fields.fixVersions = [{ name: fixVersion }];
+    if (testPlanKey) info.xrayFields.testPlanKey = testPlanKey;
+    if (testEnvironments.length > 0) info.xrayFields.environments = testEnvironments;
+    if (revision) info.xrayFields.revision = revision;
 
-    if (testCases.length === 0) {
-      console.log('⚠️ No test cases found linked to this user story');
-      result.message = `No test cases are linked to ${issueData.key}. Consider creating test cases and linking them with 'is tested by' relationships.`;
-    } else {
-      console.log('✅ Successfully found linked test cases');
-      result.message = `Found ${testCases.length} test case(s) linked to ${issueData.key}`;
+    url += '/multipart';
+    ({ body, contentType } = buildMultipartBody([
+      { name: 'results', filename: formatConfig.json ? 'results.json' : 'results.xml', contentType: formatConfig.contentType, content: results },
+      { name: 'info', filename: 'info.json', contentType: 'application/json', content: JSON.stringify(info) }
+    ]));
+  } else if (format === 'xray') {
+    // Xray JSON carries its overrides in the document itself
+    parsedResults.info = { ...(parsedResults.info || {}) };
+    if (projectKey) parsedResults.info.project = projectKey;
+    if (testPlanKey) parsedResults.info.testPlanKey = testPlanKey;
+    if (testEnvironments.length > 0) parsedResults.info.testEnvironments = testEnvironments;
+    if (revision) parsedResults.info.revision = revision;
+    if (fixVersion) parsedResults.info.version = fixVersion;
+    if (testExecutionKey) parsedResults.testExecutionKey = testExecutionKey;
+    body = JSON.stringify(parsedResults);
+  } else {
+    if (formatConfig.queryParams) {
+      const params = new URLSearchParams();
+      if (projectKey) params.set('projectKey', projectKey);
+      if (testExecutionKey) params.set('testExecKey', testExecutionKey);
+      if (testPlanKey) params.set('testPlanKey', testPlanKey);
+      if (testEnvironments.length > 0) params.set('testEnvironments', testEnvironments.join(';'));
+      if (revision) params.set('revision', revision);
+      if (fixVersion) params.set('fixVersion', fixVersion);
+      if ([...params.keys()].length > 0) url += `?${params.toString()}`;
     }
+    body = results;
+  }
 
-    console.log('🎯 === ENDING getLinkedTestCases FUNCTION ===');
-    return result;
+  try {
+    console.log(`📤 Importing ${format} results to ${url}${useMultipart ? ' (multipart)' : ''}...`);
+    const response = await executeXrayRequest(url, {
+      body,
+      contentType,
+      idempotent: false,
+      timeoutMs: XRAY_IMPORT_TIMEOUT_MS,
+      label: `Xray ${format} import`
+    });
+
+    const imported = await response.json();
+    const executionKey = imported.key;
+    const executionUrl = imported.self ? `${getJiraBaseUrl(imported)}/browse/${executionKey}` : null;
+    console.log(`✅ Results imported into Test Execution ${executionKey}`);
+
+    // Read back the runs so the agent can report per-test results
+    const runsQuery = `
+      query GetImportedRuns($testExecIssueId: String!, $start: Int, $limit: Int!) {
+        getTestRuns(testExecIssueIds: [$testExecIssueId], start: $start, limit: $limit) {
+          results {
+            id
+            status {
+              name
+            }
+            test {
+              issueId
+              jira(fields: ["key", "summary"])
+            }
+          }
+          total
+        }
+      }
+    `;
+    const runs = await fetchXrayPages(async (start, limit) => {
+      const runsResult = await executeXrayGraphQL(runsQuery, { testExecIssueId: imported.id, start, limit });
+      return runsResult.data.getTestRuns;
+    }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
+
+    const tests = runs.results.map(run => {
+      const testJira = parseXrayJira(run.test?.jira);
+      return {
+        testKey: testJira?.key,
+        summary: testJira?.summary,
+        status: run.status?.name,
+        testRunId: run.id
+      };
+    });
+
+    const statusSummary = tests.reduce((counts, test) => {
+      counts[test.status || 'UNKNOWN'] = (counts[test.status || 'UNKNOWN'] || 0) + 1;
+      return counts;
+    }, {});
 
+    // Xray JSON results can name the Test Execution to update themselves
+    const updated = Boolean(testExecutionKey || parsedResults?.testExecutionKey);
+    console.log('🎉 === importExecutionResults COMPLETED SUCCESSFULLY ===');
+
+    return {
+      testExecutionKey: executionKey,
+      testExecutionIssueId: imported.id,
+      testExecutionUrl: executionUrl,
+      outcome: updated ? 'updated' : 'created',
+      format,
+      multipart: useMultipart,
+      totalTests: tests.length,
+      statusSummary,
+      tests,
+      message: `${updated ? 'Updated' : 'Created'} Test Execution ${executionKey} from ${format} results: ` +
+        Object.entries(statusSummary).map(([status, count]) => `${count} ${status}`).join(', ') +
+        (executionUrl ? ` — ${executionUrl}` : '')
+    };
   } catch (error) {
-    console.error('❌ Error finding linked test cases:', error.message);
-    throw new Error(`Failed to find linked test cases: ${error.message}`);
+    console.error('💥 === importExecutionResults FAILED ===');
+    console.error('💥 Error:', error.message);
+    throw error;
   }
 }
 
-// Function to create preconditions using Xray GraphQL createPrecondition mutation
-async function createXrayPreconditions(preconditions, projectKey) {
+// Function to create preconditions using Xray GraphQL createPrecondition mutation.
+// With a rollback journal every precondition is recorded and the first failure is thrown;
+// without one, failed preconditions are logged and skipped.
+async function createXrayPreconditions(preconditions, projectKey, journal = null) {
   console.log('🔧 === Creating preconditions using Xray GraphQL ===');
   console.log('📋 Number of preconditions to create:', preconditions.length);
   
@@ -1450,28 +6064,29 @@ async function createXrayPreconditions(preconditions, projectKey) {
       
       const result = await executeXrayGraphQL(createPreconditionMutation, variables);
       
-      if (result.errors) {
-        console.error(`❌ GraphQL errors while creating precondition ${i + 1}:`, JSON.stringify(result.errors, null, 2));
-        console.log(`⚠️ Continuing with remaining preconditions...`);
-        continue;
-      }
-      
-      if (!result.data || !result.data.createPrecondition || !result.data.createPrecondition.precondition) {
+      if (!result.data.createPrecondition || !result.data.createPrecondition.precondition) {
         console.error(`❌ No data returned from createPrecondition mutation for precondition ${i + 1}`);
         console.error('❌ Full result:', JSON.stringify(result, null, 2));
+        if (journal) throw new Error('no data returned from createPrecondition');
         console.log(`⚠️ Continuing with remaining preconditions...`);
         continue;
       }
       
       const preconditionData = result.data.createPrecondition.precondition;
       const preconditionId = preconditionData.issueId;
-      const preconditionKey = preconditionData.jira?.key;
+      const preconditionKey = parseXrayJira(preconditionData.jira)?.key;
       
       createdPreconditionIds.push(preconditionId);
+      journal?.record('precondition', { key: preconditionKey, issueId: preconditionId, summary: precondition.condition },
+        () => deleteJiraIssue(preconditionId));
       console.log(`✅ Precondition ${i + 1} created successfully with ID: ${preconditionId}, Key: ${preconditionKey}`);
       
     } catch (error) {
       console.error(`💥 Error creating precondition ${i + 1}:`, error.message);
+      if (journal) {
+        journal.fail('precondition', { summary: precondition.condition }, error);
+        throw new Error(`Failed to create precondition "${precondition.condition}": ${error.message}`, { cause: error });
+      }
       console.log(`⚠️ Continuing with remaining preconditions...`);
     }
   }
@@ -1480,8 +6095,178 @@ async function createXrayPreconditions(preconditions, projectKey) {
   return createdPreconditionIds;
 }
 
+// Similarity (0-1) at or above which precondition text reuses an existing Precondition issue
+const PRECONDITION_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Creates a lookup of a project's Precondition issues, so precondition text reuses an existing
+ * issue instead of creating yet another copy of it.
+ *
+ * The project's preconditions are fetched on the first `match`. Text matches a precondition whose
+ * summary or definition is the same once case and punctuation are ignored, otherwise the most
+ * similar one scoring at least PRECONDITION_SIMILARITY_THRESHOLD. Preconditions created later in
+ * the same action are made reusable with `add`.
+ */
+function createPreconditionLibrary(projectKey) {
+  const entries = [];
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        const query = `
+          query GetProjectPreconditions($jql: String!, $start: Int, $limit: Int!) {
+            getPreconditions(jql: $jql, start: $start, limit: $limit) {
+              total
+              results {
+                issueId
+                definition
+                jira(fields: ["key", "summary"])
+              }
+            }
+          }
+        `;
+        const preconditions = await fetchXrayPages(async (start, limit) => {
+          const result = await executeXrayGraphQL(query, { jql: `project = "${projectKey}"`, start, limit });
+          return result.data.getPreconditions;
+        }, { start: 0, limit: XRAY_MAX_PAGE_SIZE, all: true });
+
+        preconditions.results.forEach(precondition => {
+          const jira = parseXrayJira(precondition.jira);
+          entries.push({ key: jira?.key, issueId: precondition.issueId, summary: jira?.summary, definition: precondition.definition });
+        });
+        console.log(`📚 ${entries.length} existing precondition(s) in project ${projectKey}`);
+      })();
+    }
+    return loading;
+  };
+
+  return {
+    async match(text) {
+      await load();
+      const wanted = normaliseForComparison(text);
+      const texts = entry => [entry.summary, entry.definition].filter(Boolean);
+
+      const exact = entries.find(entry => texts(entry).some(candidate => normaliseForComparison(candidate) === wanted));
+      if (exact) return { ...exact, match: 'exact', score: 1 };
+
+      let best = null;
+      entries.forEach(entry => {
+        const score = Math.max(...texts(entry).map(candidate => textSimilarity(text, candidate)));
+        if (score >= PRECONDITION_SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+          best = { ...entry, match: 'fuzzy', score: Math.round(score * 100) / 100 };
+        }
+      });
+      return best;
+    },
+    add(entry) {
+      entries.push(entry);
+    }
+  };
+}
+
+// Function to split parsed preconditions into existing issues to reuse and new ones to create.
+// Keys must be Precondition issues; text is matched against the project's preconditions.
+async function resolvePreconditions(preconditionObjects, library) {
+  const reused = [];
+  const toCreate = [];
+  const reusedIds = new Set();
+  const reuse = entry => {
+    if (reusedIds.has(entry.issueId)) return;
+    reusedIds.add(entry.issueId);
+    reused.push(entry);
+  };
+
+  const keys = preconditionObjects.filter(precondition => precondition.key).map(precondition => precondition.key);
+  if (keys.length > 0) {
+    const issuesByKey = await searchIssuesByKeys(keys);
+    keys.forEach(key => {
+      const issue = issuesByKey.get(key);
+      if (issue.fields.issuetype?.name?.toLowerCase() !== 'precondition') {
+        throw new ActionError('VALIDATION', `${key} is a ${issue.fields.issuetype?.name}, not a Precondition`);
+      }
+      reuse({ key, issueId: issue.id, summary: issue.fields.summary, match: 'key' });
+    });
+  }
+
+  const seenTexts = new Set();
+  for (const precondition of preconditionObjects.filter(precondition => !precondition.key)) {
+    const normalised = normaliseForComparison(precondition.condition);
+    if (seenTexts.has(normalised)) continue;
+    seenTexts.add(normalised);
+
+    const match = await library.match(precondition.condition);
+    if (match) {
+      console.log(`♻️ Reusing ${match.key} (${match.match}, ${match.score}) for precondition "${precondition.condition}"`);
+      reuse({ key: match.key, issueId: match.issueId, summary: match.summary, requested: precondition.condition, match: match.match, score: match.score });
+    } else {
+      toCreate.push(precondition);
+    }
+  }
+
+  return { reused, toCreate };
+}
+
+// Function to parse and normalise the testSteps JSON input shared by the create/update actions.
+// The LLM may use "expectedResult" or "result" for the expected outcome.
+function parseTestStepsInput(testStepsJson, { allowEmpty = false } = {}) {
+  let testSteps;
+  try {
+    testSteps = typeof testStepsJson === 'string' ? JSON.parse(testStepsJson) : testStepsJson;
+    if (!Array.isArray(testSteps) || (!allowEmpty && testSteps.length === 0)) {
+      throw new Error('testSteps must be a non-empty JSON array');
+    }
+  } catch (e) {
+    throw new ActionError('VALIDATION', `Invalid testSteps JSON: ${e.message}. Expected format: [{"action":"...","data":"...","result":"..."}]`);
+  }
+
+  return testSteps.map((step, i) => ({
+    action: step.action || `Step ${i + 1}`,
+    data: step.data || '',
+    result: step.result || step.expectedResult || ''
+  }));
+}
+
+// Built-in Xray test types, used when the project's test type settings cannot be read
+const DEFAULT_TEST_TYPES = [
+  { name: 'Manual', kind: 'Steps' },
+  { name: 'Cucumber', kind: 'Gherkin' },
+  { name: 'Generic', kind: 'Unstructured' }
+];
+
+// Function to resolve a test type name against the project's Xray test types (case-insensitive)
+async function resolveTestType(projectKey, testTypeName) {
+  const wanted = (testTypeName || 'Manual').trim().toLowerCase();
+
+  let testTypes = DEFAULT_TEST_TYPES;
+  try {
+    const result = await executeXrayGraphQL(`
+      query GetProjectTestTypes($projectIdOrKey: String!) {
+        getProjectSettings(projectIdOrKey: $projectIdOrKey) {
+          testTypeSettings {
+            testTypes {
+              name
+              kind
+            }
+          }
+        }
+      }
+    `, { projectIdOrKey: projectKey });
+    const projectTypes = result.data.getProjectSettings?.testTypeSettings?.testTypes;
+    if (projectTypes?.length > 0) testTypes = projectTypes;
+  } catch (error) {
+    console.warn(`⚠️ Could not read test types for project ${projectKey}, using defaults:`, error.message);
+  }
+
+  const match = testTypes.find(type => type.name.toLowerCase() === wanted);
+  if (!match) {
+    throw new ActionError('VALIDATION', `Unknown test type "${testTypeName}" for project ${projectKey}. Available types: ${testTypes.map(type => `${type.name} (${type.kind})`).join(', ')}`);
+  }
+  return { name: match.name, kind: match.kind };
+}
+
 // Function to create test case using Xray GraphQL createTest mutation
-async function createXrayTestCase(testCaseContent, projectKey, testSteps, preconditionIds, userStoryData = null) {
+async function createXrayTestCase(testCaseContent, projectKey, testSteps, preconditionIds, userStoryData = null, { journal = null, linkType = null, additionalRequirements = [] } = {}) {
   console.log('🎯 === Creating test case using Xray GraphQL ===');
   console.log('📋 Project:', projectKey);
   console.log('📝 Summary:', testCaseContent.summary);
@@ -1494,13 +6279,19 @@ async function createXrayTestCase(testCaseContent, projectKey, testSteps, precon
         $jira: JSON!
         $testType: UpdateTestTypeInput
         $steps: [CreateStepInput!]
+        $gherkin: String
+        $unstructured: String
         $preconditionIssueIds: [String!]
+        $folderPath: String
       ) {
         createTest(
           jira: $jira
           testType: $testType
           steps: $steps
+          gherkin: $gherkin
+          unstructured: $unstructured
           preconditionIssueIds: $preconditionIssueIds
+          folderPath: $folderPath
         ) {
           test {
             issueId
@@ -1524,37 +6315,46 @@ async function createXrayTestCase(testCaseContent, projectKey, testSteps, precon
         description: testCaseContent.description,
         issuetype: {
           name: "Test"
-        }
+        },
+        // Labels, components, priority, fix versions, assignee and custom fields (already validated)
+        ...(testCaseContent.jiraFields || {})
       }
     };
     
+    const testType = testCaseContent.testType || { name: 'Manual', kind: 'Steps' };
     const variables = {
       jira: jiraData,
       testType: {
-        name: "Manual"
+        name: testType.name
       },
-      steps: testSteps,
       preconditionIssueIds: preconditionIds
     };
+    if (testCaseContent.folderPath) {
+      variables.folderPath = testCaseContent.folderPath;
+    }
+    // Each test kind carries its definition in a different field
+    if (testType.kind === 'Gherkin') {
+      variables.gherkin = testCaseContent.gherkin;
+    } else if (testType.kind === 'Unstructured') {
+      variables.unstructured = testCaseContent.unstructured;
+    } else {
+      variables.steps = testSteps;
+    }
     
     console.log('🔧 Executing createTest GraphQL mutation...');
     console.log('📦 Variables:', JSON.stringify(variables, null, 2));
     
     const result = await executeXrayGraphQL(createTestMutation, variables);
     
-    if (result.errors) {
-      console.error('❌ GraphQL errors while creating test case:', JSON.stringify(result.errors, null, 2));
-      throw new Error(`Failed to create test case in Xray: ${JSON.stringify(result.errors)}`);
-    }
-    
-    if (!result.data || !result.data.createTest || !result.data.createTest.test) {
+    if (!result.data.createTest || !result.data.createTest.test) {
       console.error('❌ No data returned from createTest mutation');
       console.error('❌ Full result:', JSON.stringify(result, null, 2));
       throw new Error('Failed to create test case in Xray - no data returned');
     }
     
     const testCase = result.data.createTest.test;
-    const testKey = testCase.jira?.key;
+    const testKey = parseXrayJira(testCase.jira)?.key;
+    journal?.record('test', { key: testKey, issueId: testCase.issueId }, () => deleteJiraIssue(testCase.issueId));
     
     console.log('✅ Test case created successfully in Xray');
     console.log('📄 Test ID:', testCase.issueId);
@@ -1562,19 +6362,25 @@ async function createXrayTestCase(testCaseContent, projectKey, testSteps, precon
     console.log('📋 Test steps were included in creation request:', testSteps.length);
     console.log('🔧 Preconditions were included in creation request:', preconditionIds.length);
     
-    // Step 4: Link the test case to the original user story with "tests" relationship
+    // Step 4: Link the test case to the original user story (and any further requirements) with "tests" relationship
     if (userStoryData && userStoryData.id && testCase.issueId) {
-      console.log('🔗 Step 4: Linking test case to user story...');
-      console.log('🔍 User story data for linking:', JSON.stringify({
-        id: userStoryData.id,
-        key: userStoryData.key
-      }, null, 2));
-      try {
-        await linkTestCaseToUserStory(testCase.issueId, userStoryData.id);
-        console.log(`✅ Test case ${testKey} linked to user story ${userStoryData.key} with "tests" relationship`);
-      } catch (linkError) {
-        console.error('⚠️ Failed to link test case to user story:', linkError.message);
-        console.log('📝 Test case created successfully but link creation failed');
+      const requirements = [userStoryData, ...additionalRequirements];
+      console.log(`🔗 Step 4: Linking test case to ${requirements.length} requirement(s)...`);
+      for (const requirement of requirements) {
+        console.log('🔍 User story data for linking:', JSON.stringify({
+          id: requirement.id,
+          key: requirement.key
+        }, null, 2));
+        const linkDetails = { from: testKey, to: requirement.key };
+        try {
+          await linkTestCaseToUserStory(testCase.issueId, requirement.id, linkType);
+          journal?.record('link', linkDetails, () => deleteIssueLinksBetween(testCase.issueId, requirement.id));
+          console.log(`✅ Test case ${testKey} linked to ${requirement.key} with "tests" relationship`);
+        } catch (linkError) {
+          console.error(`❌ Failed to link test case to ${requirement.key}:`, linkError.message);
+          journal?.fail('link', linkDetails, linkError);
+          throw new Error(`Failed to link test case ${testKey} to user story ${requirement.key}: ${linkError.message}`, { cause: linkError });
+        }
       }
     } else {
       console.log('⚠️ No user story to link - test case created without story link');
@@ -1593,7 +6399,8 @@ async function createXrayTestCase(testCaseContent, projectKey, testSteps, precon
       testType: testCase.testType,
       stepsCreated: testSteps.length, // Steps were provided in creation
       preconditionsLinked: preconditionIds.length, // Preconditions were provided in creation
-      userStoryLinked: userStoryData ? true : false
+      userStoryLinked: userStoryData ? true : false,
+      requirementsLinked: userStoryData ? [userStoryData, ...additionalRequirements].map(requirement => requirement.key) : []
     };
     
   } catch (error) {
@@ -1602,64 +6409,85 @@ async function createXrayTestCase(testCaseContent, projectKey, testSteps, precon
   }
 }
 
-// Function to link test case to user story with "tests" relationship
-async function linkTestCaseToUserStory(testCaseIssueId, userStoryIssueId) {
-  console.log('🔗 === Linking test case to user story ===');
-  console.log('🧪 Test Case Issue ID:', testCaseIssueId);
-  console.log('📋 User Story Issue ID:', userStoryIssueId);
-  
-  try {
-    // First, get available issue link types to find the correct "tests" link type
-    console.log('🔍 Fetching available issue link types...');
-    const linkTypesResponse = await api.asUser().requestJira(route`/rest/api/3/issueLinkType`, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!linkTypesResponse.ok) {
-      console.error('❌ Failed to fetch link types:', linkTypesResponse.status);
-      throw new Error(`Failed to fetch link types: ${linkTypesResponse.status}`);
+// Function to find the Jira issue link type used between tests and the stories they test
+async function findTestsLinkType() {
+  console.log('🔍 Fetching available issue link types...');
+  const linkTypesResponse = await api.asUser().requestJira(route`/rest/api/3/issueLinkType`, {
+    headers: {
+      'Accept': 'application/json'
     }
-    
-    const linkTypesData = await linkTypesResponse.json();
-    console.log('📋 Available link types:', JSON.stringify(linkTypesData.issueLinkTypes.map(lt => ({
-      id: lt.id,
-      name: lt.name,
-      inward: lt.inward,
-      outward: lt.outward
-    })), null, 2));
-    
-    // Find the tests link type (could be "Tests", "Test", or similar)
-    const testsLinkType = linkTypesData.issueLinkTypes.find(linkType => 
-      linkType.name.toLowerCase().includes('test') ||
-      linkType.inward.toLowerCase().includes('test') ||
-      linkType.outward.toLowerCase().includes('test')
-    );
-    
-    if (!testsLinkType) {
-      console.error('❌ No tests-related link type found');
-      throw new Error('No tests-related link type available. Please ensure Xray is properly installed.');
+  });
+  
+  if (!linkTypesResponse.ok) {
+    console.error('❌ Failed to fetch link types:', linkTypesResponse.status);
+    throw new JiraApiError(`Failed to fetch link types: ${linkTypesResponse.status}`, { status: linkTypesResponse.status });
+  }
+  
+  const linkTypesData = await linkTypesResponse.json();
+  console.log('📋 Available link types:', JSON.stringify(linkTypesData.issueLinkTypes.map(lt => ({
+    id: lt.id,
+    name: lt.name,
+    inward: lt.inward,
+    outward: lt.outward
+  })), null, 2));
+  
+  // Use the link type configured on the settings page, otherwise find the tests link type (could be "Tests", "Test", or similar)
+  const { linkType: configuredLinkType } = await getXraySettings();
+  if (configuredLinkType) {
+    const configured = linkTypesData.issueLinkTypes.find(linkType => linkType.name.toLowerCase() === configuredLinkType.toLowerCase());
+    if (!configured) {
+      throw new ActionError('VALIDATION', `The link type "${configuredLinkType}" set on the Xray Agent Settings page does not exist in Jira`, {
+        hint: 'A Jira administrator must choose an existing link type on the Xray Agent Settings page.'
+      });
     }
-    
-    console.log('✅ Found tests link type:', JSON.stringify({
-      id: testsLinkType.id,
-      name: testsLinkType.name,
-      inward: testsLinkType.inward,
-      outward: testsLinkType.outward
-    }, null, 2));
+    console.log(`✅ Using configured link type: ${configured.name}`);
+    return configured;
+  }
+
+  const testsLinkType = linkTypesData.issueLinkTypes.find(linkType => 
+    linkType.name.toLowerCase().includes('test') ||
+    linkType.inward.toLowerCase().includes('test') ||
+    linkType.outward.toLowerCase().includes('test')
+  );
+  
+  if (!testsLinkType) {
+    console.error('❌ No tests-related link type found');
+    throw new ActionError('VALIDATION', 'No tests-related link type available. Please ensure Xray is properly installed.');
+  }
+  
+  console.log('✅ Found tests link type:', JSON.stringify({
+    id: testsLinkType.id,
+    name: testsLinkType.name,
+    inward: testsLinkType.inward,
+    outward: testsLinkType.outward
+  }, null, 2));
+  return testsLinkType;
+}
+
+// Function to link test case to user story (or any other requirement) with the test ↔ requirement link type.
+// The test is the link's inward issue unless the settings page says otherwise.
+// Pass the link type when linking several tests to avoid looking it up again.
+async function linkTestCaseToUserStory(testCaseIssueId, userStoryIssueId, linkType = null) {
+  console.log('🔗 === Linking test case to user story ===');
+  console.log('🧪 Test Case Issue ID:', testCaseIssueId);
+  console.log('📋 User Story Issue ID:', userStoryIssueId);
+  
+  try {
+    const testsLinkType = linkType || await findTestsLinkType();
+    const testSide = (await getXraySettings()).linkDirection || 'inward';
+    const storySide = testSide === 'inward' ? 'outward' : 'inward';
     
     // Create the issue link using the found link type
-    // Direction: test case "tests" user story, user story "is tested by" test case
+    // Default direction: test case "tests" user story, user story "is tested by" test case
     const linkData = {
       type: {
         name: testsLinkType.name
       },
-      inwardIssue: {
-        id: testCaseIssueId.toString()  // Test case (inward - "tests")
+      [`${testSide}Issue`]: {
+        id: testCaseIssueId.toString()
       },
-      outwardIssue: {
-        id: userStoryIssueId.toString()  // User story (outward - "is tested by")
+      [`${storySide}Issue`]: {
+        id: userStoryIssueId.toString()
       }
     };
     
@@ -1678,15 +6506,16 @@ async function linkTestCaseToUserStory(testCaseIssueId, userStoryIssueId) {
     if (!response.ok) {
       const errorText = await response.text();
       console.error('❌ Failed to create issue link:', errorText);
-      throw new Error(`Failed to create issue link: ${response.status} ${response.statusText} - ${errorText}`);
+      throw new JiraApiError(`Failed to create issue link: ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
     }
     
     console.log('✅ Issue link created successfully');
-    console.log(`🔗 Test case now "${testsLinkType.inward}" the user story`);
+    console.log(`🔗 Test case is now the ${testSide} issue of a "${testsLinkType.name}" link to the user story`);
     
     return {
       success: true,
       linkType: testsLinkType.name,
+      direction: testSide,
       relationship: `${testsLinkType.outward} → ${testsLinkType.inward}`
     };
     
@@ -1738,13 +6567,7 @@ async function addTestStepsToXray(issueId, testSteps) {
       
       const result = await executeXrayGraphQL(addStepMutation, stepVariables);
       
-      if (result.errors) {
-        console.error(`❌ GraphQL errors while adding step ${i + 1}:`, JSON.stringify(result.errors, null, 2));
-        console.log(`⚠️ Continuing with remaining steps...`);
-        continue; // Continue with next step instead of throwing
-      }
-      
-      if (!result.data || !result.data.addTestStep) {
+      if (!result.data.addTestStep) {
         console.error(`❌ No data returned from addTestStep mutation for step ${i + 1}`);
         console.error('❌ Full result:', JSON.stringify(result, null, 2));
         console.log(`⚠️ Continuing with remaining steps...`);
@@ -1851,7 +6674,7 @@ async function createJiraPreconditionIssue(precondition, projectKey) {
   if (!response.ok) {
     const errorText = await response.text();
     console.error('❌ Failed to create precondition issue:', errorText);
-    throw new Error(`Failed to create precondition issue: ${response.status} ${response.statusText} - ${errorText}`);
+    throw new JiraApiError(`Failed to create precondition issue: ${response.status} ${response.statusText} - ${errorText}`, { status: response.status });
   }
   
   const createdIssue = await response.json();
@@ -1860,53 +6683,940 @@ async function createJiraPreconditionIssue(precondition, projectKey) {
   return createdIssue;
 }
 
-// Function to link precondition to test using Xray GraphQL
-async function linkPreconditionToTest(testIssueId, preconditionIssueId) {
-  console.log('🔗 Linking precondition to test...');
+// Function to link one or more existing preconditions to a test using Xray GraphQL
+async function linkPreconditionToTest(testIssueId, preconditionIssueIds) {
+  const ids = (Array.isArray(preconditionIssueIds) ? preconditionIssueIds : [preconditionIssueIds]).map(id => id.toString());
+  console.log('🔗 Linking precondition(s) to test...');
   console.log('🎯 Test Issue ID:', testIssueId);
-  console.log('🔧 Precondition Issue ID:', preconditionIssueId);
+  console.log('🔧 Precondition Issue ID(s):', ids.join(', '));
   
   const mutation = `
-    mutation AddPreconditionToTest($testId: String!, $preconditionId: String!) {
-      addTestPrecondition(
+    mutation AddPreconditionsToTest($testId: String!, $preconditionIds: [String]!) {
+      addPreconditionsToTest(
         issueId: $testId
-        preconditionIssueId: $preconditionId
+        preconditionIssueIds: $preconditionIds
       ) {
-        issueId
-        preconditions {
-          total
-          results {
-            issueId
-          }
-        }
+        addedPreconditions
+        warning
       }
     }
   `;
   
   const variables = {
     testId: testIssueId.toString(),
-    preconditionId: preconditionIssueId.toString()
+    preconditionIds: ids
   };
   
   try {
-    console.log('🔧 Executing addTestPrecondition GraphQL mutation...');
+    console.log('🔧 Executing addPreconditionsToTest GraphQL mutation...');
     const result = await executeXrayGraphQL(mutation, variables);
     
-    if (result.errors) {
-      console.error('❌ GraphQL errors while linking precondition:', JSON.stringify(result.errors, null, 2));
-      throw new Error(`Failed to link precondition to test: ${JSON.stringify(result.errors)}`);
-    }
-    
-    if (!result.data || !result.data.addTestPrecondition) {
-      console.error('❌ No data returned from addTestPrecondition mutation');
+    if (!result.data.addPreconditionsToTest) {
+      console.error('❌ No data returned from addPreconditionsToTest mutation');
       console.error('❌ Full result:', JSON.stringify(result, null, 2));
       throw new Error('Failed to link precondition to test - no data returned');
     }
     
-    console.log('✅ Precondition successfully linked to test');
-    return result.data.addTestPrecondition;
+    console.log('✅ Precondition(s) successfully linked to test');
+    return result.data.addPreconditionsToTest;
   } catch (error) {
     console.error('💥 Error in linkPreconditionToTest:', error.message);
     throw error;
   }
 }
+
+// ============================================================================
+// Acceptance criteria extraction (Atlassian Document Format and plain text)
+// ============================================================================
+
+// Labels that introduce an acceptance criteria section, e.g. "Acceptance Criteria", "AC:", "ACs"
+const AC_LABEL_PATTERN = /^[^\w]*acceptance\s+criteri(?:a|on)\b/i;
+const AC_ABBREVIATION_PATTERN = /^[^\w]*ACs?\b/;
+
+// Gherkin keywords used to group Given/When/Then lines into scenarios
+const GHERKIN_SCENARIO_PATTERN = /^\s*(?:scenario(?:\s+outline|\s+template)?|example)\s*:\s*(.*)$/i;
+const GHERKIN_STEP_PATTERN = /^\s*(given|when|then|and|but)\b/i;
+const GHERKIN_CONTEXT_PATTERN = /^\s*(?:feature|rule|background|examples|scenarios)\s*:|^\s*\|/i;
+
+// Bullet or numbering prefixes in plain text: "-", "*", "•", "1.", "2)", "a)", "AC1:", "AC-2 -"
+const TEXT_BULLET_PATTERN = /^\s*(?:[-*•▪◦‣]|\(?\d+[.)]|\(?[a-z][.)]|AC\s*-?\s*\d+\s*[:.)-]?)\s+/i;
+
+// ADF nodes whose children are blocks that may contain an acceptance criteria section
+const ADF_CONTAINER_TYPES = ['doc', 'panel', 'expand', 'nestedExpand', 'layoutSection', 'layoutColumn', 'blockquote'];
+
+// Function to check whether a value is an ADF document
+function isADFDocument(value) {
+  return Boolean(value && typeof value === 'object' && value.type === 'doc' && Array.isArray(value.content));
+}
+
+// Function to check whether a line of text labels an acceptance criteria section
+function isAcceptanceCriteriaLabel(text) {
+  if (!text) return false;
+  const cleaned = text.replace(/^\s*(?:#+|h\d\.)\s*/i, '').trim();
+  if (cleaned.length === 0 || cleaned.length > 120) return false;
+  return AC_LABEL_PATTERN.test(cleaned) || AC_ABBREVIATION_PATTERN.test(cleaned);
+}
+
+// Function to return the text following an inline label, e.g. "Acceptance Criteria: user can log in"
+function getTextAfterAcceptanceCriteriaLabel(text) {
+  const match = text.match(/^[^:]*?(?:acceptance\s+criteri(?:a|on)|ACs?)\b[^:\n]*:\s*([\s\S]*)$/i);
+  return match ? match[1].replace(/^[*_\s]+/, '').trim() : '';
+}
+
+// Function to check whether a short line looks like the label of another section (e.g. "Notes:")
+function isSectionLabel(text) {
+  const trimmed = (text || '').trim();
+  return trimmed.length > 0 &&
+    trimmed.length <= 60 &&
+    trimmed.endsWith(':') &&
+    !TEXT_BULLET_PATTERN.test(trimmed) &&
+    !GHERKIN_STEP_PATTERN.test(trimmed) &&
+    !GHERKIN_SCENARIO_PATTERN.test(trimmed);
+}
+
+// Function to extract inline text from an ADF node (text, mentions, emojis, cards, hard breaks)
+function extractInlineTextFromADF(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'text':
+      return node.text || '';
+    case 'hardBreak':
+      return '\n';
+    case 'mention':
+      return node.attrs?.text || '';
+    case 'emoji':
+      return node.attrs?.text || node.attrs?.shortName || '';
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard':
+      return node.attrs?.url || '';
+    case 'status':
+      return node.attrs?.text ? `[${node.attrs.text}]` : '';
+    case 'date':
+      return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+    default:
+      return (node.content || []).map(extractInlineTextFromADF).join('');
+  }
+}
+
+// Function to render an ADF block node as readable plain text
+function renderADFBlock(node, depth = 0) {
+  if (!node) return '';
+  const children = node.content || [];
+
+  switch (node.type) {
+    case 'paragraph':
+    case 'heading':
+      return extractInlineTextFromADF(node);
+    case 'codeBlock':
+      return children.map(extractInlineTextFromADF).join('');
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+    case 'decisionList': {
+      const start = node.attrs?.order || 1;
+      return children.map((item, i) => {
+        const marker = node.type === 'orderedList' ? `${start + i}.` : '-';
+        return `${'  '.repeat(depth)}${marker} ${renderADFListItem(item, depth)}`;
+      }).join('\n');
+    }
+    case 'table':
+      return children
+        .map(row => (row.content || []).map(cell => renderADFBlock(cell, depth).replace(/\n+/g, ' ').trim()).join(' | '))
+        .join('\n');
+    case 'expand':
+    case 'nestedExpand':
+      return [node.attrs?.title, ...children.map(child => renderADFBlock(child, depth))].filter(Boolean).join('\n');
+    case 'rule':
+    case 'mediaSingle':
+    case 'mediaGroup':
+    case 'media':
+      return '';
+    default:
+      if (children.length > 0 && children.some(child => child.type !== 'text' && child.type !== 'hardBreak')) {
+        return children.map(child => renderADFBlock(child, depth)).filter(Boolean).join('\n');
+      }
+      return extractInlineTextFromADF(node);
+  }
+}
+
+// Function to render a list item: its own text first, then any nested lists indented below it
+function renderADFListItem(item, depth) {
+  const children = item.content || [];
+  // taskItem / decisionItem hold inline content directly
+  if (children.every(child => child.type === 'text' || child.type === 'hardBreak' || child.type === 'mention' || child.type === 'emoji')) {
+    return extractInlineTextFromADF(item).trim();
+  }
+  const ownText = children
+    .filter(child => !['bulletList', 'orderedList', 'taskList'].includes(child.type))
+    .map(child => renderADFBlock(child, depth))
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+  const nested = children
+    .filter(child => ['bulletList', 'orderedList', 'taskList'].includes(child.type))
+    .map(child => renderADFBlock(child, depth + 1));
+  return [ownText, ...nested].filter(Boolean).join('\n');
+}
+
+// Function to extract plain text from an ADF document (used for descriptions shown to the LLM)
+function extractTextFromADF(adf) {
+  if (!adf) return '';
+  if (typeof adf === 'string') return adf;
+  return renderADFBlock(adf).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Function to check whether an ADF table has a column headed "Acceptance Criteria"
+function findAcceptanceCriteriaColumn(table) {
+  const headerRow = table.content?.[0];
+  if (!headerRow) return -1;
+  return (headerRow.content || []).findIndex(cell => isAcceptanceCriteriaLabel(renderADFBlock(cell).trim()));
+}
+
+// Function to find every acceptance criteria section inside an ADF container node.
+// A section starts at a heading, a label paragraph ("Acceptance Criteria:"), an expand titled
+// "Acceptance Criteria", a list item labelled "Acceptance Criteria" with a nested list, or a
+// table with an "Acceptance Criteria" column. Panels, expands and layouts are searched recursively.
+function findAcceptanceCriteriaSections(container, path = 'content') {
+  const sections = [];
+  const children = container.content || [];
+
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    const childPath = `${path}[${i}]`;
+
+    if (child.type === 'heading' && isAcceptanceCriteriaLabel(extractInlineTextFromADF(child))) {
+      const level = child.attrs?.level || 1;
+      const nodes = [];
+      let j = i + 1;
+      for (; j < children.length; j++) {
+        if (children[j].type === 'heading' && (children[j].attrs?.level || 1) <= level) break;
+        nodes.push({ node: children[j], path: `${path}[${j}]` });
+      }
+      sections.push({ title: extractInlineTextFromADF(child).trim(), marker: 'heading', container: container.type, path: childPath, nodes });
+      i = j - 1;
+      continue;
+    }
+
+    if (child.type === 'paragraph' && isAcceptanceCriteriaLabel(extractInlineTextFromADF(child))) {
+      const labelText = extractInlineTextFromADF(child);
+      const inlineText = getTextAfterAcceptanceCriteriaLabel(labelText);
+      const nodes = [];
+      if (inlineText) {
+        nodes.push({ node: { type: 'paragraph', content: [{ type: 'text', text: inlineText }] }, path: childPath });
+      }
+      let j = i + 1;
+      for (; j < children.length; j++) {
+        const next = children[j];
+        if (next.type === 'heading') break;
+        if (next.type === 'paragraph' && isSectionLabel(extractInlineTextFromADF(next))) break;
+        nodes.push({ node: next, path: `${path}[${j}]` });
+      }
+      sections.push({ title: labelText.split(':')[0].trim(), marker: 'label', container: container.type, path: childPath, nodes });
+      i = j - 1;
+      continue;
+    }
+
+    if ((child.type === 'expand' || child.type === 'nestedExpand') && isAcceptanceCriteriaLabel(child.attrs?.title)) {
+      sections.push({
+        title: child.attrs.title.trim(),
+        marker: 'expand',
+        container: container.type,
+        path: childPath,
+        nodes: (child.content || []).map((node, j) => ({ node, path: `${childPath}.content[${j}]` }))
+      });
+      continue;
+    }
+
+    if (child.type === 'table' && findAcceptanceCriteriaColumn(child) >= 0) {
+      sections.push({ title: 'Acceptance Criteria', marker: 'table', container: container.type, path: childPath, nodes: [{ node: child, path: childPath }] });
+      continue;
+    }
+
+    if (child.type === 'bulletList' || child.type === 'orderedList') {
+      (child.content || []).forEach((item, j) => {
+        const itemChildren = item.content || [];
+        const label = itemChildren[0]?.type === 'paragraph' ? extractInlineTextFromADF(itemChildren[0]) : '';
+        const nestedIndex = itemChildren.findIndex(node => node.type === 'bulletList' || node.type === 'orderedList');
+        if (isAcceptanceCriteriaLabel(label) && nestedIndex >= 0) {
+          const itemPath = `${childPath}.content[${j}]`;
+          sections.push({
+            title: label.split(':')[0].trim(),
+            marker: 'list',
+            container: container.type,
+            path: itemPath,
+            nodes: [{ node: itemChildren[nestedIndex], path: `${itemPath}.content[${nestedIndex}]` }]
+          });
+        }
+      });
+      continue;
+    }
+
+    if (ADF_CONTAINER_TYPES.includes(child.type)) {
+      sections.push(...findAcceptanceCriteriaSections(child, `${childPath}.content`));
+    }
+  }
+
+  return sections;
+}
+
+// Function to split plain text lines into criteria — Given/When/Then lines are grouped into
+// scenarios, bulleted or numbered lines become one criterion each, continuation lines are appended
+function parseCriteriaLines(lines) {
+  const meaningful = lines.filter(line => line.text.trim().length > 0);
+  const isGherkin = meaningful.some(line => /^\s*(given|when|then)\b/i.test(line.text) || GHERKIN_SCENARIO_PATTERN.test(line.text));
+
+  const criteria = [];
+  let current = null;
+
+  const pushCurrent = () => {
+    if (current && current.lines.length > 0) {
+      criteria.push({
+        text: current.lines.join('\n').trim(),
+        title: current.title || null,
+        format: current.format,
+        location: current.location
+      });
+    }
+    current = null;
+  };
+
+  for (const line of meaningful) {
+    const text = line.text.trim();
+
+    if (isGherkin) {
+      const scenarioMatch = text.match(GHERKIN_SCENARIO_PATTERN);
+      const stepMatch = text.match(GHERKIN_STEP_PATTERN);
+      if (scenarioMatch) {
+        pushCurrent();
+        current = { title: scenarioMatch[1].trim(), lines: [text], format: 'gherkin', location: line.location, sawThen: false };
+        continue;
+      }
+      if (stepMatch) {
+        const keyword = stepMatch[1].toLowerCase();
+        // A new "Given" after a "Then" starts the next scenario
+        if (!current || current.format !== 'gherkin' || (keyword === 'given' && current.sawThen)) {
+          pushCurrent();
+          current = { title: null, lines: [], format: 'gherkin', location: line.location, sawThen: false };
+        }
+        current.lines.push(text);
+        if (keyword === 'then') current.sawThen = true;
+        continue;
+      }
+      if (GHERKIN_CONTEXT_PATTERN.test(text)) {
+        // Feature/Background/Examples lines give context to the open scenario (if any)
+        if (current && current.format === 'gherkin') current.lines.push(text);
+        continue;
+      }
+    }
+
+    const bulletMatch = text.match(TEXT_BULLET_PATTERN);
+    if (bulletMatch) {
+      pushCurrent();
+      current = { lines: [text.slice(bulletMatch[0].length).trim()], format: 'list', location: line.location };
+      continue;
+    }
+
+    // Lowercase lines continue a wrapped bullet; anything else is its own criterion
+    if (current && current.format === 'list' && /^[a-z(]/.test(text)) {
+      current.lines.push(text);
+      continue;
+    }
+
+    pushCurrent();
+    current = { lines: [text], format: 'paragraph', location: line.location };
+    pushCurrent();
+  }
+
+  pushCurrent();
+  return criteria;
+}
+
+// Function to collect criteria from the nodes of one ADF section
+function collectCriteriaFromADFNodes(nodes, source, sectionTitle) {
+  const criteria = [];
+  let pendingLines = [];
+  let subsection = null;
+
+  const sectionName = () => (subsection ? `${sectionTitle} › ${subsection}` : sectionTitle);
+
+  const flushLines = () => {
+    parseCriteriaLines(pendingLines).forEach(({ location, ...criterion }) => {
+      criteria.push({ ...criterion, source: { ...source, ...location } });
+    });
+    pendingLines = [];
+  };
+
+  for (const { node, path } of nodes) {
+    switch (node.type) {
+      case 'paragraph':
+      case 'codeBlock': {
+        const text = node.type === 'codeBlock' ? renderADFBlock(node) : extractInlineTextFromADF(node);
+        text.split('\n').forEach((line, lineIndex) => {
+          pendingLines.push({ text: line, location: { section: sectionName(), blockType: node.type, path, line: lineIndex + 1 } });
+        });
+        break;
+      }
+      case 'bulletList':
+      case 'orderedList':
+      case 'taskList':
+      case 'decisionList':
+        flushLines();
+        (node.content || []).forEach((item, i) => {
+          const text = renderADFListItem(item, 0);
+          if (!text) return;
+          const isGherkinItem = GHERKIN_STEP_PATTERN.test(text) && /\bthen\b/i.test(text);
+          criteria.push({
+            text,
+            title: null,
+            format: isGherkinItem ? 'gherkin' : 'list',
+            source: { ...source, section: sectionName(), blockType: node.type, path: `${path}.content[${i}]`, item: i + 1 }
+          });
+        });
+        break;
+      case 'table': {
+        flushLines();
+        const rows = node.content || [];
+        const criteriaColumn = findAcceptanceCriteriaColumn(node);
+        const hasHeaderRow = (rows[0]?.content || []).every(cell => cell.type === 'tableHeader') || criteriaColumn >= 0;
+        rows.forEach((row, rowIndex) => {
+          if (rowIndex === 0 && hasHeaderRow) return;
+          const cells = (row.content || []).map(cell => renderADFBlock(cell).replace(/\n+/g, ' ').trim());
+          const text = criteriaColumn >= 0 ? cells[criteriaColumn] : cells.filter(Boolean).join(' | ');
+          if (!text) return;
+          criteria.push({
+            text,
+            title: null,
+            format: 'table',
+            source: { ...source, section: sectionName(), blockType: 'table', path: `${path}.content[${rowIndex}]`, row: rowIndex + 1 }
+          });
+        });
+        break;
+      }
+      case 'heading':
+        // Sub-headings inside the section (e.g. "Scenario 1") name the criteria that follow
+        flushLines();
+        subsection = extractInlineTextFromADF(node).trim();
+        break;
+      default:
+        if (ADF_CONTAINER_TYPES.includes(node.type)) {
+          flushLines();
+          const innerNodes = (node.content || []).map((child, i) => ({ node: child, path: `${path}.content[${i}]` }));
+          criteria.push(...collectCriteriaFromADFNodes(innerNodes, source, sectionName()));
+        }
+        break;
+    }
+  }
+
+  flushLines();
+  return criteria;
+}
+
+/**
+ * Extracts acceptance criteria from an ADF document.
+ *
+ * The "Acceptance Criteria" section is located whether it is introduced by a heading, a label
+ * paragraph, a panel, an expand, a labelled list item or a table column, and its contents are
+ * read from bullet/numbered lists, table rows, Given/When/Then blocks or plain paragraphs.
+ * If no section is labelled, Gherkin scenarios anywhere in the document are used instead.
+ *
+ * @param {object} adf - ADF document
+ * @param {object} [source] - Source descriptor merged into each criterion's source location
+ * @param {string} [source.field] - Jira field id (defaults to "description")
+ * @param {string} [source.fieldName] - Jira field name
+ * @param {boolean} [source.wholeField] - Treat the whole document as the criteria section
+ * @returns {Array<{text: string, title: string|null, format: string, source: object}>}
+ */
+function extractAcceptanceCriteriaFromADF(adf, source = {}) {
+  if (!isADFDocument(adf)) return [];
+
+  const { wholeField, ...fieldSource } = source;
+  const baseSource = { field: 'description', fieldName: 'Description', ...fieldSource };
+  const allNodes = adf.content.map((node, i) => ({ node, path: `content[${i}]` }));
+
+  if (wholeField) {
+    return collectCriteriaFromADFNodes(allNodes, baseSource, baseSource.fieldName);
+  }
+
+  const sections = findAcceptanceCriteriaSections(adf);
+  console.log(`🧩 Found ${sections.length} acceptance criteria section(s) in ${baseSource.fieldName}`);
+
+  if (sections.length > 0) {
+    return sections.flatMap(section =>
+      collectCriteriaFromADFNodes(section.nodes, { ...baseSource, marker: section.marker, container: section.container }, section.title)
+    );
+  }
+
+  // No labelled section — fall back to Given/When/Then scenarios anywhere in the document
+  return collectCriteriaFromADFNodes(allNodes, baseSource, baseSource.fieldName)
+    .filter(criterion => criterion.format === 'gherkin');
+}
+
+/**
+ * Extracts acceptance criteria from plain text (wiki markup, markdown or free text).
+ * Looks for an "Acceptance Criteria" label line and reads the lines below it until the next
+ * heading or section label. Without a label, only Gherkin scenarios are returned.
+ *
+ * @param {string|Array} text - Field value (arrays, e.g. multi-value fields, are joined by line)
+ * @param {object} [source] - Same descriptor as extractAcceptanceCriteriaFromADF
+ * @returns {Array<{text: string, title: string|null, format: string, source: object}>}
+ */
+function extractAcceptanceCriteriaFromText(text, source = {}) {
+  if (Array.isArray(text)) {
+    text = text.map(value => (typeof value === 'string' ? value : value?.value || '')).join('\n');
+  }
+  if (!text || typeof text !== 'string') return [];
+
+  const { wholeField, ...fieldSource } = source;
+  const baseSource = { field: 'description', fieldName: 'Description', ...fieldSource };
+  const lines = text.split(/\r?\n/);
+
+  const toLocated = (line, index, section) => ({ text: line, location: { section, blockType: 'text', line: index + 1 } });
+  const withSource = criteria => criteria.map(({ location, ...criterion }) => ({ ...criterion, source: { ...baseSource, ...location } }));
+
+  if (wholeField) {
+    return withSource(parseCriteriaLines(lines.map((line, i) => toLocated(line, i, baseSource.fieldName))));
+  }
+
+  const labelIndex = lines.findIndex(isAcceptanceCriteriaLabel);
+  if (labelIndex >= 0) {
+    const labelLine = lines[labelIndex];
+    const sectionTitle = labelLine.replace(/^\s*(?:#+|h\d\.)\s*/i, '').split(':')[0].replace(/[*_]/g, '').trim();
+    const sectionLines = [];
+    const inlineText = getTextAfterAcceptanceCriteriaLabel(labelLine);
+    if (inlineText) sectionLines.push(toLocated(inlineText, labelIndex, sectionTitle));
+
+    for (let i = labelIndex + 1; i < lines.length; i++) {
+      const line = lines[i];
+      if (/^\s*(?:#+\s|h\d\.\s)/i.test(line) || isSectionLabel(line)) break;
+      sectionLines.push(toLocated(line, i, sectionTitle));
+    }
+    return withSource(parseCriteriaLines(sectionLines));
+  }
+
+  // No labelled section — fall back to Given/When/Then scenarios anywhere in the text
+  return withSource(parseCriteriaLines(lines.map((line, i) => toLocated(line, i, baseSource.fieldName))))
+    .filter(criterion => criterion.format === 'gherkin');
+}
+
+// Function to find the Jira field that holds acceptance criteria.
+// Accepts a configured field id or name; otherwise detects a field named "Acceptance Criteria"
+// using the `names` expansion of the issue response.
+function resolveAcceptanceCriteriaField(issueData, configuredField) {
+  const names = issueData.names || {};
+
+  if (configuredField) {
+    if (/^customfield_\d+$/.test(configuredField)) {
+      return { id: configuredField, name: names[configuredField] || configuredField };
+    }
+    const match = Object.entries(names).find(([, name]) => name.toLowerCase() === configuredField.toLowerCase());
+    if (match) {
+      return { id: match[0], name: match[1] };
+    }
+    console.warn(`⚠️ Acceptance criteria field "${configuredField}" not found on ${issueData.key}`);
+    return null;
+  }
+
+  const detected = Object.entries(names).find(([id, name]) => id.startsWith('customfield_') && isAcceptanceCriteriaLabel(name));
+  return detected ? { id: detected[0], name: detected[1] } : null;
+}
+
+// Function to build a short, stable fingerprint of a criterion's normalised text
+function fingerprintCriterion(text) {
+  const normalised = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  let hash = 5381;
+  for (let i = 0; i < normalised.length; i++) {
+    hash = ((hash * 33) ^ normalised.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+// Function to de-duplicate criteria and assign ids derived from their fingerprint (e.g. AC-1k2x9ab), so adding,
+// removing or reordering other criteria never changes the id of a criterion; `position` is the document order
+function assignAcceptanceCriteriaIds(criteria) {
+  const seen = new Set();
+  return criteria
+    .filter(criterion => {
+      const fingerprint = fingerprintCriterion(criterion.text);
+      if (seen.has(fingerprint)) return false;
+      seen.add(fingerprint);
+      return true;
+    })
+    .map((criterion, i) => ({
+      id: `AC-${fingerprintCriterion(criterion.text)}`,
+      position: i + 1,
+      fingerprint: fingerprintCriterion(criterion.text),
+      text: criterion.text,
+      title: criterion.title,
+      format: criterion.format,
+      source: criterion.source
+    }));
+}
+
+// ============================================================================
+// Gherkin validation for Cucumber test definitions
+// ============================================================================
+
+const GHERKIN_STEP_KEYWORD_PATTERN = /^(Given|When|Then|And|But|\*)(\s|$)/;
+const GHERKIN_HEADER_PATTERN = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example)\s*:(.*)$/;
+const GHERKIN_EXAMPLES_PATTERN = /^(Examples|Scenarios)\s*:/;
+
+/**
+ * Checks a Gherkin scenario (or scenario outline) before it is sent to Xray.
+ *
+ * Accepts either the bare steps or a "Scenario:" / "Scenario Outline:" block (optionally under a
+ * "Feature:" line). Xray stores the steps and Examples only — the scenario name comes from the
+ * test summary — so header lines are stripped from the returned definition.
+ *
+ * @param {string} text - Gherkin text
+ * @returns {{valid: boolean, errors: Array<{line: number, message: string}>, definition: string, isOutline: boolean}}
+ */
+function validateGherkin(text) {
+  const errors = [];
+  const definitionLines = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+
+  let scenarioCount = 0;
+  let isOutline = false;
+  let stepCount = 0;
+  let previousStepKeyword = null;
+  let inDocString = null;
+  let docStringStart = 0;
+  let examplesLine = 0;
+  let examplesColumns = null;
+  let examplesRows = 0;
+  let tableColumns = null;
+  const placeholders = new Set();
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+
+    // Doc strings are copied verbatim until their closing delimiter
+    if (inDocString) {
+      definitionLines.push(rawLine.replace(/\s+$/, ''));
+      if (line === inDocString) inDocString = null;
+      return;
+    }
+    if (line === '"""' || line === '```') {
+      if (stepCount === 0) errors.push({ line: lineNumber, message: 'Doc string must follow a step' });
+      inDocString = line;
+      docStringStart = lineNumber;
+      definitionLines.push(line);
+      return;
+    }
+
+    if (line === '' || line.startsWith('#')) {
+      if (line !== '') definitionLines.push(line);
+      return;
+    }
+
+    if (line.startsWith('@')) {
+      // Tags are allowed before scenarios and Examples
+      return;
+    }
+
+    const header = line.match(GHERKIN_HEADER_PATTERN);
+    if (header) {
+      const keyword = header[1];
+      if (keyword === 'Background' || keyword === 'Rule') {
+        errors.push({ line: lineNumber, message: `${keyword} is not supported in a single test definition` });
+      } else if (keyword !== 'Feature') {
+        scenarioCount++;
+        if (scenarioCount > 1) {
+          errors.push({ line: lineNumber, message: 'Only one scenario per test — create one Cucumber test per scenario' });
+        }
+        isOutline = keyword === 'Scenario Outline' || keyword === 'Scenario Template';
+      }
+      tableColumns = null;
+      return;
+    }
+
+    if (GHERKIN_EXAMPLES_PATTERN.test(line)) {
+      if (stepCount === 0) errors.push({ line: lineNumber, message: 'Examples must follow the scenario steps' });
+      isOutline = true;
+      examplesLine = lineNumber;
+      examplesColumns = null;
+      tableColumns = null;
+      definitionLines.push(line);
+      return;
+    }
+
+    if (line.startsWith('|')) {
+      if (!line.endsWith('|')) {
+        errors.push({ line: lineNumber, message: 'Table row must end with "|"' });
+      }
+      const cells = line.slice(1, line.endsWith('|') ? -1 : undefined).split('|').map(cell => cell.trim());
+      if (tableColumns !== null && cells.length !== tableColumns) {
+        errors.push({ line: lineNumber, message: `Table row has ${cells.length} cell(s), expected ${tableColumns}` });
+      }
+      if (tableColumns === null) {
+        tableColumns = cells.length;
+        if (examplesLine && examplesColumns === null) examplesColumns = cells;
+      } else if (examplesLine && examplesColumns) {
+        examplesRows++;
+      }
+      if (stepCount === 0 && !examplesLine) {
+        errors.push({ line: lineNumber, message: 'Data table must follow a step' });
+      }
+      definitionLines.push(line);
+      return;
+    }
+
+    const step = line.match(GHERKIN_STEP_KEYWORD_PATTERN);
+    if (step) {
+      if (examplesLine) {
+        errors.push({ line: lineNumber, message: 'Steps cannot follow the Examples table' });
+      }
+      if ((step[1] === 'And' || step[1] === 'But') && previousStepKeyword === null) {
+        errors.push({ line: lineNumber, message: `The first step cannot start with "${step[1]}"` });
+      }
+      if (line.slice(step[1].length).trim() === '') {
+        errors.push({ line: lineNumber, message: `Step "${step[1]}" has no text` });
+      }
+      (line.match(/<([^<>]+)>/g) || []).forEach(placeholder => placeholders.add(placeholder.slice(1, -1).trim()));
+      previousStepKeyword = step[1];
+      stepCount++;
+      tableColumns = null;
+      definitionLines.push(line);
+      return;
+    }
+
+    // Free-text description lines are only allowed directly under a header, before any step
+    if (stepCount > 0 || examplesLine) {
+      errors.push({ line: lineNumber, message: `Unexpected text "${line.slice(0, 40)}" — lines must start with Given, When, Then, And, But, "|" or "#"` });
+    }
+  });
+
+  if (inDocString) {
+    errors.push({ line: docStringStart, message: `Doc string opened with ${inDocString} is never closed` });
+  }
+  if (stepCount === 0) {
+    errors.push({ line: 1, message: 'The scenario has no steps (Given/When/Then)' });
+  }
+  if (isOutline) {
+    if (!examplesLine) {
+      errors.push({ line: lines.length, message: 'Scenario Outline requires an Examples table' });
+    } else if (!examplesColumns || examplesRows === 0) {
+      errors.push({ line: examplesLine, message: 'Examples table needs a header row and at least one data row' });
+    } else {
+      const missing = [...placeholders].filter(name => !examplesColumns.includes(name));
+      if (missing.length > 0) {
+        errors.push({ line: examplesLine, message: `Examples table has no column for placeholder(s): ${missing.map(name => `<${name}>`).join(', ')}` });
+      }
+    }
+  } else if (placeholders.size > 0 && !examplesLine) {
+    errors.push({ line: 1, message: `Placeholders ${[...placeholders].map(name => `<${name}>`).join(', ')} require a Scenario Outline with Examples` });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    definition: definitionLines.join('\n').trim(),
+    isOutline
+  };
+}
+
+// Function to check that a settings resolver call comes from the admin page and from a Jira administrator
+async function assertAdminPageContext(context) {
+  if (context?.moduleKey !== ADMIN_PAGE_MODULE_KEY) {
+    throw new ActionError('FORBIDDEN', 'Xray settings can only be read and changed on the Xray Agent Settings admin page', {
+      hint: 'Open Jira settings > Apps > Xray Agent Settings as a Jira administrator.'
+    });
+  }
+
+  // The page is only listed for administrators, but the resolver can be called directly
+  const response = await api.asUser().requestJira(route`/rest/api/3/mypermissions?permissions=ADMINISTER`, {
+    headers: { 'Accept': 'application/json' }
+  });
+  if (!response.ok) {
+    throw new JiraApiError(`Failed to check the Jira administrator permission: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+  const { permissions } = await response.json();
+  if (!permissions?.ADMINISTER?.havePermission) {
+    throw new ActionError('FORBIDDEN', 'Only Jira administrators can read and change the Xray settings', {
+      hint: 'Ask a Jira administrator to change the settings on the Xray Agent Settings page.'
+    });
+  }
+}
+
+// Function to describe the settings for the admin page (the client secret is never sent back)
+function describeSettings(stored) {
+  return {
+    clientId: stored.clientId || '',
+    hasClientSecret: Boolean(stored.clientSecret),
+    region: stored.region || 'global',
+    defaultTestType: stored.defaultTestType || '',
+    linkType: stored.linkType || '',
+    linkDirection: stored.linkDirection || '',
+    defaultFolder: stored.defaultFolder || '',
+    regions: Object.entries(XRAY_REGIONS).map(([value, baseUrl]) => ({ value, baseUrl })),
+    usingVariables: !stored.clientId && Boolean(process.env.XRAY_CLIENT_ID)
+  };
+}
+
+// Function to load the saved settings and the Jira link types for the admin page
+async function getAdminSettings({ context }) {
+  await assertAdminPageContext(context);
+  const stored = (await storage.getSecret(XRAY_SETTINGS_STORAGE_KEY)) || {};
+
+  const response = await api.asUser().requestJira(route`/rest/api/3/issueLinkType`, {
+    headers: { 'Accept': 'application/json' }
+  });
+  if (!response.ok) {
+    throw new JiraApiError(`Failed to fetch link types: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+  const { issueLinkTypes } = await response.json();
+
+  return {
+    settings: describeSettings(stored),
+    linkTypes: issueLinkTypes.map(linkType => ({ name: linkType.name, inward: linkType.inward, outward: linkType.outward }))
+  };
+}
+
+// Function to validate the settings form; a blank client secret keeps the saved one
+function normaliseAdminSettings(payload, stored) {
+  const errors = [];
+  const region = String(payload.region || 'global').trim().toLowerCase();
+  if (!XRAY_REGIONS[region]) {
+    errors.push(`region must be one of ${Object.keys(XRAY_REGIONS).join(', ')}`);
+  }
+  const clientId = String(payload.clientId || '').trim();
+  const clientSecret = String(payload.clientSecret || '').trim() || stored.clientSecret || '';
+  if (clientId && !clientSecret) errors.push('clientSecret is required with a client id');
+  if (!clientId && String(payload.clientSecret || '').trim()) errors.push('clientId is required with a client secret');
+  const linkDirection = String(payload.linkDirection || '').trim().toLowerCase();
+  if (linkDirection && !REQUIREMENT_LINK_DIRECTIONS.includes(linkDirection)) {
+    errors.push(`linkDirection must be one of ${REQUIREMENT_LINK_DIRECTIONS.join(', ')} (or blank to detect it)`);
+  }
+
+  if (errors.length > 0) {
+    throw new ActionError('VALIDATION', `Invalid settings:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    clientId,
+    clientSecret: clientId ? clientSecret : '',
+    region,
+    defaultTestType: String(payload.defaultTestType || '').trim(),
+    linkType: String(payload.linkType || '').trim(),
+    linkDirection,
+    defaultFolder: normaliseFolderPath(payload.defaultFolder) || ''
+  };
+}
+
+// Function to save the settings from the admin page in encrypted storage
+async function saveAdminSettings({ payload, context }) {
+  console.log('🚀 === saveAdminSettings STARTED ===');
+  await assertAdminPageContext(context);
+
+  const stored = (await storage.getSecret(XRAY_SETTINGS_STORAGE_KEY)) || {};
+  const settings = normaliseAdminSettings(payload || {}, stored);
+  await storage.setSecret(XRAY_SETTINGS_STORAGE_KEY, settings);
+
+  // Drop the settings cached by this instance and the token issued for the previous settings
+  cachedSettings = null;
+  settingsExpiration = null;
+  await invalidateXrayAuthToken();
+
+  console.log(`✅ Settings saved (region ${settings.region}, client id ${settings.clientId ? 'set' : 'from variables'})`);
+  console.log('🎉 === saveAdminSettings COMPLETED SUCCESSFULLY ===');
+  return { settings: describeSettings(settings), message: 'Settings saved' };
+}
+
+// Function to try the client id / secret on the form (or the saved ones) against the region's auth endpoint
+async function testXrayConnection({ payload = {}, context }) {
+  console.log('🚀 === testXrayConnection STARTED ===');
+  await assertAdminPageContext(context);
+
+  const stored = (await storage.getSecret(XRAY_SETTINGS_STORAGE_KEY)) || {};
+  const candidate = normaliseAdminSettings({ ...stored, ...payload }, stored);
+  const clientId = candidate.clientId || process.env.XRAY_CLIENT_ID;
+  const clientSecret = candidate.clientSecret || process.env.XRAY_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new ActionError('VALIDATION', 'Enter a client id and client secret to test the connection');
+  }
+
+  const { authUrl } = getXrayEndpoints(candidate.region);
+  const response = await fetchWithTimeout(authUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_id: clientId, client_secret: clientSecret })
+  }, XRAY_AUTH_TIMEOUT_MS, 'Xray authentication');
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new XrayApiError(`Xray rejected the credentials for the ${candidate.region} region: ${response.status} ${response.statusText} - ${errorText}`, {
+      status: response.status,
+      retryable: XRAY_RETRYABLE_STATUSES.includes(response.status),
+      body: errorText,
+      authentication: true
+    });
+  }
+
+  console.log('🎉 === testXrayConnection COMPLETED SUCCESSFULLY ===');
+  return { region: candidate.region, authUrl, message: `Connected to Xray Cloud (${candidate.region})` };
+}
+
+// Resolver of the Xray Agent Settings admin page
+const adminResolver = new Resolver();
+adminResolver.define('getSettings', withErrorResponse('getAdminSettings', getAdminSettings));
+adminResolver.define('saveSettings', withErrorResponse('saveAdminSettings', saveAdminSettings));
+adminResolver.define('testConnection', withErrorResponse('testXrayConnection', testXrayConnection));
+
+// Manifest handlers: every action returns { ok: true, ... } on success and
+// { ok: false, error: { code, message, hint, retryable } } on failure instead of throwing.
+// The functions above keep throwing, so actions can call each other.
+const getXrayDataHandler = withErrorResponse('getXrayData', getXrayData);
+const getTestStepsHandler = withErrorResponse('getTestSteps', getTestSteps);
+const getPreconditionsHandler = withErrorResponse('getPreconditions', getPreconditions);
+const getTestSetsHandler = withErrorResponse('getTestSets', getTestSets);
+const getTestPlansHandler = withErrorResponse('getTestPlans', getTestPlans);
+const getTestRunsHandler = withErrorResponse('getTestRuns', getTestRuns);
+const getUserStoryHandler = withErrorResponse('getUserStory', getUserStory);
+const getUserStoryDetailsHandler = withErrorResponse('getUserStoryDetails', getUserStoryDetails);
+const createXrayTestHandler = withErrorResponse('createXrayTest', createXrayTest);
+const createXrayTestsHandler = withErrorResponse('createXrayTests', createXrayTests);
+const updateXrayTestHandler = withErrorResponse('updateXrayTest', updateXrayTest);
+const getLinkedTestCasesHandler = withErrorResponse('getLinkedTestCases', getLinkedTestCases);
+const lintTestCaseHandler = withErrorResponse('lintTestCase', lintTestCase);
+const getCoverageReportHandler = withErrorResponse('getCoverageReport', getCoverageReport);
+const analyzeTestStabilityHandler = withErrorResponse('analyzeTestStability', analyzeTestStability);
+const updateTestSetHandler = withErrorResponse('updateTestSet', updateTestSet);
+const updateTestPlanHandler = withErrorResponse('updateTestPlan', updateTestPlan);
+const createTestSetHandler = withErrorResponse('createTestSet', createTestSet);
+const createTestPlanHandler = withErrorResponse('createTestPlan', createTestPlan);
+const getTestRepositoryHandler = withErrorResponse('getTestRepository', getTestRepository);
+const createTestExecutionHandler = withErrorResponse('createTestExecution', createTestExecution);
+const updateTestRunHandler = withErrorResponse('updateTestRun', updateTestRun);
+const getTestRunDetailsHandler = withErrorResponse('getTestRunDetails', getTestRunDetails);
+const importExecutionResultsHandler = withErrorResponse('importExecutionResults', importExecutionResults);
+
+export {
+  getXrayDataHandler as getXrayData,
+  getTestStepsHandler as getTestSteps,
+  getPreconditionsHandler as getPreconditions,
+  getTestSetsHandler as getTestSets,
+  getTestPlansHandler as getTestPlans,
+  getTestRunsHandler as getTestRuns,
+  getUserStoryHandler as getUserStory,
+  getUserStoryDetailsHandler as getUserStoryDetails,
+  createXrayTestHandler as createXrayTest,
+  createXrayTestsHandler as createXrayTests,
+  updateXrayTestHandler as updateXrayTest,
+  getLinkedTestCasesHandler as getLinkedTestCases,
+  lintTestCaseHandler as lintTestCase,
+  getCoverageReportHandler as getCoverageReport,
+  analyzeTestStabilityHandler as analyzeTestStability,
+  updateTestSetHandler as updateTestSet,
+  updateTestPlanHandler as updateTestPlan,
+  createTestSetHandler as createTestSet,
+  createTestPlanHandler as createTestPlan,
+  getTestRepositoryHandler as getTestRepository,
+  createTestExecutionHandler as createTestExecution,
+  updateTestRunHandler as updateTestRun,
+  getTestRunDetailsHandler as getTestRunDetails,
+  importExecutionResultsHandler as importExecutionResults
+};
+
+export const adminSettingsResolver = adminResolver.getDefinitions();